@@ -0,0 +1,245 @@
+const { supabaseAdmin } = require('./supabase');
+const { getSchoolNow, getNonInstructionalReason } = require('./school-timings');
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+const DEFAULTS = {
+  absenteeism_window_days: 30,
+  absenteeism_rate_threshold: 80,
+  absenteeism_consecutive_absences: 3,
+  absenteeism_check_time: '18:00'
+};
+
+/**
+ * In-process scheduler for chronic absenteeism detection.
+ *
+ * Once an instructional day, after `absenteeism_check_time`, it runs
+ * `detect_chronic_absenteeism` with the thresholds from
+ * `school_settings.attendance_config` and pushes a notification to the class
+ * teacher for every alert the run newly opened.
+ *
+ * The database allows one unresolved alert per student, section and type, so
+ * re-runs (restarts, extra instances) refresh existing alerts instead of
+ * raising and notifying them again.
+ *
+ * @class AbsenteeismDetector
+ */
+class AbsenteeismDetector {
+  constructor() {
+    this.supabase = supabaseAdmin;
+    this.timer = null;
+    this.startedAt = null;
+    this.lastRunAt = null;
+    this.lastHandledDate = null;
+    this.lastResult = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start checking periodically. Safe to call more than once.
+   * @param {object} [supabase] - Service-role Supabase client.
+   */
+  start(supabase) {
+    if (this.timer) {
+      return;
+    }
+
+    if (supabase) {
+      this.supabase = supabase;
+    }
+
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+    this.startedAt = new Date().toISOString();
+    console.log('⏰ Absenteeism detector started');
+
+    this.check();
+  }
+
+  /**
+   * Stop the scheduler.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Detector settings from the attendance configuration, with defaults.
+   * @returns {Promise<object>}
+   */
+  async loadConfig() {
+    const { data: settings, error } = await this.supabase
+      .from('school_settings')
+      .select('attendance_config')
+      .limit(1)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { ...DEFAULTS, ...(settings?.attendance_config || {}) };
+  }
+
+  /**
+   * One scheduler tick: run today's detection if it is enabled and due.
+   */
+  async check() {
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+
+    try {
+      const now = getSchoolNow();
+
+      if (this.lastHandledDate === now.date) {
+        return;
+      }
+
+      const config = await this.loadConfig();
+      if (config.enable_absenteeism_alerts === false) {
+        return;
+      }
+
+      if (now.time < config.absenteeism_check_time) {
+        return;
+      }
+
+      // Nothing new is marked on weekends or holidays
+      const skipReason = await getNonInstructionalReason(this.supabase, now.date);
+      if (skipReason) {
+        console.log('   ⏭️  [ABSENTEEISM] Skipping non-instructional day:', now.date, '-', skipReason);
+      } else {
+        await this.runForDate(now.date, config);
+      }
+      this.lastHandledDate = now.date;
+    } catch (error) {
+      console.error('❌ [ABSENTEEISM] Detection check failed:', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Detect chronic absenteeism as of a date and notify class teachers of new alerts.
+   * @param {string} date - YYYY-MM-DD
+   * @param {object} config - Detector settings (see loadConfig)
+   * @returns {Promise<{alerts_opened: number, notifications_sent: number}>}
+   */
+  async runForDate(date, config) {
+    console.log('🔄 [ABSENTEEISM] Running detection as of', date);
+    this.lastRunAt = new Date().toISOString();
+
+    const { data: opened, error } = await this.supabase
+      .rpc('detect_chronic_absenteeism', {
+        p_as_of: date,
+        p_window_days: config.absenteeism_window_days,
+        p_rate_threshold: config.absenteeism_rate_threshold,
+        p_consecutive_absences: config.absenteeism_consecutive_absences
+      });
+
+    if (error) {
+      throw error;
+    }
+
+    const notificationsSent = await this.notifyTeachers(opened || []);
+
+    this.lastResult = {
+      date,
+      alerts_opened: opened?.length || 0,
+      notifications_sent: notificationsSent
+    };
+
+    console.log('✅ [ABSENTEEISM] Opened', this.lastResult.alerts_opened, 'alerts,', notificationsSent, 'teacher notifications sent');
+    return this.lastResult;
+  }
+
+  /**
+   * Push a notification to the class teacher of each newly opened alert.
+   * Failures are logged per alert and never abort the run.
+   * @param {object[]} alerts - attendance_alerts rows
+   * @returns {Promise<number>} notifications sent
+   */
+  async notifyTeachers(alerts) {
+    if (alerts.length === 0) {
+      return 0;
+    }
+
+    const sectionIds = [...new Set(alerts.map(alert => alert.grade_section_id))];
+    const studentIds = [...new Set(alerts.map(alert => alert.student_id))];
+
+    const [{ data: sections }, { data: students }] = await Promise.all([
+      this.supabase.from('grade_sections').select('id, name, teacher_id').in('id', sectionIds),
+      this.supabase.from('users').select('id, first_name, last_name').in('id', studentIds)
+    ]);
+
+    const sectionMap = new Map((sections || []).map(section => [section.id, section]));
+    const studentMap = new Map((students || []).map(student => [student.id, student]));
+
+    let sent = 0;
+    for (const alert of alerts) {
+      const section = sectionMap.get(alert.grade_section_id);
+      const student = studentMap.get(alert.student_id);
+
+      if (!section?.teacher_id || !student) {
+        console.log('   ⏭️  [ABSENTEEISM] No class teacher to notify for alert', alert.id);
+        continue;
+      }
+
+      try {
+        const { error } = await this.supabase.functions.invoke('push-notifications', {
+          body: {
+            action: 'send-absenteeism-alert',
+            data: {
+              teacherId: section.teacher_id,
+              alertId: alert.id,
+              alertType: alert.alert_type,
+              studentId: alert.student_id,
+              studentName: `${student.first_name} ${student.last_name}`,
+              gradeSectionName: section.name,
+              attendanceRate: alert.attendance_rate,
+              consecutiveAbsences: alert.consecutive_absences
+            }
+          }
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        await this.supabase
+          .from('attendance_alerts')
+          .update({ notified_at: new Date().toISOString() })
+          .eq('id', alert.id);
+
+        sent++;
+      } catch (notificationError) {
+        console.error('   ⚠️ [ABSENTEEISM] Failed to notify teacher for alert', alert.id, notificationError);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * In-memory detector state.
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      running: !!this.timer,
+      started_at: this.startedAt,
+      last_run_at: this.lastRunAt,
+      last_handled_date: this.lastHandledDate,
+      last_result: this.lastResult,
+      check_interval_seconds: CHECK_INTERVAL_MS / 1000
+    };
+  }
+}
+
+module.exports = new AbsenteeismDetector();
@@ -0,0 +1,184 @@
+const ROLLOVER_ACTIONS = ['promote', 'retain', 'graduate', 'withdraw'];
+
+const END_REASONS = {
+  promote: 'promoted',
+  retain: 'retained',
+  graduate: 'graduated',
+  withdraw: 'withdrawn'
+};
+
+// PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// Grade level and section letter are only unique within a school
+const sectionKey = (schoolId, gradeLevel, section) => `${schoolId || ''}:${gradeLevel}:${String(section).toUpperCase()}`;
+
+/**
+ * Active enrollments of a set of grade sections, with student names.
+ */
+async function getActiveEnrollments(supabase, gradeSectionIds) {
+  const enrollments = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('grade_section_enrollments')
+      .select(`
+        id, student_id, grade_section_id,
+        student:users!grade_section_enrollments_student_id_fkey(first_name, last_name, status)
+      `)
+      .in('grade_section_id', gradeSectionIds)
+      .eq('status', 'active')
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    enrollments.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return enrollments;
+    }
+  }
+}
+
+/**
+ * Work out an academic-year rollover without changing anything.
+ *
+ * Every grade section of `fromYear` is cloned into `toYear`. Students are
+ * promoted to the same section letter one grade up, students in `topGrade`
+ * graduate, and `overrides` ([{ student_id, action, section }]) retain,
+ * promote into another section, graduate or withdraw individual students.
+ *
+ * @returns {Promise<object|null>} the plan, or null when `fromYear` has no grade sections.
+ *   `unplaced` lists students whose target grade section does not exist in
+ *   the new year and `unknown_overrides` student IDs not enrolled in `fromYear`;
+ *   the plan can only be applied when both are empty.
+ */
+async function planRollover(supabase, { fromYear, toYear, topGrade, overrides = [] }) {
+  const { data: oldSections, error: sectionsError } = await supabase
+    .from('grade_sections')
+    .select('id, school_id, grade_level, section, name')
+    .eq('academic_year', fromYear)
+    .order('grade_level', { ascending: true })
+    .order('section', { ascending: true });
+
+  if (sectionsError) {
+    throw sectionsError;
+  }
+
+  if (!oldSections || oldSections.length === 0) {
+    return null;
+  }
+
+  const finalGrade = topGrade || Math.max(...oldSections.map(section => section.grade_level));
+  const sectionsById = new Map(oldSections.map(section => [section.id, section]));
+
+  const sections = oldSections.map(section => ({
+    source_id: section.id,
+    school_id: section.school_id,
+    grade_level: section.grade_level,
+    section: section.section,
+    name: section.name
+  }));
+  const newSections = new Map(sections.map(section => [sectionKey(section.school_id, section.grade_level, section.section), section]));
+
+  const enrollments = await getActiveEnrollments(supabase, oldSections.map(section => section.id));
+  const overridesByStudent = new Map(overrides.map(override => [override.student_id, override]));
+  const enrolledStudents = new Set(enrollments.map(enrollment => enrollment.student_id));
+
+  const placed = new Set();
+  const moves = [];
+  const unplaced = [];
+
+  for (const enrollment of enrollments) {
+    const current = sectionsById.get(enrollment.grade_section_id);
+    const override = overridesByStudent.get(enrollment.student_id);
+    const inactive = enrollment.student && enrollment.student.status !== 'active';
+
+    let action = override?.action || (current.grade_level >= finalGrade ? 'graduate' : 'promote');
+    if (inactive && !override) {
+      action = 'withdraw';
+    }
+
+    const move = {
+      enrollment_id: enrollment.id,
+      student_id: enrollment.student_id,
+      student_name: enrollment.student ? `${enrollment.student.first_name} ${enrollment.student.last_name}` : null,
+      from_grade_section: current.name,
+      action,
+      reason: END_REASONS[action],
+      school_id: current.school_id,
+      grade_level: null,
+      section: null
+    };
+
+    // A student is placed once even if they were (wrongly) enrolled in several sections
+    if (['promote', 'retain'].includes(action) && !placed.has(enrollment.student_id)) {
+      const gradeLevel = action === 'promote' ? current.grade_level + 1 : current.grade_level;
+      const target = newSections.get(sectionKey(current.school_id, gradeLevel, override?.section || current.section));
+
+      if (target) {
+        move.grade_level = target.grade_level;
+        move.section = target.section;
+        move.to_grade_section = target.name;
+        placed.add(enrollment.student_id);
+      } else {
+        unplaced.push({
+          student_id: enrollment.student_id,
+          student_name: move.student_name,
+          grade_level: gradeLevel,
+          section: override?.section || current.section
+        });
+      }
+    }
+
+    moves.push(move);
+  }
+
+  const summary = { sections: sections.length, students: enrolledStudents.size };
+  for (const action of ROLLOVER_ACTIONS) {
+    summary[END_REASONS[action]] = moves.filter(move => move.action === action).length;
+  }
+
+  return {
+    from_academic_year: fromYear,
+    to_academic_year: toYear,
+    top_grade: finalGrade,
+    sections,
+    moves,
+    unplaced,
+    unknown_overrides: overrides
+      .map(override => override.student_id)
+      .filter(studentId => !enrolledStudents.has(studentId)),
+    summary
+  };
+}
+
+/**
+ * Apply a plan from planRollover in one transaction (see the
+ * apply_academic_year_rollover function). Throws the database error, which
+ * has code 23505 when the academic year was already rolled over.
+ */
+async function applyRollover(supabase, plan, performedBy) {
+  const { data, error } = await supabase.rpc('apply_academic_year_rollover', {
+    p_from_year: plan.from_academic_year,
+    p_to_year: plan.to_academic_year,
+    p_sections: plan.sections,
+    p_moves: plan.moves.map(({ enrollment_id, student_id, reason, school_id, grade_level, section }) =>
+      ({ enrollment_id, student_id, reason, school_id, grade_level, section })),
+    p_performed_by: performedBy
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = {
+  ROLLOVER_ACTIONS,
+  planRollover,
+  applyRollover
+};
@@ -0,0 +1,83 @@
+const { getSchoolNow } = require('./school-timings');
+
+/**
+ * Read the attendance configuration from school settings.
+ */
+async function getAttendanceConfig(supabase) {
+  const { data: settings, error } = await supabase
+    .from('school_settings')
+    .select('attendance_config')
+    .limit(1)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return settings?.attendance_config || {};
+}
+
+/**
+ * Last moment teachers may edit attendance for a date, as school-local
+ * { date, time }, or null when the edit lock is disabled.
+ *
+ *   edit_window_days: 0 -> same day, N -> until N days after the date
+ *   edit_lock_time: 'HH:MM' cutoff on that last day (end of day when unset)
+ */
+function getEditDeadline(date, config = {}) {
+  if (!config.enable_edit_lock) {
+    return null;
+  }
+
+  const lastDay = new Date(`${date}T00:00:00Z`);
+  lastDay.setUTCDate(lastDay.getUTCDate() + (parseInt(config.edit_window_days, 10) || 0));
+
+  return {
+    date: lastDay.toISOString().split('T')[0],
+    time: config.edit_lock_time || '24:00'
+  };
+}
+
+/**
+ * Lock state of a grade section/date for teacher edits:
+ * { locked, editable_until, unlock } where `unlock` is the active admin
+ * unlock (if any) that currently reopens the date.
+ */
+async function getAttendanceLock(supabase, gradeSectionId, date, config) {
+  const attendanceConfig = config || await getAttendanceConfig(supabase);
+  const deadline = getEditDeadline(date, attendanceConfig);
+
+  if (!deadline) {
+    return { locked: false, editable_until: null, unlock: null };
+  }
+
+  const now = getSchoolNow();
+  const pastDeadline = now.date > deadline.date || (now.date === deadline.date && now.time >= deadline.time);
+  const editableUntil = `${deadline.date} ${deadline.time}`;
+
+  if (!pastDeadline) {
+    return { locked: false, editable_until: editableUntil, unlock: null };
+  }
+
+  const { data: unlock, error } = await supabase
+    .from('attendance_unlocks')
+    .select('*')
+    .eq('grade_section_id', gradeSectionId)
+    .eq('date', date)
+    .gt('expires_at', new Date().toISOString())
+    .order('expires_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return { locked: !unlock, editable_until: editableUntil, unlock: unlock || null };
+}
+
+module.exports = {
+  getAttendanceConfig,
+  getEditDeadline,
+  getAttendanceLock
+};
@@ -0,0 +1,198 @@
+const XLSX = require('xlsx');
+
+const STATUS_CODES = {
+  present: 'P',
+  absent: 'A',
+  late: 'L',
+  excused: 'E'
+};
+
+/**
+ * Attendance rate (%) over the days a student was marked: present, late and
+ * excused days count as attended. Unmarked days are left out, whereas
+ * get_attendance_stats divides by every enrolled student, unmarked ones
+ * included, so its daily rates can be lower for the same marks.
+ * @param {{present: number, absent: number, late: number, excused: number}} counts
+ * @returns {number}
+ */
+const attendanceRate = ({ present, absent, late, excused }) => {
+  const marked = present + absent + late + excused;
+  return marked > 0 ? Math.round(((present + late + excused) / marked) * 10000) / 100 : 0;
+};
+
+/**
+ * First and last date of a YYYY-MM month, plus its day numbers.
+ * Returns null for a malformed month.
+ * @param {string} month - YYYY-MM
+ * @returns {{start_date: string, end_date: string, days: number[]}|null}
+ */
+const getMonthRange = (month) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month || '');
+  if (!match) {
+    return null;
+  }
+
+  const year = parseInt(match[1], 10);
+  const monthIndex = parseInt(match[2], 10) - 1;
+  const dayCount = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+  return {
+    start_date: `${month}-01`,
+    end_date: `${month}-${String(dayCount).padStart(2, '0')}`,
+    days: Array.from({ length: dayCount }, (_, i) => i + 1)
+  };
+};
+
+/**
+ * Group `get_attendance_register` rows into one register per grade section,
+ * each with a student row of day codes and totals.
+ * @param {object[]} rows - RPC rows (one per student per marked day, or one
+ *   row with a null date for students without marks)
+ * @param {{days: number[]}} range - Result of getMonthRange
+ * @returns {object[]} registers ordered as the rows were
+ */
+const buildRegisters = (rows, range) => {
+  const sections = new Map();
+
+  for (const row of rows || []) {
+    if (!sections.has(row.grade_section_id)) {
+      sections.set(row.grade_section_id, {
+        grade_section_id: row.grade_section_id,
+        grade_section_name: row.grade_section_name,
+        students: new Map()
+      });
+    }
+
+    const section = sections.get(row.grade_section_id);
+    if (!section.students.has(row.student_id)) {
+      section.students.set(row.student_id, {
+        student_id: row.student_id,
+        roll_number: row.roll_number,
+        name: `${row.first_name} ${row.last_name}`,
+        email: row.email,
+        days: {},
+        totals: { present: 0, absent: 0, late: 0, excused: 0 }
+      });
+    }
+
+    const student = section.students.get(row.student_id);
+    if (row.date && STATUS_CODES[row.status]) {
+      student.days[parseInt(row.date.slice(8, 10), 10)] = STATUS_CODES[row.status];
+      student.totals[row.status]++;
+    }
+  }
+
+  return [...sections.values()].map(section => ({
+    grade_section_id: section.grade_section_id,
+    grade_section_name: section.grade_section_name,
+    students: [...section.students.values()].map(student => {
+      const { present, absent, late, excused } = student.totals;
+      return {
+        ...student,
+        day_codes: range.days.map(day => student.days[day] || ''),
+        marked_days: present + absent + late + excused,
+        attendance_rate: attendanceRate(student.totals)
+      };
+    })
+  }));
+};
+
+/**
+ * Rows (array of arrays) for one register sheet.
+ * @param {object} register - One entry of buildRegisters
+ * @param {{days: number[]}} range
+ * @param {boolean} [withSection] - Prefix each row with the grade section name
+ * @returns {Array<Array<string|number>>}
+ */
+const registerToRows = (register, range, withSection = false) => {
+  const header = [
+    ...(withSection ? ['Grade Section'] : []),
+    'Roll No.',
+    'Student',
+    'Email',
+    ...range.days.map(day => String(day).padStart(2, '0')),
+    'Present',
+    'Absent',
+    'Late',
+    'Excused',
+    'Marked Days',
+    'Attendance Rate (%)'
+  ];
+
+  const body = register.students.map(student => [
+    ...(withSection ? [register.grade_section_name] : []),
+    student.roll_number ?? '',
+    student.name,
+    student.email,
+    ...student.day_codes,
+    student.totals.present,
+    student.totals.absent,
+    student.totals.late,
+    student.totals.excused,
+    student.marked_days,
+    student.attendance_rate
+  ]);
+
+  return [header, ...body];
+};
+
+/**
+ * Excel sheet names are limited to 31 characters and may not contain []:*?/\
+ */
+const toSheetName = (name, used) => {
+  const base = (name || 'Register').replace(/[[\]:*?/\\]/g, '-').slice(0, 28);
+  let sheetName = base;
+  let suffix = 2;
+  while (used.has(sheetName)) {
+    sheetName = `${base}-${suffix++}`;
+  }
+  used.add(sheetName);
+  return sheetName;
+};
+
+/**
+ * Serialize registers as an XLSX workbook (one sheet per grade section).
+ * @returns {Buffer}
+ */
+const registersToXlsx = (registers, range) => {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+
+  for (const register of registers) {
+    const sheet = XLSX.utils.aoa_to_sheet(registerToRows(register, range));
+    sheet['!cols'] = [{ wch: 8 }, { wch: 28 }, { wch: 30 }, ...range.days.map(() => ({ wch: 4 }))];
+    XLSX.utils.book_append_sheet(workbook, sheet, toSheetName(register.grade_section_name, usedNames));
+  }
+
+  if (registers.length === 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['No students found']]), 'Register');
+  }
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Serialize registers as a single CSV. Multi-section exports get a leading
+ * Grade Section column instead of separate sheets.
+ * @returns {string}
+ */
+const registersToCsv = (registers, range) => {
+  const withSection = registers.length > 1;
+  const rows = registers.length > 0
+    ? registers.flatMap((register, i) => {
+      const sheetRows = registerToRows(register, range, withSection);
+      return i === 0 ? sheetRows : sheetRows.slice(1);
+    })
+    : [registerToRows({ students: [] }, range, withSection)[0]];
+
+  return XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows));
+};
+
+module.exports = {
+  STATUS_CODES,
+  attendanceRate,
+  getMonthRange,
+  buildRegisters,
+  registersToXlsx,
+  registersToCsv
+};
@@ -0,0 +1,277 @@
+const { supabaseAdmin } = require('./supabase');
+const cacheManager = require('./cache');
+const { getSchoolNow, getNonInstructionalReason } = require('./school-timings');
+
+const CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+const STALE_RUN_MS = 10 * 60 * 1000; // a 'running' claim older than this is treated as crashed
+
+/**
+ * In-process scheduler for the daily attendance auto-reset.
+ *
+ * Once a minute it reads `school_settings.attendance_config`; when
+ * `enable_auto_reset` is on and the school-local time has passed
+ * `auto_reset_time`, it seeds every active grade section with
+ * `default_status` for today via `seed_daily_attendance`.
+ *
+ * Each day is claimed by inserting its row into `attendance_auto_reset_runs`
+ * (unique on run_date), so restarts and extra instances never run a day twice.
+ * Failed or crashed runs are reclaimed on the next check. Days that are not
+ * instructional (see the academic calendar) are recorded as skipped.
+ *
+ * @class AttendanceScheduler
+ */
+class AttendanceScheduler {
+  constructor() {
+    this.supabase = supabaseAdmin;
+    this.timer = null;
+    this.startedAt = null;
+    this.lastCheckAt = null;
+    this.lastHandledDate = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start checking once a minute. Safe to call more than once.
+   * @param {object} [supabase] - Service-role Supabase client.
+   */
+  start(supabase) {
+    if (this.timer) {
+      return;
+    }
+
+    if (supabase) {
+      this.supabase = supabase;
+    }
+
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+    this.startedAt = new Date().toISOString();
+    console.log('⏰ Attendance auto-reset scheduler started');
+
+    this.check();
+  }
+
+  /**
+   * Stop the scheduler.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read the attendance configuration from school settings.
+   * @returns {Promise<object|null>}
+   */
+  async loadConfig() {
+    const { data: settings, error } = await this.supabase
+      .from('school_settings')
+      .select('attendance_config')
+      .limit(1)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return settings?.attendance_config || null;
+  }
+
+  /**
+   * One scheduler tick: run today's reset if it is enabled and due.
+   */
+  async check() {
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+    this.lastCheckAt = new Date().toISOString();
+
+    try {
+      const now = getSchoolNow();
+
+      if (this.lastHandledDate === now.date) {
+        return;
+      }
+
+      const config = await this.loadConfig();
+      if (!config?.enable_auto_reset) {
+        return;
+      }
+
+      if (now.time < (config.auto_reset_time || '00:00')) {
+        return;
+      }
+
+      // Only a finished day is skipped from now on; failures are retried next check
+      if (await this.runForDate(now.date, config)) {
+        this.lastHandledDate = now.date;
+      }
+    } catch (error) {
+      console.error('❌ [ATTENDANCE-SCHEDULER] Auto-reset check failed:', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Claim the run row for a date. Returns the row, or null if another
+   * process already handled (or is handling) that day.
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} defaultStatus
+   * @returns {Promise<object|null>}
+   */
+  async claimRun(date, defaultStatus) {
+    const { data: inserted, error: insertError } = await this.supabase
+      .from('attendance_auto_reset_runs')
+      .upsert(
+        { run_date: date, status: 'running', default_status: defaultStatus },
+        { onConflict: 'run_date', ignoreDuplicates: true }
+      )
+      .select();
+
+    if (insertError) {
+      throw insertError;
+    }
+
+    if (inserted && inserted.length > 0) {
+      return inserted[0];
+    }
+
+    // Retry days whose previous run failed or never finished
+    const staleBefore = new Date(Date.now() - STALE_RUN_MS).toISOString();
+    const { data: reclaimed, error: reclaimError } = await this.supabase
+      .from('attendance_auto_reset_runs')
+      .update({
+        status: 'running',
+        default_status: defaultStatus,
+        error: null,
+        started_at: new Date().toISOString(),
+        completed_at: null
+      })
+      .eq('run_date', date)
+      .or(`status.eq.failed,and(status.eq.running,started_at.lt.${staleBefore})`)
+      .select();
+
+    if (reclaimError) {
+      throw reclaimError;
+    }
+
+    return reclaimed && reclaimed.length > 0 ? reclaimed[0] : null;
+  }
+
+  /**
+   * Record the outcome of a claimed run.
+   * @param {string} runId
+   * @param {object} outcome - Columns to set on the run row.
+   */
+  async finishRun(runId, outcome) {
+    const { error } = await this.supabase
+      .from('attendance_auto_reset_runs')
+      .update({ ...outcome, completed_at: new Date().toISOString() })
+      .eq('id', runId);
+
+    if (error) {
+      console.error('❌ [ATTENDANCE-SCHEDULER] Failed to record run outcome:', error);
+    }
+  }
+
+  /**
+   * Whether the run for a date finished (completed or skipped), e.g. in
+   * another process.
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<boolean>}
+   */
+  async isRunFinished(date) {
+    const { data: run, error } = await this.supabase
+      .from('attendance_auto_reset_runs')
+      .select('status')
+      .eq('run_date', date)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return ['completed', 'skipped'].includes(run?.status);
+  }
+
+  /**
+   * Apply the default status for one school day.
+   * @param {string} date - YYYY-MM-DD
+   * @param {object} config - attendance_config
+   * @returns {Promise<boolean>} true when the day is finished, false when
+   *   another process is still running it
+   * @throws when seeding fails (the run is recorded as failed and reclaimed
+   *   on a later check)
+   */
+  async runForDate(date, config) {
+    const defaultStatus = config.default_status || 'unmarked';
+    const run = await this.claimRun(date, defaultStatus);
+
+    if (!run) {
+      console.log('   ⏭️  [ATTENDANCE-SCHEDULER] Auto-reset already handled for', date);
+      return this.isRunFinished(date);
+    }
+
+    // Weekends, holidays, closures and days outside term are not seeded
+    const skipReason = await getNonInstructionalReason(this.supabase, date);
+    if (skipReason) {
+      console.log('   ⏭️  [ATTENDANCE-SCHEDULER] Skipping non-instructional day:', date, '-', skipReason);
+      await this.finishRun(run.id, {
+        status: 'skipped',
+        skip_reason: skipReason
+      });
+      return true;
+    }
+
+    console.log('🔄 [ATTENDANCE-SCHEDULER] Seeding default status', defaultStatus, 'for', date);
+
+    const { data: result, error } = await this.supabase
+      .rpc('seed_daily_attendance', {
+        p_date: date,
+        p_default_status: defaultStatus
+      });
+
+    if (error || !result?.success) {
+      const message = error?.message || result?.error || 'Unknown error';
+      await this.finishRun(run.id, {
+        status: 'failed',
+        error: message
+      });
+      throw error || new Error(`Seeding failed: ${message}`);
+    }
+
+    await this.finishRun(run.id, {
+      status: 'completed',
+      grade_sections_processed: result.grade_sections_processed,
+      records_seeded: result.records_seeded
+    });
+
+    cacheManager.delPattern('/api/attendance/grade-sections/daily');
+    cacheManager.delPattern('/api/grade-sections/overview');
+
+    console.log('✅ [ATTENDANCE-SCHEDULER] Seeded', result.records_seeded, 'records across', result.grade_sections_processed, 'grade sections');
+    return true;
+  }
+
+  /**
+   * In-memory scheduler state for the admin status endpoint.
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      running: !!this.timer,
+      started_at: this.startedAt,
+      last_check_at: this.lastCheckAt,
+      last_handled_date: this.lastHandledDate,
+      check_interval_seconds: CHECK_INTERVAL_MS / 1000,
+      school_now: getSchoolNow()
+    };
+  }
+}
+
+module.exports = new AttendanceScheduler();
@@ -40,6 +40,11 @@ const FILE_CONFIGS = {
     bucket: 'documents',
     maxSize: 50 * 1024 * 1024 // 50MB
   },
+  audio: { 
+    types: ['mp3', 'm4a', 'wav', 'ogg', 'aac'], 
+    bucket: 'audio',
+    maxSize: 50 * 1024 * 1024 // 50MB
+  },
   videos: { 
     types: ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm'], 
     bucket: 'videos',
@@ -98,6 +103,21 @@ class CDNStorageService {
     return { category: 'documents', ...FILE_CONFIGS.documents };
   }
 
+  /**
+   * Whether the file extension belongs to one of the known FILE_CONFIGS types
+   */
+  isSupportedFileType(filename) {
+    const ext = path.extname(filename).toLowerCase().replace('.', '');
+    return Object.values(FILE_CONFIGS).some(config => config.types.includes(ext));
+  }
+
+  /**
+   * All file extensions listed in FILE_CONFIGS
+   */
+  getSupportedFileTypes() {
+    return Object.values(FILE_CONFIGS).flatMap(config => config.types);
+  }
+
   /**
    * Generate unique filename to prevent conflicts
    */
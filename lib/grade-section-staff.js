@@ -0,0 +1,78 @@
+const STAFF_ROLES = ['class_teacher', 'assistant', 'subject_teacher'];
+
+// Roles that can be assigned through grade_section_staff; subject teachers are
+// assigned per subject (grade_section_subjects)
+const ASSIGNABLE_STAFF_ROLES = ['class_teacher', 'assistant'];
+
+/**
+ * What each staff role may do in its grade section. Admins may do everything.
+ * Subject teachers may only post homework for their own subjects.
+ */
+const ROLE_PERMISSIONS = {
+  class_teacher: ['view', 'manage', 'mark_attendance', 'post_homework'],
+  assistant: ['view', 'mark_attendance', 'post_homework'],
+  subject_teacher: ['view', 'post_homework']
+};
+
+const hasPermission = (roles, permission) =>
+  roles.some(role => (ROLE_PERMISSIONS[role] || []).includes(permission));
+
+/**
+ * Roles a teacher has in one grade section (deduplicated).
+ */
+async function getSectionRoles(supabase, gradeSectionId, teacherId) {
+  const { data: rows, error } = await supabase
+    .from('grade_section_staff_roles')
+    .select('role')
+    .eq('grade_section_id', gradeSectionId)
+    .eq('teacher_id', teacherId);
+
+  if (error) {
+    throw error;
+  }
+
+  return [...new Set((rows || []).map(row => row.role))];
+}
+
+/**
+ * Whether a user may do `permission` (view, manage, mark_attendance,
+ * post_homework) in a grade section. Admins always may, students never.
+ */
+async function canAccessSection(supabase, user, gradeSectionId, permission = 'view') {
+  if (user.role === 'admin') {
+    return true;
+  }
+  if (user.role !== 'teacher' || !gradeSectionId) {
+    return false;
+  }
+
+  return hasPermission(await getSectionRoles(supabase, gradeSectionId, user.id), permission);
+}
+
+/**
+ * IDs of the grade sections in which a teacher may do `permission`.
+ */
+async function getStaffGradeSectionIds(supabase, teacherId, permission = 'view') {
+  const { data: rows, error } = await supabase
+    .from('grade_section_staff_roles')
+    .select('grade_section_id, role')
+    .eq('teacher_id', teacherId);
+
+  if (error) {
+    throw error;
+  }
+
+  return [...new Set((rows || [])
+    .filter(row => hasPermission([row.role], permission))
+    .map(row => row.grade_section_id))];
+}
+
+module.exports = {
+  STAFF_ROLES,
+  ASSIGNABLE_STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getSectionRoles,
+  canAccessSection,
+  getStaffGradeSectionIds
+};
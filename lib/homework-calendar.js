@@ -0,0 +1,119 @@
+const MAX_SUMMARY_LENGTH = 80;
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11).
+ */
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space.
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const toIcsDate = (date) => date.replace(/-/g, '');
+
+const nextDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().split('T')[0];
+};
+
+/**
+ * One all-day event per subject entry that has a due date.
+ * @param {object[]} homework - rows with id (or homework_id), title, subjects,
+ *   homework_date and optionally teacher_name / grade_section_name
+ * @returns {object[]} events
+ */
+const buildHomeworkEvents = (homework) => {
+  const events = [];
+
+  for (const item of homework || []) {
+    const homeworkId = item.homework_id || item.id;
+    const subjects = Array.isArray(item.subjects) ? item.subjects : [];
+
+    subjects.forEach((entry, index) => {
+      if (!entry?.due_date || !/^\d{4}-\d{2}-\d{2}/.test(entry.due_date)) {
+        return;
+      }
+
+      const text = entry.homework || item.title || 'Homework';
+      const summary = `${entry.subject ? `${entry.subject}: ` : ''}${text}`;
+
+      events.push({
+        uid: `${homeworkId}-${index}@homework`,
+        date: entry.due_date.slice(0, 10),
+        summary: summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : summary,
+        description: [
+          item.title,
+          entry.homework,
+          item.grade_section_name ? `Class: ${item.grade_section_name}` : null,
+          item.teacher_name ? `Teacher: ${item.teacher_name}` : null,
+          `Assigned: ${item.homework_date}`
+        ].filter(Boolean).join('\n')
+      });
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Serialize events as an iCalendar (RFC 5545) document.
+ * @param {{name: string, events: object[]}} calendar
+ * @returns {string}
+ */
+const buildCalendar = ({ name, events }) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//EduCore//Homework Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildHomeworkEvents,
+  buildCalendar
+};
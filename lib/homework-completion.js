@@ -0,0 +1,47 @@
+/**
+ * Fold get_homework_completion_counts rows (one per homework item and subject)
+ * into a `completion` summary per homework item.
+ *
+ * Homework with several subjects is tracked per student and subject, so
+ * `done`, `incomplete` and `not_started` count student-subject pairs and add
+ * up to `total` (total_students × subjects). `total_students` is the headcount
+ * of the grade section; `subjects` has the per-subject counts.
+ *
+ * @param {object[]} rows
+ * @returns {Map<string, object>} summaries by homework ID
+ */
+function buildCompletionSummaries(rows) {
+  const summaries = new Map();
+
+  for (const row of rows || []) {
+    if (!summaries.has(row.homework_id)) {
+      summaries.set(row.homework_id, emptyCompletionSummary());
+    }
+
+    const summary = summaries.get(row.homework_id);
+    const counts = {
+      subject: row.subject,
+      total_students: Number(row.total_students),
+      done: Number(row.done_count),
+      incomplete: Number(row.incomplete_count),
+      not_started: Number(row.not_started_count)
+    };
+
+    summary.subjects.push(counts);
+    // Every subject row covers the same roster
+    summary.total_students = counts.total_students;
+    summary.total += counts.total_students;
+    summary.done += counts.done;
+    summary.incomplete += counts.incomplete;
+    summary.not_started += counts.not_started;
+  }
+
+  return summaries;
+}
+
+const emptyCompletionSummary = () => ({ total_students: 0, total: 0, done: 0, incomplete: 0, not_started: 0, subjects: [] });
+
+module.exports = {
+  buildCompletionSummaries,
+  emptyCompletionSummary
+};
@@ -0,0 +1,203 @@
+const PDFDocument = require('pdfkit');
+
+const GENERAL_SUBJECT = 'General';
+const LOGO_FETCH_TIMEOUT_MS = 5000;
+
+/**
+ * Monday-to-Sunday week containing a date. `week` is either a date
+ * (YYYY-MM-DD, any day of the week) or an ISO week (YYYY-Www).
+ * Returns null for a malformed value.
+ * @param {string} week
+ * @returns {{start_date: string, end_date: string, dates: string[]}|null}
+ */
+const getWeekRange = (week) => {
+  let anchor = null;
+
+  const isoWeek = /^(\d{4})-W(0[1-9]|[1-4]\d|5[0-3])$/.exec(week || '');
+  if (isoWeek) {
+    // Week 1 is the week containing January 4th
+    const jan4 = new Date(Date.UTC(parseInt(isoWeek[1], 10), 0, 4));
+    anchor = new Date(jan4);
+    anchor.setUTCDate(jan4.getUTCDate() + (parseInt(isoWeek[2], 10) - 1) * 7);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(week || '')) {
+    anchor = new Date(`${week}T00:00:00Z`);
+  }
+
+  if (!anchor || Number.isNaN(anchor.getTime())) {
+    return null;
+  }
+
+  const monday = new Date(anchor);
+  monday.setUTCDate(anchor.getUTCDate() - ((anchor.getUTCDay() + 6) % 7));
+
+  const dates = Array.from({ length: 7 }, (_, i) => {
+    const day = new Date(monday);
+    day.setUTCDate(monday.getUTCDate() + i);
+    return day.toISOString().split('T')[0];
+  });
+
+  return { start_date: dates[0], end_date: dates[6], dates };
+};
+
+/**
+ * Group homework items by day, then by subject from the `subjects` JSON.
+ * Items without subjects are listed under "General" with their content.
+ * @param {object[]} homework - homework_announcements rows (with teacher)
+ * @param {{dates: string[]}} range - Result of getWeekRange
+ * @returns {{date: string, subjects: {subject: string, entries: object[]}[]}[]}
+ *   days that have homework, in date order
+ */
+const buildDigest = (homework, range) => {
+  const days = new Map(range.dates.map(date => [date, new Map()]));
+
+  const addEntry = (date, subject, entry) => {
+    const subjects = days.get(date);
+    if (!subjects.has(subject)) {
+      subjects.set(subject, []);
+    }
+    subjects.get(subject).push(entry);
+  };
+
+  for (const item of homework || []) {
+    if (!days.has(item.homework_date)) {
+      continue;
+    }
+
+    const teacherName = item.teacher ? `${item.teacher.first_name} ${item.teacher.last_name}` : null;
+    const subjects = Array.isArray(item.subjects) ? item.subjects.filter(entry => entry?.subject) : [];
+
+    if (subjects.length === 0) {
+      addEntry(item.homework_date, GENERAL_SUBJECT, {
+        title: item.title || null,
+        homework: item.content || '',
+        due_date: null,
+        teacher_name: teacherName
+      });
+      continue;
+    }
+
+    for (const entry of subjects) {
+      addEntry(item.homework_date, entry.subject, {
+        title: item.title || null,
+        homework: entry.homework || item.content || '',
+        due_date: entry.due_date || null,
+        teacher_name: teacherName
+      });
+    }
+  }
+
+  return [...days.entries()]
+    .filter(([, subjects]) => subjects.size > 0)
+    .map(([date, subjects]) => ({
+      date,
+      subjects: [...subjects.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([subject, entries]) => ({ subject, entries }))
+    }));
+};
+
+/**
+ * Download the school logo for the digest header. Only PNG and JPEG can be
+ * embedded; anything else (or a failed download) yields null so the digest
+ * is rendered without a logo.
+ * @param {string|null} url
+ * @returns {Promise<Buffer|null>}
+ */
+const fetchLogo = async (url) => {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(LOGO_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      return null;
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const isPng = buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+
+    return isPng || isJpeg ? buffer : null;
+  } catch (error) {
+    console.error('   ⚠️ [HOMEWORK] Could not load school logo:', error.message);
+    return null;
+  }
+};
+
+const formatDate = (date, options) => new Date(`${date}T00:00:00Z`)
+  .toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+
+/**
+ * Render the weekly digest as a PDF.
+ * @param {object} digest
+ * @param {{name: string, logo: Buffer|null}} digest.school
+ * @param {string} digest.gradeSectionName
+ * @param {{start_date: string, end_date: string}} digest.range
+ * @param {object[]} digest.days - Result of buildDigest
+ * @returns {Promise<Buffer>}
+ */
+const renderDigestPdf = ({ school, gradeSectionName, range, days }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Homework ${gradeSectionName} ${range.start_date}` } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Header: logo, school name, section and week
+  const headerTop = doc.y;
+  if (school.logo) {
+    try {
+      doc.image(school.logo, doc.page.margins.left, headerTop, { fit: [60, 60] });
+    } catch (error) {
+      console.error('   ⚠️ [HOMEWORK] Could not embed school logo:', error.message);
+    }
+  }
+
+  const textLeft = doc.page.margins.left + (school.logo ? 75 : 0);
+  doc.font('Helvetica-Bold').fontSize(18).text(school.name || '', textLeft, headerTop);
+  doc.font('Helvetica').fontSize(12).text(`Weekly Homework - ${gradeSectionName}`, textLeft);
+  doc.fontSize(10).fillColor('#555555')
+    .text(`${formatDate(range.start_date, { day: 'numeric', month: 'long' })} - ${formatDate(range.end_date, { day: 'numeric', month: 'long', year: 'numeric' })}`, textLeft);
+  doc.fillColor('#000000');
+
+  doc.x = doc.page.margins.left;
+  doc.y = Math.max(doc.y, headerTop + 60) + 20;
+
+  if (days.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(11).text('No homework was posted this week.');
+  }
+
+  for (const day of days) {
+    doc.font('Helvetica-Bold').fontSize(13)
+      .text(formatDate(day.date, { weekday: 'long', day: 'numeric', month: 'long' }));
+    doc.moveDown(0.3);
+
+    for (const { subject, entries } of day.subjects) {
+      doc.font('Helvetica-Bold').fontSize(11).text(subject, { indent: 10 });
+
+      for (const entry of entries) {
+        const details = [
+          entry.title && entry.title !== entry.homework ? `${entry.title}: ` : '',
+          entry.homework || '-',
+          entry.due_date ? ` (due ${formatDate(entry.due_date, { day: 'numeric', month: 'short' })})` : ''
+        ].join('');
+
+        doc.font('Helvetica').fontSize(10).text(`• ${details}`, { indent: 20 });
+      }
+      doc.moveDown(0.3);
+    }
+
+    doc.moveDown(0.5);
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  getWeekRange,
+  buildDigest,
+  fetchLogo,
+  renderDigestPdf
+};
@@ -0,0 +1,70 @@
+/**
+ * Notify the actively enrolled students of a homework item's grade section
+ * that it was published.
+ *
+ * The item is claimed by setting `notified_at` while it is still unset, so each
+ * homework item is announced at most once no matter how often it is published,
+ * or how many instances try at the same time. A failed send is logged and not
+ * retried, for the same reason.
+ *
+ * @param {object} supabase - Service-role Supabase client.
+ * @param {string} homeworkId
+ * @returns {Promise<number>} notifications sent (0 when already announced)
+ */
+async function notifyHomeworkPublished(supabase, homeworkId) {
+  const { data: claimed, error: claimError } = await supabase
+    .from('homework_announcements')
+    .update({ notified_at: new Date().toISOString() })
+    .eq('id', homeworkId)
+    .eq('is_published', true)
+    .is('notified_at', null)
+    .select('id, grade_section_id, title, homework_date');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  const homework = claimed?.[0];
+  if (!homework) {
+    console.log('   ⏭️  [HOMEWORK] Students already notified (or homework unpublished):', homeworkId);
+    return 0;
+  }
+
+  // Only active students with an active enrollment
+  const { data: students, error: studentsError } = await supabase
+    .rpc('get_grade_section_students', { grade_section_uuid: homework.grade_section_id });
+
+  if (studentsError) {
+    throw studentsError;
+  }
+
+  if (!students || students.length === 0) {
+    console.log('   📱 [HOMEWORK] No enrolled students to notify for homework', homeworkId);
+    return 0;
+  }
+
+  console.log(`   📱 [HOMEWORK] Notifying ${students.length} students about homework`, homeworkId);
+
+  const { data: result, error } = await supabase.functions.invoke('push-notifications', {
+    body: {
+      action: 'send-homework-notifications',
+      data: {
+        homework_id: homework.id,
+        grade_section_id: homework.grade_section_id,
+        title: homework.title,
+        homework_date: homework.homework_date,
+        student_ids: students.map(student => student.student_id)
+      }
+    }
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return result?.notifications_sent || 0;
+}
+
+module.exports = {
+  notifyHomeworkPublished
+};
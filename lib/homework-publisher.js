@@ -0,0 +1,149 @@
+const { supabaseAdmin } = require('./supabase');
+const { notifyHomeworkPublished } = require('./homework-notifications');
+
+const CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+
+/**
+ * In-process publisher for scheduled homework.
+ *
+ * Once a minute it publishes every unpublished homework announcement whose
+ * `publish_at` has passed and announces it to the students of its grade
+ * section (see lib/homework-notifications.js).
+ *
+ * Items are claimed with a conditional update (`is_published = false`), so
+ * restarts and extra instances never publish or notify the same item twice.
+ *
+ * @class HomeworkPublisher
+ */
+class HomeworkPublisher {
+  constructor() {
+    this.supabase = supabaseAdmin;
+    this.timer = null;
+    this.startedAt = null;
+    this.lastRunAt = null;
+    this.lastResult = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start checking once a minute. Safe to call more than once.
+   * @param {object} [supabase] - Service-role Supabase client.
+   */
+  start(supabase) {
+    if (this.timer) {
+      return;
+    }
+
+    if (supabase) {
+      this.supabase = supabase;
+    }
+
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+    this.startedAt = new Date().toISOString();
+    console.log('⏰ Homework publisher started');
+
+    this.check();
+  }
+
+  /**
+   * Stop the publisher.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One publisher tick: publish everything that is due.
+   */
+  async check() {
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+
+    try {
+      await this.publishDue();
+    } catch (error) {
+      console.error('❌ [HOMEWORK] Scheduled publishing failed:', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Publish homework whose publish_at has passed and notify its students.
+   * @returns {Promise<{published: number, notifications_sent: number}>}
+   */
+  async publishDue() {
+    const now = new Date().toISOString();
+
+    const { data: published, error } = await this.supabase
+      .from('homework_announcements')
+      .update({ is_published: true, published_at: now })
+      .eq('is_published', false)
+      .not('publish_at', 'is', null)
+      .lte('publish_at', now)
+      .select('id, grade_section_id, title, homework_date');
+
+    if (error) {
+      throw error;
+    }
+
+    this.lastRunAt = now;
+
+    if (!published || published.length === 0) {
+      return { published: 0, notifications_sent: 0 };
+    }
+
+    console.log('📢 [HOMEWORK] Published', published.length, 'scheduled homework items');
+
+    let notificationsSent = 0;
+    for (const homework of published) {
+      notificationsSent += await this.notifyStudents(homework);
+    }
+
+    this.lastResult = {
+      published_at: now,
+      published: published.length,
+      notifications_sent: notificationsSent
+    };
+
+    return this.lastResult;
+  }
+
+  /**
+   * Announce a newly published homework item to its students.
+   * Failures are logged and never abort the run.
+   * @param {object} homework - homework_announcements row
+   * @returns {Promise<number>} notifications sent
+   */
+  async notifyStudents(homework) {
+    try {
+      return await notifyHomeworkPublished(this.supabase, homework.id);
+    } catch (notificationError) {
+      console.error('   ⚠️ [HOMEWORK] Failed to notify students for homework', homework.id, notificationError);
+      return 0;
+    }
+  }
+
+  /**
+   * In-memory publisher state.
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      running: !!this.timer,
+      started_at: this.startedAt,
+      last_run_at: this.lastRunAt,
+      last_result: this.lastResult,
+      check_interval_seconds: CHECK_INTERVAL_MS / 1000
+    };
+  }
+}
+
+module.exports = new HomeworkPublisher();
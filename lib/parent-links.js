@@ -0,0 +1,42 @@
+/**
+ * IDs of the students a parent is linked to (parent_student_links).
+ */
+async function getLinkedStudentIds(supabase, parentId) {
+  const { data: rows, error } = await supabase
+    .from('parent_student_links')
+    .select('student_id')
+    .eq('parent_id', parentId);
+
+  if (error) {
+    throw error;
+  }
+
+  return (rows || []).map(row => row.student_id);
+}
+
+/**
+ * Whether a user is a parent linked to the student.
+ */
+async function isParentOf(supabase, user, studentId) {
+  if (user.role !== 'parent' || !studentId) {
+    return false;
+  }
+
+  const { data: link, error } = await supabase
+    .from('parent_student_links')
+    .select('id')
+    .eq('parent_id', user.id)
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return Boolean(link);
+}
+
+module.exports = {
+  getLinkedStudentIds,
+  isParentOf
+};
@@ -0,0 +1,182 @@
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Get the weekday name used by school_timings.day for a YYYY-MM-DD date
+ */
+function getDayName(date) {
+  return DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Get the current date (YYYY-MM-DD) and time (HH:MM) in the school's timezone.
+ * SCHOOL_TIMEZONE is an IANA name such as "Asia/Karachi"; the server's own
+ * timezone is used when it is not set.
+ */
+function getSchoolNow(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: process.env.SCHOOL_TIMEZONE || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Get the school_timings row for the weekday of a date (null if not configured)
+ */
+async function getTimingForDate(supabase, date) {
+  const { data: timing, error } = await supabase
+    .from('school_timings')
+    .select('*')
+    .eq('day', getDayName(date))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return timing;
+}
+
+/**
+ * Get the instructional days (YYYY-MM-DD) between startDate and endDate,
+ * inclusive: active school_timings weekdays inside a term and outside every
+ * holiday or closure in the academic calendar
+ */
+async function getInstructionalDays(supabase, startDate, endDate) {
+  const { data: days, error } = await supabase
+    .rpc('get_instructional_days', {
+      p_start_date: startDate,
+      p_end_date: endDate
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  return (days || []).map(day => day.instructional_date);
+}
+
+/**
+ * Get the first `count` instructional days on or after fromDate.
+ * Looks ahead far enough to cover weekends and long holidays.
+ */
+async function getUpcomingInstructionalDays(supabase, fromDate, count) {
+  const lookAhead = new Date(`${fromDate}T00:00:00Z`);
+  lookAhead.setUTCDate(lookAhead.getUTCDate() + count * 3 + 60);
+
+  const days = await getInstructionalDays(supabase, fromDate, lookAhead.toISOString().split('T')[0]);
+  return days.slice(0, count);
+}
+
+/**
+ * Explain why a date is not an instructional day, or return null when it is:
+ * inactive weekday, a holiday/closure from the academic calendar, or a date
+ * outside every term. Whether it is instructional is decided by the
+ * is_instructional_day function, so the rule matches statistics and summaries
+ * (e.g. without any school_timings rows every day is a school day).
+ */
+async function getNonInstructionalReason(supabase, date) {
+  const { data: isInstructional, error: dayError } = await supabase
+    .rpc('is_instructional_day', { p_date: date });
+
+  if (dayError) {
+    throw dayError;
+  }
+
+  if (isInstructional) {
+    return null;
+  }
+
+  const timing = await getTimingForDate(supabase, date);
+  if (timing && !timing.is_active) {
+    return `${getDayName(date)} is not an active school day`;
+  }
+
+  const { data: events, error } = await supabase
+    .from('academic_calendar_events')
+    .select('event_type, name, start_date, end_date');
+
+  if (error) {
+    throw error;
+  }
+
+  const covering = (events || []).filter(event => event.start_date <= date && event.end_date >= date);
+  const closure = covering.find(event => event.event_type !== 'term');
+  if (closure) {
+    return `${closure.name} (${closure.event_type})`;
+  }
+
+  const hasTerms = (events || []).some(event => event.event_type === 'term');
+  if (hasTerms && !covering.some(event => event.event_type === 'term')) {
+    return 'Outside term dates';
+  }
+
+  // No school_timings row for this weekday while other days have one
+  return `${getDayName(date)} is not an active school day`;
+}
+
+/**
+ * Get the numbered class periods of a school_timings row.
+ * Breaks, lunch, recess and assembly entries are skipped, so period_number
+ * is the 1-based position among teaching periods only.
+ */
+function getClassPeriods(timing) {
+  return (timing?.periods || [])
+    .filter(period => period.type === 'class')
+    .map((period, index) => ({
+      period_number: index + 1,
+      name: period.name,
+      start_time: period.startTime,
+      end_time: period.endTime
+    }));
+}
+
+/**
+ * Minutes since midnight for an "HH:MM" or "HH:MM:SS" time string
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Classify a check-in time against the day's start time and the
+ * attendance_config thresholds:
+ *   up to late_threshold_minutes after start   -> present
+ *   up to absent_threshold_minutes after start -> late
+ *   later than that                            -> absent
+ */
+function classifyCheckIn(checkInTime, startTime, config = {}) {
+  const lateThreshold = Number(config.late_threshold_minutes ?? 15);
+  const absentThreshold = Number(config.absent_threshold_minutes ?? 30);
+  const minutesLate = Math.max(0, toMinutes(checkInTime) - toMinutes(startTime));
+
+  let status = 'present';
+  if (minutesLate > absentThreshold) {
+    status = 'absent';
+  } else if (minutesLate > lateThreshold) {
+    status = 'late';
+  }
+
+  return { status, minutes_late: minutesLate };
+}
+
+module.exports = {
+  classifyCheckIn,
+  getDayName,
+  getSchoolNow,
+  getTimingForDate,
+  getInstructionalDays,
+  getUpcomingInstructionalDays,
+  getNonInstructionalReason,
+  getClassPeriods
+};
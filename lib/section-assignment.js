@@ -0,0 +1,269 @@
+// PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+const fullName = (student) => `${student.first_name} ${student.last_name}`;
+
+// Value of the balancing attribute (e.g. metadata.gender), normalised so that
+// 'F' and 'f' count as the same group
+const balanceValue = (student, balanceBy) => {
+  if (!balanceBy) {
+    return null;
+  }
+  const value = student?.metadata?.[balanceBy];
+  return value === undefined || value === null || value === '' ? 'unspecified' : String(value).trim().toLowerCase();
+};
+
+async function getActiveEnrollments(supabase, gradeSectionIds) {
+  const enrollments = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('grade_section_enrollments')
+      .select(`
+        id, student_id, grade_section_id,
+        student:users!grade_section_enrollments_student_id_fkey(metadata)
+      `)
+      .in('grade_section_id', gradeSectionIds)
+      .eq('status', 'active')
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    enrollments.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return enrollments;
+    }
+  }
+}
+
+/**
+ * Propose a balanced distribution of new students across the active grade
+ * sections of a grade level, without changing anything.
+ *
+ * Each student goes to the section with the fewest students that still has
+ * a free place; with `balanceBy` (a users.metadata key such as 'gender') ties
+ * go to the section with the fewest students of the same value. Students in a
+ * `keepApart` group (e.g. siblings) are placed in different sections where
+ * possible, also apart from group members who are already enrolled.
+ *
+ * @returns {Promise<object|null>} the plan, or null when the grade level has no
+ *   active sections. `error` is set instead when its sections span several
+ *   academic years. `unplaced` lists students who did not fit and
+ *   `unknown_students` IDs that are not students; the plan can only be
+ *   applied when both are empty.
+ */
+async function planSectionAssignment(supabase, { gradeLevel, academicYear, studentIds, balanceBy, keepApart = [] }) {
+  let sectionsQuery = supabase
+    .from('grade_sections')
+    .select('id, name, section, academic_year, max_students')
+    .eq('grade_level', gradeLevel)
+    .eq('is_active', true)
+    .order('section', { ascending: true });
+
+  if (academicYear) {
+    sectionsQuery = sectionsQuery.eq('academic_year', academicYear);
+  }
+
+  const { data: gradeSections, error: sectionsError } = await sectionsQuery;
+
+  if (sectionsError) {
+    throw sectionsError;
+  }
+
+  if (!gradeSections || gradeSections.length === 0) {
+    return null;
+  }
+
+  const years = [...new Set(gradeSections.map(section => section.academic_year))];
+  if (years.length > 1) {
+    return { error: `Grade ${gradeLevel} has active sections in several academic years (${years.join(', ')}); specify academic_year` };
+  }
+
+  const ids = [...new Set(studentIds)];
+  const { data: students, error: studentsError } = await supabase
+    .from('users')
+    .select('id, first_name, last_name, metadata')
+    .in('id', ids)
+    .eq('role', 'student')
+    .order('last_name', { ascending: true })
+    .order('first_name', { ascending: true });
+
+  if (studentsError) {
+    throw studentsError;
+  }
+
+  const found = new Set((students || []).map(student => student.id));
+
+  // Students who already have a grade section are not moved
+  const { data: existing, error: existingError } = await supabase
+    .from('grade_section_enrollments')
+    .select('student_id, grade_section:grade_sections(id, name)')
+    .in('student_id', ids)
+    .eq('status', 'active');
+
+  if (existingError) {
+    throw existingError;
+  }
+
+  const enrolledIn = new Map((existing || []).map(row => [row.student_id, row.grade_section]));
+
+  const sections = gradeSections.map(section => ({
+    id: section.id,
+    name: section.name,
+    section: section.section,
+    max_students: section.max_students,
+    current_count: 0,
+    assigned_count: 0,
+    counts: {}
+  }));
+  const sectionsById = new Map(sections.map(section => [section.id, section]));
+
+  const keepApartGroups = keepApart.map(group => new Set(group));
+  const groupSections = keepApartGroups.map(() => new Set());
+
+  for (const enrollment of await getActiveEnrollments(supabase, sections.map(section => section.id))) {
+    const section = sectionsById.get(enrollment.grade_section_id);
+    const value = balanceValue(enrollment.student, balanceBy);
+    section.current_count += 1;
+    section.counts[value] = (section.counts[value] || 0) + 1;
+
+    keepApartGroups.forEach((group, index) => {
+      if (group.has(enrollment.student_id)) {
+        groupSections[index].add(section.id);
+      }
+    });
+  }
+
+  const total = section => section.current_count + section.assigned_count;
+  const hasPlace = section => section.max_students === null || total(section) < section.max_students;
+
+  const toPlace = (students || []).filter(student => !enrolledIn.has(student.id));
+  const alreadyEnrolled = (students || [])
+    .filter(student => enrolledIn.has(student.id))
+    .map(student => ({
+      student_id: student.id,
+      student_name: fullName(student),
+      grade_section: enrolledIn.get(student.id)?.name || null
+    }));
+
+  // Most constrained first: students in keep-apart groups, then the rest
+  // interleaved by balance value so every section gets a share of each
+  const inGroup = student => keepApartGroups.some(group => group.has(student.id));
+  const byValue = new Map();
+  for (const student of toPlace.filter(student => !inGroup(student))) {
+    const value = balanceValue(student, balanceBy);
+    byValue.set(value, [...(byValue.get(value) || []), student]);
+  }
+  const queues = [...byValue.values()].sort((a, b) => b.length - a.length);
+  const ordered = toPlace.filter(inGroup);
+  while (queues.some(queue => queue.length > 0)) {
+    for (const queue of queues) {
+      if (queue.length > 0) {
+        ordered.push(queue.shift());
+      }
+    }
+  }
+
+  const assignments = [];
+  const unplaced = [];
+  const constraintViolations = [];
+
+  for (const student of ordered) {
+    const value = balanceValue(student, balanceBy);
+    const groups = keepApartGroups
+      .map((group, index) => (group.has(student.id) ? index : -1))
+      .filter(index => index >= 0);
+
+    const open = sections.filter(hasPlace);
+    if (open.length === 0) {
+      unplaced.push({ student_id: student.id, student_name: fullName(student), reason: 'No free places left in this grade level' });
+      continue;
+    }
+
+    const apart = open.filter(section => groups.every(index => !groupSections[index].has(section.id)));
+    const candidates = apart.length > 0 ? apart : open;
+
+    const [target] = candidates.sort((a, b) =>
+      total(a) - total(b) ||
+      (a.counts[value] || 0) - (b.counts[value] || 0) ||
+      String(a.section).localeCompare(String(b.section)));
+
+    if (apart.length === 0 && groups.length > 0) {
+      constraintViolations.push({
+        student_id: student.id,
+        student_name: fullName(student),
+        grade_section: target.name,
+        reason: 'Could not be kept apart from their group'
+      });
+    }
+
+    target.assigned_count += 1;
+    target.counts[value] = (target.counts[value] || 0) + 1;
+    groups.forEach(index => groupSections[index].add(target.id));
+
+    assignments.push({
+      student_id: student.id,
+      student_name: fullName(student),
+      grade_section_id: target.id,
+      grade_section: target.name,
+      ...(balanceBy ? { [balanceBy]: value } : {})
+    });
+  }
+
+  return {
+    grade_level: gradeLevel,
+    academic_year: years[0],
+    balance_by: balanceBy || null,
+    sections: sections.map(section => ({
+      id: section.id,
+      name: section.name,
+      max_students: section.max_students,
+      current_count: section.current_count,
+      assigned_count: section.assigned_count,
+      final_count: total(section),
+      ...(balanceBy ? { [balanceBy]: section.counts } : {})
+    })),
+    assignments,
+    unplaced,
+    already_enrolled: alreadyEnrolled,
+    unknown_students: ids.filter(studentId => !found.has(studentId)),
+    constraint_violations: constraintViolations,
+    summary: {
+      students: ids.length,
+      assigned: assignments.length,
+      unplaced: unplaced.length,
+      already_enrolled: alreadyEnrolled.length
+    }
+  };
+}
+
+/**
+ * Enroll the students of a plan from planSectionAssignment in one transaction
+ * (see the assign_grade_section_students function). Throws the database
+ * error, which has code 23514 when a section filled up in the meantime.
+ */
+async function applySectionAssignment(supabase, plan, performedBy) {
+  const bySection = new Map();
+  for (const assignment of plan.assignments) {
+    bySection.set(assignment.grade_section_id, [...(bySection.get(assignment.grade_section_id) || []), assignment.student_id]);
+  }
+
+  const { data, error } = await supabase.rpc('assign_grade_section_students', {
+    p_assignments: [...bySection].map(([grade_section_id, student_ids]) => ({ grade_section_id, student_ids })),
+    p_assigned_by: performedBy
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = {
+  planSectionAssignment,
+  applySectionAssignment
+};
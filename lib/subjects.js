@@ -0,0 +1,107 @@
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Active subjects of the catalogue.
+ */
+async function getSubjectCatalogue(supabase) {
+  const { data: subjects, error } = await supabase
+    .from('subjects')
+    .select('id, name, code, aliases')
+    .eq('is_active', true)
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return subjects || [];
+}
+
+/**
+ * Catalogue subject matching a name, code or alias (case-insensitive), or null.
+ */
+function findSubject(catalogue, name) {
+  const wanted = normalizeName(name);
+  if (!wanted) {
+    return null;
+  }
+
+  return catalogue.find(subject =>
+    normalizeName(subject.name) === wanted ||
+    normalizeName(subject.code) === wanted ||
+    (subject.aliases || []).some(alias => normalizeName(alias) === wanted)
+  ) || null;
+}
+
+/**
+ * Resolve free-text subject names to catalogue subjects.
+ *
+ * Until the catalogue has active subjects nothing is enforced and names are
+ * returned unchanged, so schools can adopt the catalogue gradually.
+ *
+ * @returns {Promise<{enforced: boolean, subjects: (object|null)[], unknown: string[]}>}
+ *   `subjects` lines up with `names` (null where unresolved or not enforced)
+ */
+async function resolveSubjects(supabase, names) {
+  const catalogue = await getSubjectCatalogue(supabase);
+
+  if (catalogue.length === 0) {
+    return { enforced: false, subjects: names.map(() => null), unknown: [] };
+  }
+
+  const subjects = names.map(name => findSubject(catalogue, name));
+  const unknown = names.filter((name, index) => !subjects[index]);
+
+  return { enforced: true, subjects, unknown: [...new Set(unknown)] };
+}
+
+/**
+ * Validate a homework `subjects` array ([{ subject, homework, due_date }])
+ * against the catalogue, replacing each subject with its catalogue name and
+ * adding `subject_id`.
+ *
+ * @returns {Promise<{subjects: object[], unknown: string[]}>}
+ */
+async function normalizeHomeworkSubjects(supabase, entries) {
+  const list = Array.isArray(entries) ? entries : [];
+  const { enforced, subjects, unknown } = await resolveSubjects(supabase, list.map(entry => entry?.subject));
+
+  if (!enforced) {
+    return { subjects: list, unknown: [] };
+  }
+
+  return {
+    subjects: list.map((entry, index) => subjects[index]
+      ? { ...entry, subject: subjects[index].name, subject_id: subjects[index].id }
+      : entry),
+    unknown
+  };
+}
+
+/**
+ * Catalogue names of the subjects a teacher teaches in a grade section.
+ */
+async function getTeacherSubjects(supabase, gradeSectionId, teacherId) {
+  const { data: mappings, error } = await supabase
+    .from('grade_section_subjects')
+    .select('subject:subjects(id, name, is_active)')
+    .eq('grade_section_id', gradeSectionId)
+    .eq('teacher_id', teacherId);
+
+  if (error) {
+    throw error;
+  }
+
+  return (mappings || [])
+    .map(mapping => mapping.subject)
+    .filter(subject => subject && subject.is_active)
+    .map(subject => subject.name);
+}
+
+module.exports = {
+  getSubjectCatalogue,
+  findSubject,
+  resolveSubjects,
+  normalizeHomeworkSubjects,
+  getTeacherSubjects
+};
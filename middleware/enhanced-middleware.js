@@ -64,7 +64,8 @@ const smartCache = (options = {}) => {
 const enhancedCORS = cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-None-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true,
   optionsSuccessStatus: 200,
 });
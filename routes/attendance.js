@@ -4,6 +4,11 @@ const { authenticateToken } = require('../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const { stormEndpointMiddleware, smartCache } = require('../middleware/enhanced-middleware');
 const cacheManager = require('../lib/cache');
+const { getSchoolNow, getTimingForDate, getClassPeriods, classifyCheckIn } = require('../lib/school-timings');
+const attendanceScheduler = require('../lib/attendance-scheduler');
+const { attendanceRate, getMonthRange, buildRegisters, registersToXlsx, registersToCsv } = require('../lib/attendance-register');
+const { getAttendanceConfig, getAttendanceLock } = require('../lib/attendance-lock');
+const { canAccessSection, getStaffGradeSectionIds } = require('../lib/grade-section-staff');
 
 // Initialize Supabase client
 const supabaseAdmin = createClient(
@@ -16,6 +21,290 @@ router.use((req, res, next) => {
   next();
 });
 
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Resolve a period_number against the class periods configured for the
+ * weekday of `date`. Returns null when no such period exists.
+ */
+const findClassPeriod = async (supabase, date, periodNumber) => {
+  const timing = await getTimingForDate(supabase, date);
+  return getClassPeriods(timing).find(period => period.period_number === periodNumber) || null;
+};
+
+/**
+ * Reject a teacher's write to a grade section/date whose edit window has
+ * passed (admins are never locked out). Returns true when a 423 was sent.
+ */
+const rejectIfLocked = async (req, res, grade_section_id, date) => {
+  if (req.user.role === 'admin') {
+    return false;
+  }
+
+  const lock = await getAttendanceLock(req.supabase, grade_section_id, date);
+  if (!lock.locked) {
+    return false;
+  }
+
+  console.log('🔒 [ATTENDANCE] Attendance locked for grade section:', grade_section_id, 'on', date);
+  res.status(423).json({
+    error: 'Attendance for this date is locked. Ask an administrator to unlock it.',
+    code: 'ATTENDANCE_LOCKED',
+    grade_section_id,
+    date,
+    editable_until: lock.editable_until
+  });
+  return true;
+};
+
+/**
+ * Access check for a single student's attendance: students can only see
+ * their own, teachers can see students in their grade sections. A teacher
+ * the student has transferred away from only sees the dates the student
+ * spent in their grade section.
+ * Returns null when an error response has been sent, otherwise the date
+ * limits to apply as { start_date, end_date }; both are null when access is
+ * unrestricted.
+ */
+const checkStudentAccess = async (req, res, student_id) => {
+  const { user, supabase } = req;
+  const unrestricted = { start_date: null, end_date: null };
+
+  if (user.role === 'student' && student_id !== user.id) {
+    console.log('❌ [ATTENDANCE] Access denied - student trying to access another student\'s data');
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  if (user.role !== 'teacher') {
+    return unrestricted;
+  }
+
+  // Every enrollment, current and past, so teachers of earlier sections keep read access
+  const { data: enrollments, error } = await supabase
+    .from('grade_section_enrollments')
+    .select('grade_section_id, status, started_on, ended_on')
+    .eq('student_id', student_id);
+
+  if (error) {
+    console.error('❌ [ATTENDANCE] Error fetching student enrollments:', error);
+    res.status(500).json({ error: 'Failed to verify access' });
+    return null;
+  }
+
+  if (!enrollments || enrollments.length === 0) {
+    console.log('❌ [ATTENDANCE] Student not found in any grade section');
+    res.status(404).json({ error: 'Student not found' });
+    return null;
+  }
+
+  const staffSectionIds = await getStaffGradeSectionIds(supabase, user.id);
+  const ownEnrollments = enrollments.filter(enrollment => staffSectionIds.includes(enrollment.grade_section_id));
+
+  if (ownEnrollments.length === 0) {
+    console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of student\'s grade section');
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  if (ownEnrollments.some(enrollment => enrollment.status === 'active')) {
+    return unrestricted;
+  }
+
+  return {
+    start_date: ownEnrollments.map(enrollment => enrollment.started_on).sort()[0],
+    end_date: ownEnrollments.map(enrollment => enrollment.ended_on).sort().reverse()[0]
+  };
+};
+
+/**
+ * Narrow a requested date range to the limits from checkStudentAccess.
+ */
+const clampDateRange = (startDate, endDate, limits) => ({
+  startDate: limits.start_date && limits.start_date > startDate ? limits.start_date : startDate,
+  endDate: limits.end_date && limits.end_date < endDate ? limits.end_date : endDate
+});
+
+/**
+ * Summarize get_student_attendance_history rows (newest first):
+ * per-month counts, overall rate, current/longest attendance streak and the
+ * most recent absences. Present and late days extend a streak, absences
+ * break it, excused and unmarked days are skipped. Rates are computed like
+ * the register's (see attendanceRate), over marked days only.
+ */
+const summarizeAttendanceHistory = (history, absencesLimit) => {
+  // One row per day (the latest mark wins if a student moved sections mid-day)
+  const seen = new Set();
+  const days = (history || []).filter(row => {
+    if (seen.has(row.date)) {
+      return false;
+    }
+    seen.add(row.date);
+    return true;
+  });
+
+  const emptyCounts = () => ({ present: 0, absent: 0, late: 0, excused: 0, unmarked: 0 });
+
+  const totals = emptyCounts();
+  const months = new Map();
+  for (const day of days) {
+    const month = String(day.date).slice(0, 7);
+    if (!months.has(month)) {
+      months.set(month, emptyCounts());
+    }
+    if (day.status in totals) {
+      totals[day.status]++;
+      months.get(month)[day.status]++;
+    }
+  }
+
+  // Streaks, walking from the oldest day forward
+  let currentStreak = 0;
+  let longestStreak = 0;
+  for (const day of [...days].reverse()) {
+    if (day.status === 'present' || day.status === 'late') {
+      currentStreak++;
+      longestStreak = Math.max(longestStreak, currentStreak);
+    } else if (day.status === 'absent') {
+      currentStreak = 0;
+    }
+  }
+
+  return {
+    totals: { ...totals, days_marked: totals.present + totals.absent + totals.late + totals.excused },
+    attendance_rate: attendanceRate(totals),
+    current_streak: currentStreak,
+    longest_streak: longestStreak,
+    monthly: [...months.entries()].map(([month, counts]) => ({
+      month,
+      ...counts,
+      attendance_rate: attendanceRate(counts)
+    })),
+    recent_absences: days
+      .filter(day => day.status === 'absent')
+      .slice(0, absencesLimit)
+      .map(day => ({ date: day.date, grade_section_name: day.grade_section_name, notes: day.notes }))
+  };
+};
+
+/**
+ * Invalidate every cache entry that can hold attendance for a grade section/date.
+ * Failures are logged and never fail the write that triggered them.
+ */
+const invalidateAttendanceCaches = (req, grade_section_id, date) => {
+  const { user } = req;
+  // CRITICAL: Invalidate ALL related caches to ensure data consistency
+  try {
+    console.log('   💾 [CACHE] Invalidating all attendance-related caches...');
+    
+    // Get the singleton cacheManager instance from the app context
+    const cacheManager = req.app.get('cacheManager');
+    
+    // RECONSTRUCT THE KEY USING THE EXACT SAME METHODS AS THE MIDDLEWARE
+    const today = new Date().toISOString().split('T')[0];
+    const dailyEndpointUrl = `/api/attendance/grade-sections/daily?date=${date}`;
+    const userKey = cacheManager.userKey(user.id, dailyEndpointUrl);
+    const dateKey = cacheManager.dateKey(today, userKey); // This will correctly generate the key with '::' at the end
+
+    const cacheKeysToInvalidate = [
+      // Individual grade section attendance cache
+      `attendance_${grade_section_id}_${date}`,
+      
+      // Daily overview caches (the main issue) - using the guaranteed correct key
+      dateKey,
+      userKey,
+      
+      // Legacy cache keys (just in case they exist from previous versions)
+      `attendance_daily_${date}`,
+      `grade_sections_daily_${date}`,
+
+      // Statistics caches
+      `attendance_stats_${grade_section_id}_${date}`,
+      `attendance_overview_${date}`
+    ];
+    
+    // Invalidate each cache key
+    let invalidatedCount = 0;
+    for (const cacheKey of cacheKeysToInvalidate) {
+      try {
+        const deleted = cacheManager.del(cacheKey);
+        if (deleted) {
+          console.log(`   💾 [CACHE] Invalidated: ${cacheKey}`);
+          invalidatedCount++;
+        }
+      } catch (cacheError) {
+        console.error(`   ⚠️ [CACHE] Failed to invalidate ${cacheKey}:`, cacheError.message);
+      }
+    }
+    
+    // Also clear wildcard patterns for comprehensive invalidation
+    try {
+      // Clear all smart cache entries for this date and attendance endpoints
+      // CRITICAL: Use TODAY's date for cache keys, not the requested date
+      const patterns = [
+        `date:${today}:user:*:/api/attendance/grade-sections/daily*`,
+        `user:*:/api/attendance/grade-sections/daily?date=${date}*`,
+        `attendance_daily_${date}*`
+      ];
+      
+      let totalWildcardDeleted = 0;
+      for (const pattern of patterns) {
+        const wildcardDeleted = cacheManager.delPattern ? cacheManager.delPattern(pattern) : 0;
+        totalWildcardDeleted += wildcardDeleted;
+        if (wildcardDeleted > 0) {
+          console.log(`   💾 [CACHE] Cleared ${wildcardDeleted} wildcard caches matching: ${pattern}`);
+        }
+      }
+      
+      if (totalWildcardDeleted > 0) {
+        console.log(`   💾 [CACHE] Total wildcard deletions: ${totalWildcardDeleted}`);
+      }
+    } catch (wildcardError) {
+      console.error('   ⚠️ [CACHE] Wildcard cache clearing failed:', wildcardError.message);
+    }
+    
+    console.log(`   ✅ [CACHE] Successfully invalidated ${invalidatedCount} cache keys`);
+    
+  } catch (cacheInvalidationError) {
+    console.error('   ⚠️ [CACHE] Cache invalidation failed (non-critical):', cacheInvalidationError);
+    // Don't fail the attendance marking if cache invalidation fails
+  }
+};
+
+/**
+ * GET /api/attendance/periods?date=yyyy-mm-dd
+ * Get the class periods configured in school timings for the weekday of a date
+ */
+router.get('/periods', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /periods - Fetching class periods');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+
+  try {
+    const { date } = req.query;
+    const supabase = req.supabase;
+
+    if (!date) {
+      console.log('❌ [ATTENDANCE] Missing required parameter: date');
+      return res.status(400).json({ error: 'Missing required parameter: date' });
+    }
+
+    const timing = await getTimingForDate(supabase, date);
+    const periods = getClassPeriods(timing);
+
+    console.log('✅ [ATTENDANCE] Successfully fetched', periods.length, 'class periods');
+    res.json({
+      date,
+      day: timing?.day || null,
+      is_active: timing?.is_active ?? false,
+      periods
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in periods route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * GET /api/attendance/grade-sections
  * Get all grade sections for attendance marking (role-based)
@@ -35,10 +324,10 @@ router.get('/grade-sections', authenticateToken, async (req, res) => {
       .order('grade_level', { ascending: true })
       .order('section', { ascending: true });
 
-    // Role-based filtering
+    // Role-based filtering: teachers see every section they are on the staff of
     if (user.role === 'teacher') {
       console.log('   👨‍🏫 Teacher filtering - teacher_id:', user.id);
-      query = query.eq('teacher_id', user.id);
+      query = query.in('id', await getStaffGradeSectionIds(supabase, user.id));
     }
     // Admins can see all grade sections
 
@@ -58,8 +347,9 @@ router.get('/grade-sections', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/attendance?grade_section_id=xxx&date=yyyy-mm-dd
- * Get students with attendance status for a grade section on a specific date
+ * GET /api/attendance?grade_section_id=xxx&date=yyyy-mm-dd[&period_number=n]
+ * Get students with attendance status for a grade section on a specific date.
+ * Without period_number the daily (rolled-up) status is returned.
  */
 router.get('/', authenticateToken, async (req, res) => {
   console.log('🔍 [ATTENDANCE] GET / - Fetching students with attendance');
@@ -69,6 +359,7 @@ router.get('/', authenticateToken, async (req, res) => {
   try {
     const { user } = req;
     const { grade_section_id, date } = req.query;
+    const periodNumber = req.query.period_number ? parseInt(req.query.period_number, 10) : null;
     const supabase = req.supabase;
 
     if (!grade_section_id || !date) {
@@ -76,28 +367,30 @@ router.get('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Missing required parameters: grade_section_id and date' });
     }
 
-    // Check if user has access to this grade section
-    if (user.role === 'teacher') {
-      const { data: gradeSectionData } = await supabase
-        .from('grade_sections')
-        .select('teacher_id')
-        .eq('id', grade_section_id)
-        .single();
+    if (req.query.period_number && !(periodNumber > 0)) {
+      console.log('❌ [ATTENDANCE] Invalid period_number');
+      return res.status(400).json({ error: 'period_number must be a positive integer' });
+    }
 
-      if (gradeSectionData?.teacher_id !== user.id) {
-        console.log('❌ [ATTENDANCE] Access denied - teacher not assigned to this grade section');
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    // Check if user has access to this grade section
+    if (user.role === 'teacher' && !(await canAccessSection(supabase, user, grade_section_id, 'view'))) {
+      console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of this grade section');
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    console.log('   📚 Getting students for grade section:', grade_section_id, 'on date:', date);
+    console.log('   📚 Getting students for grade section:', grade_section_id, 'on date:', date, periodNumber ? `(period ${periodNumber})` : '');
 
     // Use the optimized function to get students with attendance status
-    const { data: students, error } = await supabase
-      .rpc('get_grade_section_attendance', {
-        p_grade_section_id: grade_section_id,
-        p_date: date
-      });
+    const { data: students, error } = periodNumber
+      ? await supabase.rpc('get_grade_section_period_attendance', {
+          p_grade_section_id: grade_section_id,
+          p_date: date,
+          p_period_number: periodNumber
+        })
+      : await supabase.rpc('get_grade_section_attendance', {
+          p_grade_section_id: grade_section_id,
+          p_date: date
+        });
 
     if (error) {
       console.error('❌ [ATTENDANCE] Error fetching students:', error);
@@ -121,6 +414,7 @@ router.get('/', authenticateToken, async (req, res) => {
       students: students || [],
       statistics: stats,
       date: date,
+      period_number: periodNumber,
       grade_section_id: grade_section_id
     });
   } catch (error) {
@@ -131,7 +425,9 @@ router.get('/', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/attendance/bulk-mark
- * Bulk mark attendance for multiple students efficiently
+ * Bulk mark attendance for multiple students efficiently.
+ * With period_number the records are stored for that period and the daily
+ * status is rolled up from all marked periods.
  */
 router.post('/bulk-mark', authenticateToken, async (req, res) => {
   console.log('🔍 [ATTENDANCE] POST /bulk-mark - Bulk marking attendance');
@@ -140,7 +436,7 @@ router.post('/bulk-mark', authenticateToken, async (req, res) => {
   
   try {
     const { user } = req;
-    const { grade_section_id, date, attendance_records } = req.body;
+    const { grade_section_id, date, attendance_records, period_number } = req.body;
     const supabase = req.supabase;
 
     // Validate required fields
@@ -149,20 +445,26 @@ router.post('/bulk-mark', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Check if user has access to this grade section
-    if (user.role === 'teacher') {
-      const { data: gradeSectionData } = await supabase
-        .from('grade_sections')
-        .select('teacher_id')
-        .eq('id', grade_section_id)
-        .single();
+    let period = null;
+    if (period_number !== undefined && period_number !== null) {
+      period = await findClassPeriod(supabase, date, parseInt(period_number, 10));
 
-      if (gradeSectionData?.teacher_id !== user.id) {
-        console.log('❌ [ATTENDANCE] Access denied - teacher not assigned to this grade section');
-        return res.status(403).json({ error: 'Access denied to this grade section' });
+      if (!period) {
+        console.log('❌ [ATTENDANCE] Unknown period for date:', period_number, date);
+        return res.status(400).json({ error: `Period ${period_number} is not a class period on ${date}` });
       }
     }
 
+    // Check if user has access to this grade section
+    if (user.role === 'teacher' && !(await canAccessSection(supabase, user, grade_section_id, 'mark_attendance'))) {
+      console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of this grade section');
+      return res.status(403).json({ error: 'Access denied to this grade section' });
+    }
+
+    if (await rejectIfLocked(req, res, grade_section_id, date)) {
+      return;
+    }
+
     // Validate attendance records
     const validStatuses = ['present', 'absent', 'late', 'excused', 'unmarked'];
     const invalidRecords = attendance_records.filter(record => 
@@ -177,16 +479,24 @@ router.post('/bulk-mark', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log('   📝 Marking attendance for', attendance_records.length, 'students');
+    console.log('   📝 Marking attendance for', attendance_records.length, 'students', period ? `(period ${period.period_number})` : '');
 
     // Use the bulk mark function for efficient processing
-    const { data: result, error } = await supabase
-      .rpc('bulk_mark_attendance', {
-        p_grade_section_id: grade_section_id,
-        p_date: date,
-        p_attendance_records: attendance_records,
-        p_marked_by: user.id
-      });
+    const { data: result, error } = period
+      ? await supabase.rpc('bulk_mark_period_attendance', {
+          p_grade_section_id: grade_section_id,
+          p_date: date,
+          p_period_number: period.period_number,
+          p_period_name: period.name,
+          p_attendance_records: attendance_records,
+          p_marked_by: user.id
+        })
+      : await supabase.rpc('bulk_mark_attendance', {
+          p_grade_section_id: grade_section_id,
+          p_date: date,
+          p_attendance_records: attendance_records,
+          p_marked_by: user.id
+        });
 
     if (error) {
       console.error('❌ [ATTENDANCE] Error marking attendance:', error);
@@ -195,82 +505,7 @@ router.post('/bulk-mark', authenticateToken, async (req, res) => {
 
     console.log('✅ [ATTENDANCE] Successfully marked attendance:', result);
     
-    // CRITICAL: Invalidate ALL related caches to ensure data consistency
-    try {
-      console.log('   💾 [CACHE] Invalidating all attendance-related caches...');
-      
-      // Get the singleton cacheManager instance from the app context
-      const cacheManager = req.app.get('cacheManager');
-      
-      // RECONSTRUCT THE KEY USING THE EXACT SAME METHODS AS THE MIDDLEWARE
-      const today = new Date().toISOString().split('T')[0];
-      const dailyEndpointUrl = `/api/attendance/grade-sections/daily?date=${date}`;
-      const userKey = cacheManager.userKey(user.id, dailyEndpointUrl);
-      const dateKey = cacheManager.dateKey(today, userKey); // This will correctly generate the key with '::' at the end
-
-      const cacheKeysToInvalidate = [
-        // Individual grade section attendance cache
-        `attendance_${grade_section_id}_${date}`,
-        
-        // Daily overview caches (the main issue) - using the guaranteed correct key
-        dateKey,
-        userKey,
-        
-        // Legacy cache keys (just in case they exist from previous versions)
-        `attendance_daily_${date}`,
-        `grade_sections_daily_${date}`,
-
-        // Statistics caches
-        `attendance_stats_${grade_section_id}_${date}`,
-        `attendance_overview_${date}`
-      ];
-      
-      // Invalidate each cache key
-      let invalidatedCount = 0;
-      for (const cacheKey of cacheKeysToInvalidate) {
-        try {
-          const deleted = cacheManager.del(cacheKey);
-          if (deleted) {
-            console.log(`   💾 [CACHE] Invalidated: ${cacheKey}`);
-            invalidatedCount++;
-          }
-        } catch (cacheError) {
-          console.error(`   ⚠️ [CACHE] Failed to invalidate ${cacheKey}:`, cacheError.message);
-        }
-      }
-      
-      // Also clear wildcard patterns for comprehensive invalidation
-      try {
-        // Clear all smart cache entries for this date and attendance endpoints
-        // CRITICAL: Use TODAY's date for cache keys, not the requested date
-        const patterns = [
-          `date:${today}:user:*:/api/attendance/grade-sections/daily*`,
-          `user:*:/api/attendance/grade-sections/daily?date=${date}*`,
-          `attendance_daily_${date}*`
-        ];
-        
-        let totalWildcardDeleted = 0;
-        for (const pattern of patterns) {
-          const wildcardDeleted = cacheManager.delPattern ? cacheManager.delPattern(pattern) : 0;
-          totalWildcardDeleted += wildcardDeleted;
-          if (wildcardDeleted > 0) {
-            console.log(`   💾 [CACHE] Cleared ${wildcardDeleted} wildcard caches matching: ${pattern}`);
-          }
-        }
-        
-        if (totalWildcardDeleted > 0) {
-          console.log(`   💾 [CACHE] Total wildcard deletions: ${totalWildcardDeleted}`);
-        }
-      } catch (wildcardError) {
-        console.error('   ⚠️ [CACHE] Wildcard cache clearing failed:', wildcardError.message);
-      }
-      
-      console.log(`   ✅ [CACHE] Successfully invalidated ${invalidatedCount} cache keys`);
-      
-    } catch (cacheInvalidationError) {
-      console.error('   ⚠️ [CACHE] Cache invalidation failed (non-critical):', cacheInvalidationError);
-      // Don't fail the attendance marking if cache invalidation fails
-    }
+    invalidateAttendanceCaches(req, grade_section_id, date);
     
     // Send response immediately - don't wait for push notifications
     res.json({
@@ -278,6 +513,12 @@ router.post('/bulk-mark', authenticateToken, async (req, res) => {
       result: result,
       marked_at: new Date().toISOString()
     });
+
+    // Period marks change the daily roll-up several times a day; students are
+    // only notified when the daily register itself is marked.
+    if (period) {
+      return;
+    }
     
     // Send push notifications in the background (async, non-blocking)
     setImmediate(async () => {
@@ -329,6 +570,182 @@ router.post('/bulk-mark', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/attendance/check-in
+ * Record a student check-in (kiosk or teacher app). The status is classified
+ * as present/late/absent from the check-in time, the day's school start time
+ * and the attendance_config thresholds, then written via bulk_mark_attendance.
+ * Body: { student_id, timestamp?, grade_section_id?, notes? }
+ */
+router.post('/check-in', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] POST /check-in - Recording check-in');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  try {
+    const { user } = req;
+    const { student_id, timestamp, grade_section_id, notes } = req.body;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin' && user.role !== 'teacher') {
+      console.log('❌ [ATTENDANCE] Access denied - insufficient permissions');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!student_id) {
+      console.log('❌ [ATTENDANCE] Missing student_id');
+      return res.status(400).json({ error: 'Missing required field: student_id' });
+    }
+
+    const checkInAt = timestamp ? new Date(timestamp) : new Date();
+    if (isNaN(checkInAt.getTime())) {
+      console.log('❌ [ATTENDANCE] Invalid timestamp:', timestamp);
+      return res.status(400).json({ error: 'Invalid timestamp' });
+    }
+
+    const { date, time } = getSchoolNow(checkInAt);
+
+    // Find the student's active grade section
+    let enrollmentQuery = supabase
+      .from('grade_section_enrollments')
+      .select('grade_section_id, grade_section:grade_sections(id, name, teacher_id, is_active)')
+      .eq('student_id', student_id)
+      .eq('status', 'active');
+
+    if (grade_section_id) {
+      enrollmentQuery = enrollmentQuery.eq('grade_section_id', grade_section_id);
+    }
+
+    const { data: enrollments, error: enrollmentError } = await enrollmentQuery;
+
+    if (enrollmentError) {
+      console.error('❌ [ATTENDANCE] Error fetching enrollment:', enrollmentError);
+      return res.status(500).json({ error: 'Failed to fetch student enrollment' });
+    }
+
+    const enrollment = (enrollments || []).find(e => e.grade_section?.is_active);
+    if (!enrollment) {
+      console.log('❌ [ATTENDANCE] Student not enrolled in an active grade section');
+      return res.status(404).json({ error: 'Student is not enrolled in an active grade section' });
+    }
+
+    const gradeSection = enrollment.grade_section;
+
+    if (user.role === 'teacher' && !(await canAccessSection(supabase, user, gradeSection.id, 'mark_attendance'))) {
+      console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of this grade section');
+      return res.status(403).json({ error: 'Access denied to this grade section' });
+    }
+
+    if (await rejectIfLocked(req, res, gradeSection.id, date)) {
+      return;
+    }
+
+    const timing = await getTimingForDate(supabase, date);
+    if (!timing || !timing.is_active) {
+      console.log('❌ [ATTENDANCE] Check-in on a non-school day:', date);
+      return res.status(422).json({ error: `${date} is not a school day` });
+    }
+
+    // A second scan the same day must not re-classify the first one
+    const { data: existing, error: existingError } = await supabase
+      .from('attendance')
+      .select('id, status, check_in_at')
+      .eq('student_id', student_id)
+      .eq('grade_section_id', gradeSection.id)
+      .eq('date', date)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error('❌ [ATTENDANCE] Error fetching existing attendance:', existingError);
+      return res.status(500).json({ error: 'Failed to fetch existing attendance' });
+    }
+
+    if (existing?.check_in_at) {
+      console.log('   ⏭️  Student already checked in at', existing.check_in_at);
+      return res.json({
+        message: 'Student already checked in',
+        already_checked_in: true,
+        student_id,
+        grade_section_id: gradeSection.id,
+        date,
+        status: existing.status,
+        check_in_at: existing.check_in_at
+      });
+    }
+
+    const { data: settings, error: settingsError } = await supabase
+      .from('school_settings')
+      .select('attendance_config')
+      .limit(1)
+      .single();
+
+    if (settingsError) {
+      console.error('❌ [ATTENDANCE] Error fetching attendance config:', settingsError);
+      return res.status(500).json({ error: 'Failed to fetch attendance configuration' });
+    }
+
+    const { status, minutes_late } = classifyCheckIn(time, timing.start_time, settings?.attendance_config || {});
+
+    console.log('   🕒 Check-in', time, 'vs start', timing.start_time, '->', status, `(${minutes_late} min late)`);
+
+    const { data: result, error } = await supabase
+      .rpc('bulk_mark_attendance', {
+        p_grade_section_id: gradeSection.id,
+        p_date: date,
+        p_attendance_records: [{
+          student_id,
+          status,
+          notes: notes || `Checked in at ${time}`,
+          check_in_at: checkInAt.toISOString()
+        }],
+        p_marked_by: user.id,
+        p_source: 'check-in'
+      });
+
+    if (error || result?.errors?.length > 0) {
+      console.error('❌ [ATTENDANCE] Error recording check-in:', error || result.errors);
+      return res.status(500).json({ error: 'Failed to record check-in' });
+    }
+
+    invalidateAttendanceCaches(req, gradeSection.id, date);
+
+    console.log('✅ [ATTENDANCE] Check-in recorded:', status);
+    res.status(201).json({
+      message: 'Check-in recorded successfully',
+      student_id,
+      grade_section_id: gradeSection.id,
+      date,
+      status,
+      minutes_late,
+      check_in_at: checkInAt.toISOString(),
+      school_start_time: timing.start_time
+    });
+
+    // Notify the student in the background (async, non-blocking)
+    setImmediate(async () => {
+      try {
+        await supabase.functions.invoke('push-notifications', {
+          body: {
+            action: 'send-attendance-notification',
+            data: {
+              studentId: student_id,
+              status,
+              date,
+              gradeSectionName: gradeSection.name,
+              markedBy: user.id
+            }
+          }
+        });
+      } catch (notificationError) {
+        console.error('   ⚠️ Error sending check-in notification:', notificationError);
+      }
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in check-in route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /api/attendance/reset
  * Reset daily attendance (mark all as unmarked)
@@ -381,8 +798,8 @@ router.post('/reset', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/attendance/stats?grade_section_id=xxx&start_date=yyyy-mm-dd&end_date=yyyy-mm-dd
- * Get attendance statistics for a grade section
+ * GET /api/attendance/stats?grade_section_id=xxx&start_date=yyyy-mm-dd&end_date=yyyy-mm-dd[&period_number=n]
+ * Get attendance statistics for a grade section (daily roll-up, or a single period)
  */
 router.get('/stats', authenticateToken, async (req, res) => {
   console.log('🔍 [ATTENDANCE] GET /stats - Fetching attendance statistics');
@@ -392,6 +809,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const { user } = req;
     const { grade_section_id, start_date, end_date } = req.query;
+    const periodNumber = req.query.period_number ? parseInt(req.query.period_number, 10) : null;
     const supabase = req.supabase;
 
     if (!grade_section_id) {
@@ -399,18 +817,15 @@ router.get('/stats', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Missing grade_section_id parameter' });
     }
 
-    // Check if user has access to this grade section
-    if (user.role === 'teacher') {
-      const { data: gradeSectionData } = await supabase
-        .from('grade_sections')
-        .select('teacher_id')
-        .eq('id', grade_section_id)
-        .single();
+    if (req.query.period_number && !(periodNumber > 0)) {
+      console.log('❌ [ATTENDANCE] Invalid period_number');
+      return res.status(400).json({ error: 'period_number must be a positive integer' });
+    }
 
-      if (gradeSectionData?.teacher_id !== user.id) {
-        console.log('❌ [ATTENDANCE] Access denied - teacher not assigned to this grade section');
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    // Check if user has access to this grade section
+    if (user.role === 'teacher' && !(await canAccessSection(supabase, user, grade_section_id, 'view'))) {
+      console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of this grade section');
+      return res.status(403).json({ error: 'Access denied' });
     }
 
     const startDate = start_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
@@ -422,7 +837,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
       .rpc('get_attendance_stats', {
         p_grade_section_id: grade_section_id,
         p_start_date: startDate,
-        p_end_date: endDate
+        p_end_date: endDate,
+        p_period_number: periodNumber
       });
 
     if (error) {
@@ -434,6 +850,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     res.json({
       statistics: stats || [],
       date_range: { start_date: startDate, end_date: endDate },
+      period_number: periodNumber,
       grade_section_id: grade_section_id
     });
   } catch (error) {
@@ -461,40 +878,16 @@ router.get('/history', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Missing student_id parameter' });
     }
 
-    // Check access - students can only see their own, teachers can see their grade section students
-    if (user.role === 'student' && student_id !== user.id) {
-      console.log('❌ [ATTENDANCE] Access denied - student trying to access another student\'s data');
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    if (user.role === 'teacher') {
-      // Check if the student is in one of the teacher's grade sections
-      const { data: studentEnrollment } = await supabase
-        .from('grade_section_enrollments')
-        .select('grade_section_id')
-        .eq('student_id', student_id)
-        .eq('status', 'active')
-        .single();
-
-      if (!studentEnrollment) {
-        console.log('❌ [ATTENDANCE] Student not found in any grade section');
-        return res.status(404).json({ error: 'Student not found' });
-      }
-
-      const { data: gradeSection } = await supabase
-        .from('grade_sections')
-        .select('teacher_id')
-        .eq('id', studentEnrollment.grade_section_id)
-        .single();
-
-      if (gradeSection?.teacher_id !== user.id) {
-        console.log('❌ [ATTENDANCE] Access denied - teacher not assigned to student\'s grade section');
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    const accessLimits = await checkStudentAccess(req, res, student_id);
+    if (!accessLimits) {
+      return;
     }
 
-    const startDate = start_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    const endDate = end_date || new Date().toISOString().split('T')[0];
+    const { startDate, endDate } = clampDateRange(
+      start_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      end_date || new Date().toISOString().split('T')[0],
+      accessLimits
+    );
 
     console.log('   📊 Getting history for student:', student_id, 'from', startDate, 'to', endDate);
 
@@ -523,38 +916,422 @@ router.get('/history', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/attendance/grade-sections/daily?date=YYYY-MM-DD
- * Get aggregated attendance data for all grade sections for a specific date
- * Returns: [{gradeSectionId, name, present, absent, late, excused, unmarked, rate, status}]
+ * GET /api/attendance/summary?student_id=xxx&start_date=yyyy-mm-dd&end_date=yyyy-mm-dd&absences_limit=n
+ * Attendance summary for a student: per-month counts, overall rate, current and
+ * longest streak, and the most recent absences (defaults to the last 365 days)
  */
-router.get('/grade-sections/daily', 
-  ...stormEndpointMiddleware,
-  authenticateToken, 
-  smartCache({ ttl: 60, varyByUser: true, varyByDate: true }),
-  async (req, res) => {
-  console.log('🔍 [ATTENDANCE] GET /grade-sections/daily - Fetching daily aggregated attendance');
+router.get('/summary', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /summary - Fetching student attendance summary');
   console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
   console.log('   📝 Query params:', req.query);
-  
+
   try {
     const { user } = req;
-    const { date } = req.query;
+    const { start_date, end_date } = req.query;
+    const student_id = req.query.student_id || (user.role === 'student' ? user.id : null);
+    const absencesLimit = Math.min(Math.max(parseInt(req.query.absences_limit, 10) || 5, 0), 50);
     const supabase = req.supabase;
 
-    if (!date) {
-      console.log('❌ [ATTENDANCE] Missing required parameter: date');
-      return res.status(400).json({ error: 'Missing required parameter: date' });
-    }
-
-    console.log('   📅 Getting aggregated attendance for date:', date);
+    if (!student_id) {
+      console.log('❌ [ATTENDANCE] Missing student_id parameter');
+      return res.status(400).json({ error: 'Missing student_id parameter' });
+    }
+
+    const accessLimits = await checkStudentAccess(req, res, student_id);
+    if (!accessLimits) {
+      return;
+    }
+
+    const { startDate, endDate } = clampDateRange(
+      start_date || new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      end_date || new Date().toISOString().split('T')[0],
+      accessLimits
+    );
+
+    console.log('   📊 Summarizing attendance for student:', student_id, 'from', startDate, 'to', endDate);
+
+    const { data: history, error } = await supabase
+      .rpc('get_student_attendance_history', {
+        p_student_id: student_id,
+        p_start_date: startDate,
+        p_end_date: endDate
+      });
+
+    if (error) {
+      console.error('❌ [ATTENDANCE] Error fetching student history:', error);
+      return res.status(500).json({ error: 'Failed to fetch attendance history' });
+    }
+
+    console.log('✅ [ATTENDANCE] Successfully built attendance summary from', history?.length || 0, 'days');
+    res.json({
+      student_id,
+      date_range: { start_date: startDate, end_date: endDate },
+      ...summarizeAttendanceHistory(history, absencesLimit)
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in attendance summary route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/export?month=yyyy-mm[&grade_section_id=xxx][&format=xlsx|csv]
+ * Download the monthly attendance register: students as rows, days as columns
+ * (P/A/L/E), with per-student totals and attendance rate.
+ * Without grade_section_id the register covers every active grade section (admin only).
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /export - Exporting monthly attendance register');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+
+  try {
+    const { user } = req;
+    const { grade_section_id, month } = req.query;
+    const format = (req.query.format || 'xlsx').toLowerCase();
+    const supabase = req.supabase;
+
+    const range = getMonthRange(month);
+    if (!range) {
+      console.log('❌ [ATTENDANCE] Invalid month parameter');
+      return res.status(400).json({ error: 'Invalid month parameter (expected yyyy-mm)' });
+    }
+
+    if (!['xlsx', 'csv'].includes(format)) {
+      console.log('❌ [ATTENDANCE] Invalid export format:', format);
+      return res.status(400).json({ error: 'Invalid format. Must be one of: xlsx, csv' });
+    }
+
+    if (user.role !== 'admin' && user.role !== 'teacher') {
+      console.log('❌ [ATTENDANCE] Access denied - insufficient permissions');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    let fileLabel = 'school';
+    if (grade_section_id) {
+      const { data: gradeSection } = await supabase
+        .from('grade_sections')
+        .select('name, teacher_id')
+        .eq('id', grade_section_id)
+        .maybeSingle();
+
+      if (!gradeSection) {
+        console.log('❌ [ATTENDANCE] Grade section not found');
+        return res.status(404).json({ error: 'Grade section not found' });
+      }
+
+      if (user.role === 'teacher' && !(await canAccessSection(supabase, user, grade_section_id, 'view'))) {
+        console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of this grade section');
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      fileLabel = gradeSection.name;
+    } else if (user.role !== 'admin') {
+      console.log('❌ [ATTENDANCE] Access denied - school-wide export requires admin');
+      return res.status(403).json({ error: 'Only administrators can export the school-wide register' });
+    }
+
+    console.log('   📊 Building register for', grade_section_id || 'all grade sections', 'from', range.start_date, 'to', range.end_date);
+
+    const { data: rows, error } = await supabase
+      .rpc('get_attendance_register', {
+        p_grade_section_id: grade_section_id || null,
+        p_start_date: range.start_date,
+        p_end_date: range.end_date
+      });
+
+    if (error) {
+      console.error('❌ [ATTENDANCE] Error fetching attendance register:', error);
+      return res.status(500).json({ error: 'Failed to fetch attendance register' });
+    }
+
+    const registers = buildRegisters(rows, range);
+    const fileName = `attendance-register-${fileLabel.replace(/[^A-Za-z0-9-]+/g, '-')}-${month}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    console.log('✅ [ATTENDANCE] Exported register for', registers.length, 'grade sections as', format);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(registersToCsv(registers, range));
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(registersToXlsx(registers, range));
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in attendance export route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/changes?date=yyyy-mm-dd&student_id=xxx
+ * GET /api/attendance/changes?date=yyyy-mm-dd&grade_section_id=xxx
+ * Get the change history for a student-day or a grade-section-day
+ * (old/new status, who changed it, when, and from where)
+ */
+router.get('/changes', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /changes - Fetching attendance change history');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+
+  try {
+    const { user } = req;
+    const { date, student_id, grade_section_id } = req.query;
+    const supabase = req.supabase;
+
+    if (!date || (!student_id && !grade_section_id)) {
+      console.log('❌ [ATTENDANCE] Missing required parameters');
+      return res.status(400).json({ error: 'Missing required parameters: date and student_id or grade_section_id' });
+    }
+
+    if (user.role !== 'admin' && user.role !== 'teacher') {
+      console.log('❌ [ATTENDANCE] Access denied - insufficient permissions');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    let query = supabase
+      .from('attendance_change_log')
+      .select('*')
+      .eq('date', date)
+      .order('changed_at', { ascending: true });
+
+    if (student_id) {
+      query = query.eq('student_id', student_id);
+    }
+    if (grade_section_id) {
+      query = query.eq('grade_section_id', grade_section_id);
+    }
+
+    // Teachers only see changes in their own grade sections
+    if (user.role === 'teacher') {
+      const sectionIds = await getStaffGradeSectionIds(supabase, user.id);
+      if (grade_section_id && !sectionIds.includes(grade_section_id)) {
+        console.log('❌ [ATTENDANCE] Access denied - teacher not assigned to this grade section');
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      query = query.in('grade_section_id', sectionIds);
+    }
+
+    const { data: changes, error } = await query;
+
+    if (error) {
+      console.error('❌ [ATTENDANCE] Error fetching attendance changes:', error);
+      return res.status(500).json({ error: 'Failed to fetch attendance change history' });
+    }
+
+    // Resolve actor names (the log keeps no foreign keys, so no embedded join)
+    const actorIds = [...new Set((changes || []).map(change => change.changed_by).filter(Boolean))];
+    let actors = {};
+    if (actorIds.length > 0) {
+      const { data: actorRows } = await supabase
+        .from('users')
+        .select('id, first_name, last_name, role')
+        .in('id', actorIds);
+
+      actors = Object.fromEntries((actorRows || []).map(actor => [actor.id, actor]));
+    }
+
+    console.log('✅ [ATTENDANCE] Successfully fetched', changes?.length || 0, 'attendance changes');
+    res.json({
+      date,
+      student_id: student_id || null,
+      grade_section_id: grade_section_id || null,
+      changes: (changes || []).map(change => ({
+        ...change,
+        changed_by_user: actors[change.changed_by] || null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in attendance changes route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/alerts?status=open|acknowledged|resolved&grade_section_id=xxx
+ * List chronic absenteeism alerts (admins: all sections, teachers: their own sections)
+ */
+router.get('/alerts', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /alerts - Fetching absenteeism alerts');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+
+  try {
+    const { user } = req;
+    const { status, grade_section_id } = req.query;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin' && user.role !== 'teacher') {
+      console.log('❌ [ATTENDANCE] Access denied - insufficient permissions');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (status && !ALERT_STATUSES.includes(status)) {
+      console.log('❌ [ATTENDANCE] Invalid alert status filter:', status);
+      return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('attendance_alerts')
+      .select(`
+        *,
+        student:users!attendance_alerts_student_id_fkey(id, first_name, last_name, email),
+        grade_section:grade_sections(id, name, grade_level, section, teacher_id)
+      `)
+      .order('detected_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (grade_section_id) {
+      query = query.eq('grade_section_id', grade_section_id);
+    }
+
+    if (user.role === 'teacher') {
+      const sectionIds = await getStaffGradeSectionIds(supabase, user.id);
+      if (grade_section_id && !sectionIds.includes(grade_section_id)) {
+        console.log('❌ [ATTENDANCE] Access denied - teacher not assigned to this grade section');
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      query = query.in('grade_section_id', sectionIds);
+    }
+
+    const { data: alerts, error } = await query;
+
+    if (error) {
+      console.error('❌ [ATTENDANCE] Error fetching absenteeism alerts:', error);
+      return res.status(500).json({ error: 'Failed to fetch attendance alerts' });
+    }
+
+    console.log('✅ [ATTENDANCE] Successfully fetched', alerts?.length || 0, 'alerts');
+    res.json({ alerts: alerts || [] });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in attendance alerts route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/attendance/alerts/:id
+ * Acknowledge or resolve an absenteeism alert
+ * Body: { status: 'acknowledged' | 'resolved', resolution_notes? }
+ */
+router.put('/alerts/:id', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] PUT /alerts/:id - Updating absenteeism alert');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const { status, resolution_notes } = req.body;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin' && user.role !== 'teacher') {
+      console.log('❌ [ATTENDANCE] Access denied - insufficient permissions');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!['acknowledged', 'resolved'].includes(status)) {
+      console.log('❌ [ATTENDANCE] Invalid alert status:', status);
+      return res.status(400).json({ error: 'status must be one of: acknowledged, resolved' });
+    }
+
+    const { data: alert } = await supabase
+      .from('attendance_alerts')
+      .select('id, status, grade_section_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!alert) {
+      console.log('❌ [ATTENDANCE] Alert not found');
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (user.role === 'teacher' && !(await canAccessSection(supabase, user, alert.grade_section_id, 'mark_attendance'))) {
+      console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of this grade section');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (alert.status === 'resolved') {
+      console.log('❌ [ATTENDANCE] Alert already resolved');
+      return res.status(409).json({ error: 'Alert is already resolved' });
+    }
+
+    const now = new Date().toISOString();
+    const updates = status === 'acknowledged'
+      ? { status, acknowledged_by: user.id, acknowledged_at: now }
+      : { status, resolved_by: user.id, resolved_at: now, resolution_notes: resolution_notes || null };
+
+    const { data: updated, error } = await supabase
+      .from('attendance_alerts')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ [ATTENDANCE] Error updating absenteeism alert:', error);
+      return res.status(500).json({ error: 'Failed to update attendance alert' });
+    }
+
+    console.log('✅ [ATTENDANCE] Alert', id, 'marked as', status);
+    res.json({
+      message: `Alert ${status}`,
+      alert: updated
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in attendance alert update route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/grade-sections/daily?date=YYYY-MM-DD[&period_number=n]
+ * Get aggregated attendance data for all grade sections for a specific date
+ * (daily roll-up, or a single period)
+ * Returns: [{gradeSectionId, name, present, absent, late, excused, unmarked, rate, status}]
+ */
+router.get('/grade-sections/daily', 
+  ...stormEndpointMiddleware,
+  authenticateToken, 
+  smartCache({ ttl: 60, varyByUser: true, varyByDate: true }),
+  async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /grade-sections/daily - Fetching daily aggregated attendance');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+  
+  try {
+    const { user } = req;
+    const { date } = req.query;
+    const periodNumber = req.query.period_number ? parseInt(req.query.period_number, 10) : null;
+    const supabase = req.supabase;
+
+    if (!date) {
+      console.log('❌ [ATTENDANCE] Missing required parameter: date');
+      return res.status(400).json({ error: 'Missing required parameter: date' });
+    }
+
+    if (req.query.period_number && !(periodNumber > 0)) {
+      console.log('❌ [ATTENDANCE] Invalid period_number');
+      return res.status(400).json({ error: 'period_number must be a positive integer' });
+    }
+
+    console.log('   📅 Getting aggregated attendance for date:', date, periodNumber ? `(period ${periodNumber})` : '');
 
     // Use the optimized function to get aggregated attendance data
-    const { data: attendanceData, error } = await supabase
-      .rpc('get_daily_attendance_summary', {
+    const [{ data: attendanceData, error }, { data: isInstructionalDay }] = await Promise.all([
+      supabase.rpc('get_daily_attendance_summary', {
         p_date: date,
         p_user_id: user.id,
-        p_user_role: user.role
-      });
+        p_user_role: user.role,
+        p_period_number: periodNumber
+      }),
+      supabase.rpc('is_instructional_day', { p_date: date })
+    ]);
 
     if (error) {
       console.error('❌ [ATTENDANCE] Error fetching daily attendance summary:', error);
@@ -577,6 +1354,8 @@ router.get('/grade-sections/daily',
     res.set('Cache-Control', 'public, max-age=60'); // Cache for 1 minute
     res.json({
       date,
+      period_number: periodNumber,
+      is_instructional_day: isInstructionalDay !== false,
       fields: ["id", "present", "absent", "late", "excused", "unmarked", "total"],
       rows: rows
     });
@@ -634,7 +1413,8 @@ router.get('/config', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/attendance/config
- * Update attendance configuration (admin only)
+ * Update attendance configuration (admin only). The fields sent are merged
+ * into the current configuration.
  */
 router.put('/config', authenticateToken, async (req, res) => {
   console.log('🔍 [ATTENDANCE] PUT /config - Updating attendance configuration');
@@ -652,14 +1432,29 @@ router.put('/config', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Only admins can update attendance configuration' });
     }
 
-    if (!config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
       console.log('❌ [ATTENDANCE] Missing config in request body');
       return res.status(400).json({ error: 'Missing config in request body' });
     }
 
+    // Settings the request leaves out (e.g. the edit lock and absenteeism
+    // keys) keep their current values
+    const { data: current, error: currentError } = await supabase
+      .from('school_settings')
+      .select('attendance_config')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (currentError) {
+      console.error('❌ [ATTENDANCE] Error fetching attendance config:', currentError);
+      return res.status(500).json({ error: 'Failed to fetch attendance configuration' });
+    }
+
+    const mergedConfig = { ...(current?.attendance_config || {}), ...config };
+
     // Validate config structure
     const requiredFields = ['daily_reset_time', 'default_status', 'enable_auto_reset'];
-    const missingFields = requiredFields.filter(field => !(field in config));
+    const missingFields = requiredFields.filter(field => !(field in mergedConfig));
     
     if (missingFields.length > 0) {
       console.log('❌ [ATTENDANCE] Missing required config fields:', missingFields);
@@ -669,13 +1464,57 @@ router.put('/config', authenticateToken, async (req, res) => {
       });
     }
 
+    const validStatuses = ['present', 'absent', 'late', 'excused', 'unmarked'];
+    if (!validStatuses.includes(mergedConfig.default_status)) {
+      console.log('❌ [ATTENDANCE] Invalid default_status:', config.default_status);
+      return res.status(400).json({ error: `default_status must be one of: ${validStatuses.join(', ')}` });
+    }
+
+    if (config.auto_reset_time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(config.auto_reset_time)) {
+      console.log('❌ [ATTENDANCE] Invalid auto_reset_time:', config.auto_reset_time);
+      return res.status(400).json({ error: 'auto_reset_time must be in HH:MM (24-hour) format' });
+    }
+
+    if (config.edit_window_days !== undefined && (!Number.isInteger(config.edit_window_days) || config.edit_window_days < 0)) {
+      console.log('❌ [ATTENDANCE] Invalid edit_window_days:', config.edit_window_days);
+      return res.status(400).json({ error: 'edit_window_days must be a non-negative integer' });
+    }
+
+    if (config.edit_lock_time !== undefined && config.edit_lock_time !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(config.edit_lock_time)) {
+      console.log('❌ [ATTENDANCE] Invalid edit_lock_time:', config.edit_lock_time);
+      return res.status(400).json({ error: 'edit_lock_time must be in HH:MM (24-hour) format or null' });
+    }
+
+    if (config.unlock_duration_hours !== undefined && (typeof config.unlock_duration_hours !== 'number' || config.unlock_duration_hours <= 0)) {
+      console.log('❌ [ATTENDANCE] Invalid unlock_duration_hours:', config.unlock_duration_hours);
+      return res.status(400).json({ error: 'unlock_duration_hours must be a positive number' });
+    }
+
+    for (const field of ['absenteeism_window_days', 'absenteeism_consecutive_absences']) {
+      if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] < 1)) {
+        console.log(`❌ [ATTENDANCE] Invalid ${field}:`, config[field]);
+        return res.status(400).json({ error: `${field} must be a positive integer` });
+      }
+    }
+
+    if (config.absenteeism_rate_threshold !== undefined &&
+        (typeof config.absenteeism_rate_threshold !== 'number' || config.absenteeism_rate_threshold < 0 || config.absenteeism_rate_threshold > 100)) {
+      console.log('❌ [ATTENDANCE] Invalid absenteeism_rate_threshold:', config.absenteeism_rate_threshold);
+      return res.status(400).json({ error: 'absenteeism_rate_threshold must be a number between 0 and 100' });
+    }
+
+    if (config.absenteeism_check_time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(config.absenteeism_check_time)) {
+      console.log('❌ [ATTENDANCE] Invalid absenteeism_check_time:', config.absenteeism_check_time);
+      return res.status(400).json({ error: 'absenteeism_check_time must be in HH:MM (24-hour) format' });
+    }
+
     console.log('   ⚙️  Updating attendance configuration');
 
     // Update the existing school_settings record
     const { data, error } = await supabase
       .from('school_settings')
       .update({ 
-        attendance_config: config,
+        attendance_config: mergedConfig,
         updated_by: user.id,
         updated_at: new Date().toISOString()
       })
@@ -699,4 +1538,240 @@ router.put('/config', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/attendance/lock-status?grade_section_id=xxx&date=yyyy-mm-dd
+ * Whether teachers can still edit attendance for a grade section/date, plus the unlock history for it
+ */
+router.get('/lock-status', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /lock-status - Fetching attendance lock status');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+
+  try {
+    const { user } = req;
+    const { grade_section_id, date } = req.query;
+    const supabase = req.supabase;
+
+    if (!grade_section_id || !date) {
+      console.log('❌ [ATTENDANCE] Missing required parameters');
+      return res.status(400).json({ error: 'Missing required parameters: grade_section_id and date' });
+    }
+
+    if (user.role !== 'admin' && user.role !== 'teacher') {
+      console.log('❌ [ATTENDANCE] Access denied - insufficient permissions');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (user.role === 'teacher' && !(await canAccessSection(supabase, user, grade_section_id, 'view'))) {
+      console.log('❌ [ATTENDANCE] Access denied - teacher not on the staff of this grade section');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [lock, { data: unlocks, error: unlocksError }] = await Promise.all([
+      getAttendanceLock(supabase, grade_section_id, date),
+      supabase
+        .from('attendance_unlocks')
+        .select('*, unlocked_by_user:users!attendance_unlocks_unlocked_by_fkey(id, first_name, last_name)')
+        .eq('grade_section_id', grade_section_id)
+        .eq('date', date)
+        .order('unlocked_at', { ascending: false })
+    ]);
+
+    if (unlocksError) {
+      console.error('❌ [ATTENDANCE] Error fetching unlock history:', unlocksError);
+      return res.status(500).json({ error: 'Failed to fetch unlock history' });
+    }
+
+    console.log('✅ [ATTENDANCE] Lock status:', lock.locked ? 'locked' : 'editable');
+    res.json({
+      grade_section_id,
+      date,
+      locked: lock.locked,
+      editable_until: lock.editable_until,
+      active_unlock: lock.unlock,
+      unlocks: unlocks || []
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in lock status route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/attendance/unlock
+ * Reopen a locked grade section/date for teacher edits (admin only)
+ * Body: { grade_section_id, date, reason, duration_hours? }
+ */
+router.post('/unlock', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] POST /unlock - Unlocking attendance date');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  try {
+    const { user } = req;
+    const { grade_section_id, date, reason, duration_hours } = req.body;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [ATTENDANCE] Access denied - only admins can unlock attendance');
+      return res.status(403).json({ error: 'Only admins can unlock attendance' });
+    }
+
+    if (!grade_section_id || !date) {
+      console.log('❌ [ATTENDANCE] Missing required fields');
+      return res.status(400).json({ error: 'Missing required fields: grade_section_id and date' });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      console.log('❌ [ATTENDANCE] Unlock reason is required');
+      return res.status(400).json({ error: 'A reason is required to unlock attendance' });
+    }
+
+    if (duration_hours !== undefined && (typeof duration_hours !== 'number' || duration_hours <= 0)) {
+      console.log('❌ [ATTENDANCE] Invalid duration_hours:', duration_hours);
+      return res.status(400).json({ error: 'duration_hours must be a positive number' });
+    }
+
+    const config = await getAttendanceConfig(supabase);
+    const hours = duration_hours || config.unlock_duration_hours || 24;
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    const { data: unlock, error } = await supabase
+      .from('attendance_unlocks')
+      .insert({
+        grade_section_id,
+        date,
+        reason: String(reason).trim(),
+        unlocked_by: user.id,
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ [ATTENDANCE] Error unlocking attendance:', error);
+      return res.status(500).json({ error: 'Failed to unlock attendance' });
+    }
+
+    console.log('🔓 [ATTENDANCE] Unlocked', grade_section_id, 'on', date, 'until', expiresAt, '- reason:', unlock.reason);
+    res.status(201).json({
+      message: 'Attendance unlocked successfully',
+      unlock
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in unlock route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/unlocks?grade_section_id=xxx&start_date=yyyy-mm-dd&end_date=yyyy-mm-dd
+ * Log of admin unlocks (admin only)
+ */
+router.get('/unlocks', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /unlocks - Fetching attendance unlock log');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+
+  try {
+    const { user } = req;
+    const { grade_section_id, start_date, end_date } = req.query;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [ATTENDANCE] Access denied - only admins can view the unlock log');
+      return res.status(403).json({ error: 'Only admins can view the unlock log' });
+    }
+
+    let query = supabase
+      .from('attendance_unlocks')
+      .select(`
+        *,
+        unlocked_by_user:users!attendance_unlocks_unlocked_by_fkey(id, first_name, last_name),
+        grade_section:grade_sections(id, name)
+      `)
+      .order('unlocked_at', { ascending: false })
+      .limit(200);
+
+    if (grade_section_id) {
+      query = query.eq('grade_section_id', grade_section_id);
+    }
+    if (start_date) {
+      query = query.gte('date', start_date);
+    }
+    if (end_date) {
+      query = query.lte('date', end_date);
+    }
+
+    const { data: unlocks, error } = await query;
+
+    if (error) {
+      console.error('❌ [ATTENDANCE] Error fetching unlock log:', error);
+      return res.status(500).json({ error: 'Failed to fetch unlock log' });
+    }
+
+    console.log('✅ [ATTENDANCE] Successfully fetched', unlocks?.length || 0, 'unlocks');
+    res.json({ unlocks: unlocks || [] });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in unlock log route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/auto-reset/status
+ * Get scheduler state and recent auto-reset runs (admin only)
+ */
+router.get('/auto-reset/status', authenticateToken, async (req, res) => {
+  console.log('🔍 [ATTENDANCE] GET /auto-reset/status - Fetching auto-reset status');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [ATTENDANCE] Access denied - only admins can view auto-reset status');
+      return res.status(403).json({ error: 'Only admins can view auto-reset status' });
+    }
+
+    const { data: settings, error: settingsError } = await supabase
+      .from('school_settings')
+      .select('attendance_config')
+      .limit(1)
+      .single();
+
+    if (settingsError) {
+      console.error('❌ [ATTENDANCE] Error fetching attendance config:', settingsError);
+      return res.status(500).json({ error: 'Failed to fetch attendance configuration' });
+    }
+
+    const { data: runs, error: runsError } = await supabase
+      .from('attendance_auto_reset_runs')
+      .select('*')
+      .order('run_date', { ascending: false })
+      .limit(10);
+
+    if (runsError) {
+      console.error('❌ [ATTENDANCE] Error fetching auto-reset runs:', runsError);
+      return res.status(500).json({ error: 'Failed to fetch auto-reset runs' });
+    }
+
+    const config = settings?.attendance_config || {};
+
+    console.log('✅ [ATTENDANCE] Successfully fetched auto-reset status');
+    res.json({
+      enabled: !!config.enable_auto_reset,
+      auto_reset_time: config.auto_reset_time || '00:00',
+      default_status: config.default_status || 'unmarked',
+      scheduler: attendanceScheduler.getStatus(),
+      last_run: runs?.[0] || null,
+      recent_runs: runs || []
+    });
+  } catch (error) {
+    console.error('❌ [ATTENDANCE] Error in auto-reset status route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { supabase, supabaseAdmin } = require('../lib/supabase');
+const { resolveSubjects } = require('../lib/subjects');
 
 // Middleware to inject Supabase client
 router.use((req, res, next) => {
@@ -192,6 +193,12 @@ router.post('/', [
       return result;
     };
 
+    // Subject must be in the catalogue (when one is configured); store its catalogue name
+    const { enforced, subjects: [catalogueSubject] } = await resolveSubjects(supabase, [subject]);
+    if (enforced && !catalogueSubject) {
+      return res.status(400).json({ error: `Unknown subject: ${subject}` });
+    }
+
     // For admins, allow assigning to any teacher. For teachers, assign to themselves.
     const assignedTeacherId = req.user.role === 'admin' && teacher_id ? teacher_id : req.user.id;
 
@@ -199,7 +206,7 @@ router.post('/', [
       .from('classes')
       .insert({
         name,
-        subject,
+        subject: catalogueSubject ? catalogueSubject.name : subject,
         description,
         code: generateClassCode(),
         grade_level: grade_level || 10,
@@ -253,7 +260,13 @@ router.put('/:id', [
 
     const updateData = {};
     if (name) updateData.name = name;
-    if (subject) updateData.subject = subject;
+    if (subject) {
+      const { enforced, subjects: [catalogueSubject] } = await resolveSubjects(supabase, [subject]);
+      if (enforced && !catalogueSubject) {
+        return res.status(400).json({ error: `Unknown subject: ${subject}` });
+      }
+      updateData.subject = catalogueSubject ? catalogueSubject.name : subject;
+    }
     if (description !== undefined) updateData.description = description;
     if (grade_level) updateData.grade_level = grade_level;
     if (max_students) updateData.max_students = max_students;
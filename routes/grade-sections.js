@@ -1,10 +1,21 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { supabaseAdmin } = require('../lib/supabase');
 const { stormEndpointMiddleware, standardEndpointMiddleware, staticEndpointMiddleware, smartCache } = require('../middleware/enhanced-middleware');
 const cacheManager = require('../lib/cache');
+const { ROLLOVER_ACTIONS, planRollover, applyRollover } = require('../lib/academic-year-rollover');
+const { planSectionAssignment, applySectionAssignment } = require('../lib/section-assignment');
+const { getSchoolNow } = require('../lib/school-timings');
+const { ASSIGNABLE_STAFF_ROLES, canAccessSection, getStaffGradeSectionIds } = require('../lib/grade-section-staff');
+
+// How PUT /:gradeSectionId/roll-numbers can renumber a section
+const ROLL_NUMBER_ORDERS = ['alphabetical', 'admission'];
+
+// Students per auto-assign request (about a full grade level's intake)
+const MAX_AUTO_ASSIGN_STUDENTS = 500;
 
 // Middleware to inject Supabase client
 router.use((req, res, next) => {
@@ -34,10 +45,10 @@ router.get('/', authenticateToken, async (req, res) => {
 
     console.log('   🎯 Query type:', user.role);
 
-    // Role-based filtering
+    // Role-based filtering: teachers see every section they are on the staff of
     if (user.role === 'teacher') {
       console.log('   👨‍🏫 Teacher filtering - teacher_id:', user.id);
-      query = query.eq('teacher_id', user.id);
+      query = query.in('id', await getStaffGradeSectionIds(supabase, user.id));
     } else if (user.role === 'student') {
       console.log('   👨‍🎓 Student filtering - fetching enrollments for student_id:', user.id);
       // Students see grade sections they're enrolled in
@@ -184,6 +195,252 @@ router.get('/available-teachers',
   }
 });
 
+// GET /api/grade-sections/rollovers
+// Past academic-year rollovers (Admin only, MUST be before /:id route)
+router.get('/rollovers', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] GET /rollovers - Fetching academic year rollovers');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const { data: rollovers, error } = await supabase
+      .from('academic_year_rollovers')
+      .select(`
+        *,
+        performed_by_user:users!academic_year_rollovers_performed_by_fkey(id, first_name, last_name)
+      `)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching rollovers:', error);
+      return res.status(500).json({ error: 'Failed to fetch academic year rollovers' });
+    }
+
+    res.json({ success: true, rollovers: rollovers || [] });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error fetching rollovers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/grade-sections/rollover
+// Roll grade sections and enrollments over into a new academic year (Admin only).
+// With dry_run=true the plan is returned without changing anything.
+// Body: { from_academic_year, to_academic_year, top_grade?, dry_run?,
+//         overrides?: [{ student_id, action: promote|retain|graduate|withdraw, section? }] }
+router.post('/rollover', [
+  authenticateToken,
+  [
+    body('from_academic_year').trim().isLength({ min: 4, max: 20 }).withMessage('From academic year must be between 4 and 20 characters'),
+    body('to_academic_year').trim().isLength({ min: 4, max: 20 }).withMessage('To academic year must be between 4 and 20 characters')
+      .custom((value, { req }) => value !== String(req.body.from_academic_year || '').trim())
+      .withMessage('To academic year must differ from the academic year being rolled over'),
+    body('top_grade').optional().isInt({ min: 1, max: 12 }).withMessage('Top grade must be between 1 and 12'),
+    body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean'),
+    body('overrides').optional().isArray().withMessage('Overrides must be an array'),
+    body('overrides.*.student_id').isUUID().withMessage('Each override needs a valid student ID'),
+    body('overrides.*.action').isIn(ROLLOVER_ACTIONS).withMessage(`Override action must be one of: ${ROLLOVER_ACTIONS.join(', ')}`),
+    body('overrides.*.section').optional({ nullable: true }).isLength({ min: 1, max: 10 }).withMessage('Override section must be between 1 and 10 characters')
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] POST /rollover - Academic year rollover');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+    const { from_academic_year, to_academic_year, top_grade, overrides = [] } = req.body;
+    const dryRun = String(req.body.dry_run) === 'true';
+
+    if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - only admins can roll over academic years');
+      return res.status(403).json({ error: 'Only admins can roll over academic years' });
+    }
+
+    const { data: previous, error: previousError } = await supabase
+      .from('academic_year_rollovers')
+      .select('id, to_academic_year, created_at')
+      .eq('from_academic_year', from_academic_year)
+      .maybeSingle();
+
+    if (previousError) {
+      console.error('❌ [GRADE-SECTIONS] Error checking previous rollovers:', previousError);
+      return res.status(500).json({ error: 'Failed to check previous rollovers' });
+    }
+
+    if (previous) {
+      console.log('❌ [GRADE-SECTIONS] Academic year already rolled over:', from_academic_year);
+      return res.status(409).json({ error: `Academic year ${from_academic_year} has already been rolled over`, rollover: previous });
+    }
+
+    const plan = await planRollover(supabase, {
+      fromYear: from_academic_year,
+      toYear: to_academic_year,
+      topGrade: top_grade ? parseInt(top_grade, 10) : null,
+      overrides
+    });
+
+    if (!plan) {
+      console.log('❌ [GRADE-SECTIONS] No grade sections for academic year:', from_academic_year);
+      return res.status(404).json({ error: `No grade sections found for academic year ${from_academic_year}` });
+    }
+
+    console.log('   📊 Rollover plan:', JSON.stringify(plan.summary));
+
+    if (dryRun) {
+      return res.json({ success: true, dry_run: true, plan });
+    }
+
+    if (plan.unknown_overrides.length > 0 || plan.unplaced.length > 0) {
+      console.log('❌ [GRADE-SECTIONS] Rollover plan incomplete:', {
+        unknown_overrides: plan.unknown_overrides.length,
+        unplaced: plan.unplaced.length
+      });
+      return res.status(400).json({
+        error: 'Some students cannot be placed in the new academic year. Add overrides for them and try again.',
+        unplaced: plan.unplaced,
+        unknown_overrides: plan.unknown_overrides
+      });
+    }
+
+    let result;
+    try {
+      result = await applyRollover(supabase, plan, user.id);
+    } catch (rolloverError) {
+      if (rolloverError.code === '23505') {
+        console.log('❌ [GRADE-SECTIONS] Academic year already rolled over:', from_academic_year);
+        return res.status(409).json({ error: `Academic year ${from_academic_year} has already been rolled over` });
+      }
+      throw rolloverError;
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Academic year rolled over:', from_academic_year, '->', to_academic_year, result);
+
+    res.json({ success: true, dry_run: false, summary: result, plan });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error rolling over academic year:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/grade-sections/auto-assign
+// Distribute new students evenly across the active sections of a grade level
+// (Admin only), respecting section capacity. With dry_run=true the proposal
+// is returned without enrolling anyone.
+// Body: { grade_level, student_ids, academic_year?, dry_run?,
+//         balance_by?: users.metadata key (e.g. "gender"),
+//         keep_apart?: [[student_id, ...], ...] (e.g. siblings) }
+router.post('/auto-assign', [
+  authenticateToken,
+  [
+    body('grade_level').isInt({ min: 1, max: 12 }).withMessage('Grade level must be between 1 and 12'),
+    body('student_ids').isArray({ min: 1, max: MAX_AUTO_ASSIGN_STUDENTS }).withMessage(`Between 1 and ${MAX_AUTO_ASSIGN_STUDENTS} student IDs are required`),
+    body('student_ids.*').isUUID().withMessage('All student IDs must be valid UUIDs'),
+    body('academic_year').optional().trim().isLength({ min: 4, max: 20 }).withMessage('Academic year must be between 4 and 20 characters'),
+    body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean'),
+    body('balance_by').optional({ nullable: true }).matches(/^[a-zA-Z_][a-zA-Z0-9_]{0,49}$/).withMessage('balance_by must be a metadata key such as "gender"'),
+    body('keep_apart').optional().isArray().withMessage('keep_apart must be an array of student ID groups'),
+    body('keep_apart.*').isArray({ min: 2 }).withMessage('Each keep_apart group needs at least two student IDs'),
+    body('keep_apart.*.*').isUUID().withMessage('keep_apart groups must contain valid student IDs')
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] POST /auto-assign - Automatic section assignment');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+    const { student_ids, academic_year, balance_by, keep_apart = [] } = req.body;
+    const dryRun = String(req.body.dry_run) === 'true';
+
+    if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - only admins can assign sections automatically');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const plan = await planSectionAssignment(supabase, {
+      gradeLevel: parseInt(req.body.grade_level, 10),
+      academicYear: academic_year || null,
+      studentIds: student_ids,
+      balanceBy: balance_by || null,
+      keepApart: keep_apart
+    });
+
+    if (!plan) {
+      console.log('❌ [GRADE-SECTIONS] No active grade sections for grade:', req.body.grade_level);
+      return res.status(404).json({ error: `No active grade sections found for grade ${req.body.grade_level}` });
+    }
+
+    if (plan.error) {
+      console.log('❌ [GRADE-SECTIONS] Cannot plan assignment:', plan.error);
+      return res.status(400).json({ error: plan.error });
+    }
+
+    console.log('   📊 Assignment plan:', JSON.stringify(plan.summary));
+
+    if (dryRun) {
+      return res.json({ success: true, dry_run: true, plan });
+    }
+
+    if (plan.unknown_students.length > 0 || plan.unplaced.length > 0) {
+      console.log('❌ [GRADE-SECTIONS] Assignment plan incomplete:', {
+        unknown_students: plan.unknown_students.length,
+        unplaced: plan.unplaced.length
+      });
+      return res.status(400).json({
+        error: plan.unknown_students.length > 0
+          ? 'Some student IDs are not students'
+          : 'Not enough free places in this grade level. Raise section capacity or assign fewer students.',
+        unplaced: plan.unplaced,
+        unknown_students: plan.unknown_students
+      });
+    }
+
+    if (plan.assignments.length === 0) {
+      return res.json({ success: true, dry_run: false, summary: { sections: 0, students_enrolled: 0, already_enrolled: 0 }, plan });
+    }
+
+    let result;
+    try {
+      result = await applySectionAssignment(supabase, plan, user.id);
+    } catch (assignError) {
+      if (assignError.code === '23514') {
+        console.log('❌ [GRADE-SECTIONS] Section filled up during assignment:', assignError.message);
+        return res.status(409).json({ error: 'A grade section filled up in the meantime. Run the assignment again.' });
+      }
+      throw assignError;
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Students assigned to sections:', result);
+
+    res.json({ success: true, dry_run: false, summary: result, plan });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error assigning sections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/grade-sections/:id
 // Get a specific grade section
 router.get('/:id', authenticateToken, async (req, res) => {
@@ -233,8 +490,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
           return res.status(403).json({ error: 'Not enrolled in this grade section' });
         }
         console.log('✅ [GRADE-SECTIONS] Student enrollment verified');
-      } else {
-        console.log('❌ [GRADE-SECTIONS] Access denied - not admin or teacher');
+      } else if (!await canAccessSection(supabase, user, id, 'view')) {
+        console.log('❌ [GRADE-SECTIONS] Access denied - not admin or section staff');
         return res.status(403).json({ error: 'Not authorized to view this grade section' });
       }
     }
@@ -256,7 +513,8 @@ router.post('/', [
     body('section').isLength({ min: 1, max: 10 }).withMessage('Section must be between 1 and 10 characters'),
     body('name').isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
     body('teacher_id').isUUID().withMessage('Valid teacher ID is required'),
-    body('academic_year').isLength({ min: 4, max: 20 }).withMessage('Academic year must be between 4 and 20 characters')
+    body('academic_year').isLength({ min: 4, max: 20 }).withMessage('Academic year must be between 4 and 20 characters'),
+    body('max_students').optional({ nullable: true }).isInt({ min: 1 }).withMessage('max_students must be a positive integer or null')
   ]
 ], async (req, res) => {
   console.log('🔍 [GRADE-SECTIONS] POST / - Creating new grade section');
@@ -285,7 +543,8 @@ router.post('/', [
       name,
       description,
       teacher_id,
-      academic_year
+      academic_year,
+      max_students
     } = req.body;
 
     console.log('   🏫 Creating grade section with data:', {
@@ -322,7 +581,8 @@ router.post('/', [
         name,
         description,
         teacher_id,
-        academic_year
+        academic_year,
+        max_students: max_students ? parseInt(max_students, 10) : null
       })
       .select(`
         *,
@@ -346,6 +606,9 @@ router.post('/', [
   }
 });
 
+// Fields a PUT may change; max_students is admin-only
+const UPDATABLE_FIELDS = ['name', 'description', 'teacher_id', 'is_active', 'max_students'];
+
 // PUT /api/grade-sections/:id
 // Update a grade section
 router.put('/:id', [
@@ -354,7 +617,8 @@ router.put('/:id', [
     body('name').optional().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
     body('description').optional().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
     body('teacher_id').optional().isUUID().withMessage('Valid teacher ID is required'),
-    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+    body('max_students').optional({ nullable: true }).isInt({ min: 1 }).withMessage('max_students must be a positive integer or null')
   ]
 ], async (req, res) => {
   console.log('🔍 [GRADE-SECTIONS] PUT /:id - Updating grade section');
@@ -388,12 +652,27 @@ router.put('/:id', [
     console.log('   📊 Existing grade section teacher_id:', existingGradeSection.teacher_id);
 
     // Check permissions
-    if (user.role !== 'admin' && user.id !== existingGradeSection.teacher_id) {
-      console.log('❌ [GRADE-SECTIONS] Access denied - not admin or assigned teacher');
+    if (!await canAccessSection(supabase, user, id, 'manage')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not admin or class teacher');
       return res.status(403).json({ error: 'Not authorized to update this grade section' });
     }
 
-    const updateData = { ...req.body };
+    if (req.body.max_students !== undefined && user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - only admins can change max_students');
+      return res.status(403).json({ error: 'Only admins can change the maximum number of students' });
+    }
+
+    const updateData = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
     console.log('   🔄 Update data:', JSON.stringify(updateData, null, 2));
 
     const { data: updatedGradeSection, error } = await supabase
@@ -473,12 +752,16 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/grade-sections/:gradeSectionId/enroll
-// Enroll students in a grade section
+// Enroll students in a grade section up to its capacity (max_students).
+// When the students do not all fit nobody is enrolled (409), unless
+// `waitlist` is set: then the section is filled in the given order and the
+// rest are put on its waitlist.
 router.post('/:gradeSectionId/enroll', [
   authenticateToken,
   [
     body('studentIds').isArray({ min: 1 }).withMessage('At least one student ID is required'),
-    body('studentIds.*').isUUID().withMessage('All student IDs must be valid UUIDs')
+    body('studentIds.*').isUUID().withMessage('All student IDs must be valid UUIDs'),
+    body('waitlist').optional().isBoolean().withMessage('waitlist must be a boolean')
   ]
 ], async (req, res) => {
   console.log('🔍 [GRADE-SECTIONS] POST /:gradeSectionId/enroll - Enrolling students');
@@ -495,7 +778,8 @@ router.post('/:gradeSectionId/enroll', [
   try {
     const { user } = req;
     const { gradeSectionId } = req.params;
-    const { studentIds } = req.body;
+    const studentIds = [...new Set(req.body.studentIds)];
+    const waitlist = String(req.body.waitlist) === 'true';
     const supabase = req.supabase;
 
     console.log('   👨‍🎓 Student IDs to enroll:', studentIds);
@@ -514,8 +798,8 @@ router.post('/:gradeSectionId/enroll', [
 
     console.log('   📊 Grade section teacher_id:', gradeSection.teacher_id);
 
-    if (user.role === 'teacher' && user.id !== gradeSection.teacher_id) {
-      console.log('❌ [GRADE-SECTIONS] Access denied - not the assigned teacher');
+    if (user.role === 'teacher' && !await canAccessSection(supabase, user, gradeSectionId, 'manage')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not the class teacher');
       return res.status(403).json({ error: 'Not authorized to enroll students in this grade section' });
     }
 
@@ -544,32 +828,42 @@ router.post('/:gradeSectionId/enroll', [
       return res.status(400).json({ error: 'Some students not found or not students' });
     }
 
-    // Enroll students
-    const enrollments = studentIds.map(studentId => ({
-      grade_section_id: gradeSectionId,
-      student_id: studentId,
-      status: 'active'
-    }));
-
-    console.log('   📝 Enrollments to create:', JSON.stringify(enrollments, null, 2));
-
-    const { data: newEnrollments, error: enrollmentError } = await supabase
-      .from('grade_section_enrollments')
-      .insert(enrollments)
-      .select('*');
+    const { data: result, error: enrollmentError } = await supabase
+      .rpc('enroll_grade_section_students', {
+        p_grade_section_id: gradeSectionId,
+        p_student_ids: studentIds,
+        p_waitlist: waitlist,
+        p_added_by: user.id
+      });
 
     if (enrollmentError) {
       console.error('❌ [GRADE-SECTIONS] Error creating enrollments:', enrollmentError);
       return res.status(500).json({ error: 'Failed to enroll students' });
     }
 
+    if (result.full && !waitlist) {
+      console.log('❌ [GRADE-SECTIONS] Grade section full:', result.active_count, '/', result.capacity);
+      return res.status(409).json({
+        error: 'Grade section is full',
+        capacity: result.capacity,
+        available: result.available,
+        alreadyEnrolledCount: result.already_enrolled.length
+      });
+    }
+
     console.log('✅ [GRADE-SECTIONS] Students enrolled successfully');
-    console.log('   📊 New enrollments:', JSON.stringify(newEnrollments, null, 2));
+    console.log('   📊 Enrollment result:', JSON.stringify(result, null, 2));
 
     res.json({
       success: true,
-      message: 'Students enrolled successfully',
-      enrolledCount: newEnrollments.length
+      message: result.waitlisted.length > 0
+        ? `${result.enrolled.length} students enrolled, ${result.waitlisted.length} added to the waitlist`
+        : 'Students enrolled successfully',
+      enrolledCount: result.enrolled.length,
+      waitlistedCount: result.waitlisted.length,
+      alreadyEnrolledCount: result.already_enrolled.length,
+      enrolled: result.enrolled,
+      waitlisted: result.waitlisted
     });
   } catch (error) {
     console.error('❌ [GRADE-SECTIONS] Error enrolling students:', error);
@@ -592,7 +886,7 @@ router.get('/:gradeSectionId/students', authenticateToken, async (req, res) => {
     // Verify grade section exists and user has access
     const { data: gradeSection, error: gradeSectionError } = await supabase
       .from('grade_sections')
-      .select('teacher_id')
+      .select('teacher_id, max_students')
       .eq('id', gradeSectionId)
       .single();
 
@@ -603,8 +897,8 @@ router.get('/:gradeSectionId/students', authenticateToken, async (req, res) => {
 
     console.log('   📊 Grade section teacher_id:', gradeSection.teacher_id);
 
-    if (user.role === 'teacher' && user.id !== gradeSection.teacher_id) {
-      console.log('❌ [GRADE-SECTIONS] Access denied - not the assigned teacher');
+    if (user.role === 'teacher' && !await canAccessSection(supabase, user, gradeSectionId, 'view')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not on the staff of this grade section');
       return res.status(403).json({ error: 'Not authorized to view students in this grade section' });
     }
 
@@ -622,7 +916,17 @@ router.get('/:gradeSectionId/students', authenticateToken, async (req, res) => {
     console.log('✅ [GRADE-SECTIONS] Students fetched successfully');
     console.log('   📊 Students data:', JSON.stringify(students, null, 2));
 
-    res.json({ success: true, students: students || [] });
+    const enrolled = (students || []).length;
+
+    res.json({
+      success: true,
+      students: students || [],
+      capacity: {
+        max_students: gradeSection.max_students,
+        enrolled,
+        available: gradeSection.max_students === null ? null : Math.max(gradeSection.max_students - enrolled, 0)
+      }
+    });
   } catch (error) {
     console.error('❌ [GRADE-SECTIONS] Error fetching students:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -630,7 +934,8 @@ router.get('/:gradeSectionId/students', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/grade-sections/:gradeSectionId/enroll/:studentId
-// Remove a student from a grade section
+// Remove a student from a grade section. The enrollment is archived as
+// withdrawn from today, not deleted.
 router.delete('/:gradeSectionId/enroll/:studentId', authenticateToken, async (req, res) => {
   console.log('🔍 [GRADE-SECTIONS] DELETE /:gradeSectionId/enroll/:studentId - Removing student');
   console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
@@ -656,8 +961,8 @@ router.delete('/:gradeSectionId/enroll/:studentId', authenticateToken, async (re
 
     console.log('   📊 Grade section teacher_id:', gradeSection.teacher_id);
 
-    if (user.role === 'teacher' && user.id !== gradeSection.teacher_id) {
-      console.log('❌ [GRADE-SECTIONS] Access denied - not the assigned teacher');
+    if (user.role === 'teacher' && !await canAccessSection(supabase, user, gradeSectionId, 'manage')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not the class teacher');
       return res.status(403).json({ error: 'Not authorized to remove students from this grade section' });
     }
 
@@ -666,18 +971,30 @@ router.delete('/:gradeSectionId/enroll/:studentId', authenticateToken, async (re
       return res.status(403).json({ error: 'Students cannot remove other students' });
     }
 
-    // Remove the enrollment
-    const { error } = await supabase
+    // Close the active enrollment; archived enrollments and transfers keep the history
+    const { data: removed, error } = await supabase
       .from('grade_section_enrollments')
-      .delete()
+      .update({
+        status: 'archived',
+        ended_at: new Date().toISOString(),
+        ended_on: getSchoolNow().date,
+        end_reason: 'withdrawn'
+      })
       .eq('grade_section_id', gradeSectionId)
-      .eq('student_id', studentId);
+      .eq('student_id', studentId)
+      .eq('status', 'active')
+      .select('id');
 
     if (error) {
       console.error('❌ [GRADE-SECTIONS] Error removing student:', error);
       return res.status(500).json({ error: 'Failed to remove student' });
     }
 
+    if (!removed || removed.length === 0) {
+      console.log('❌ [GRADE-SECTIONS] Student not enrolled in grade section:', studentId);
+      return res.status(404).json({ error: 'Student is not enrolled in this grade section' });
+    }
+
     console.log('✅ [GRADE-SECTIONS] Student removed successfully');
 
     res.json({ success: true, message: 'Student removed from grade section' });
@@ -687,22 +1004,20 @@ router.delete('/:gradeSectionId/enroll/:studentId', authenticateToken, async (re
   }
 });
 
-// POST /api/grade-sections/students/batch
-// Get students for multiple grade sections efficiently
-// Body: { ids: [gradeSectionId1, gradeSectionId2, ...] }
-// Returns: { [gradeSectionId]: [{studentId, firstName, lastName, ...}] }
-router.post('/students/batch', 
-  ...stormEndpointMiddleware,
+// PUT /api/grade-sections/:gradeSectionId/roll-numbers
+// Renumber the section's register from 1, alphabetically or by admission date.
+// Students who join later get the next free number automatically.
+router.put('/:gradeSectionId/roll-numbers', [
   authenticateToken,
   [
-    body('ids').isArray({ min: 1 }).withMessage('At least one grade section ID is required'),
-    body('ids.*').isUUID().withMessage('All grade section IDs must be valid UUIDs')
-  ],
-  async (req, res) => {
-  console.log('🔍 [GRADE-SECTIONS] POST /students/batch - Fetching students for multiple grade sections');
+    body('order').isIn(ROLL_NUMBER_ORDERS).withMessage(`Order must be one of: ${ROLL_NUMBER_ORDERS.join(', ')}`)
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] PUT /:gradeSectionId/roll-numbers - Assigning roll numbers');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
   console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
   console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
-  
+
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
@@ -711,88 +1026,1132 @@ router.post('/students/batch',
 
   try {
     const { user } = req;
-    const { ids } = req.body;
+    const { gradeSectionId } = req.params;
     const supabase = req.supabase;
 
-    console.log('   🆔 Grade section IDs to fetch:', ids);
+    if (!await canAccessSection(supabase, user, gradeSectionId, 'manage')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not the class teacher');
+      return res.status(403).json({ error: 'Not authorized to change roll numbers in this grade section' });
+    }
 
-    // Check access permissions for each grade section
-    let accessibleIds = ids;
-    if (user.role === 'teacher') {
-      const { data: teacherSections, error: accessError } = await supabase
-        .from('grade_sections')
-        .select('id')
-        .eq('teacher_id', user.id)
-        .in('id', ids);
+    const { data: count, error } = await supabase
+      .rpc('assign_grade_section_roll_numbers', {
+        p_grade_section_id: gradeSectionId,
+        p_order: req.body.order
+      });
 
-      if (accessError) {
-        console.error('❌ [GRADE-SECTIONS] Error checking teacher access:', accessError);
-        return res.status(500).json({ error: 'Failed to verify access' });
+    if (error) {
+      if (error.code === 'P0002') {
+        console.log('❌ [GRADE-SECTIONS] Grade section not found:', gradeSectionId);
+        return res.status(404).json({ error: 'Grade section not found' });
       }
+      console.error('❌ [GRADE-SECTIONS] Error assigning roll numbers:', error);
+      return res.status(500).json({ error: 'Failed to assign roll numbers' });
+    }
 
-      accessibleIds = teacherSections.map(section => section.id);
-      console.log('   👨‍🏫 Teacher accessible sections:', accessibleIds);
-    } else if (user.role === 'student') {
-      // Students can only see their own enrolled sections
-      const { data: enrollments, error: enrollError } = await supabase
-        .from('grade_section_enrollments')
-        .select('grade_section_id')
-        .eq('student_id', user.id)
-        .eq('status', 'active')
-        .in('grade_section_id', ids);
-
-      if (enrollError) {
-        console.error('❌ [GRADE-SECTIONS] Error checking student enrollments:', enrollError);
-        return res.status(500).json({ error: 'Failed to verify enrollments' });
-      }
+    const { data: students, error: studentsError } = await supabase
+      .rpc('get_grade_section_students', {
+        grade_section_uuid: gradeSectionId
+      });
 
-      accessibleIds = enrollments.map(enrollment => enrollment.grade_section_id);
-      console.log('   👨‍🎓 Student accessible sections:', accessibleIds);
+    if (studentsError) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching students:', studentsError);
+      return res.status(500).json({ error: 'Failed to fetch students' });
     }
 
-    if (accessibleIds.length === 0) {
-      console.log('⚠️ [GRADE-SECTIONS] No accessible grade sections found');
-      res.set('Cache-Control', 'public, max-age=60'); // Cache empty results
-      return res.json({ students: {} });
+    console.log('✅ [GRADE-SECTIONS] Roll numbers assigned:', count, 'students', req.body.order);
+
+    res.json({
+      success: true,
+      message: `${count} students renumbered (${req.body.order})`,
+      students: students || []
+    });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error assigning roll numbers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/grade-sections/:gradeSectionId/students/:studentId/roll-number
+// Set one student's roll number by hand. The number must not be taken by
+// another student of the section.
+router.put('/:gradeSectionId/students/:studentId/roll-number', [
+  authenticateToken,
+  [
+    body('roll_number').isInt({ min: 1, max: 9999 }).withMessage('Roll number must be a positive integer')
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] PUT /:gradeSectionId/students/:studentId/roll-number - Setting roll number');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👨‍🎓 Student ID:', req.params.studentId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { gradeSectionId, studentId } = req.params;
+    const rollNumber = parseInt(req.body.roll_number, 10);
+    const supabase = req.supabase;
+
+    if (!await canAccessSection(supabase, user, gradeSectionId, 'manage')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not the class teacher');
+      return res.status(403).json({ error: 'Not authorized to change roll numbers in this grade section' });
     }
 
-    // Get students for all accessible sections using existing function
-    const students = {};
-    
-    // Fetch students for each grade section individually (temporary fix until batch function is available)
-    for (const gradeSectionId of accessibleIds) {
-      try {
-        const { data: sectionStudents, error: sectionError } = await supabase
-          .rpc('get_grade_section_students', {
-            grade_section_uuid: gradeSectionId
-          });
-
-        if (sectionError) {
-          console.error('❌ [GRADE-SECTIONS] Error fetching students for section:', gradeSectionId, sectionError);
-          continue; // Skip this section but continue with others
-        }
+    const { data: enrollment, error } = await supabase
+      .from('grade_section_enrollments')
+      .update({ roll_number: rollNumber })
+      .eq('grade_section_id', gradeSectionId)
+      .eq('student_id', studentId)
+      .eq('status', 'active')
+      .select('id, student_id, roll_number')
+      .maybeSingle();
 
-        if (sectionStudents && sectionStudents.length > 0) {
-          students[gradeSectionId] = sectionStudents.map(student => ({
-            id: student.student_id,
-            name: `${student.first_name} ${student.last_name}`,
-            status: 'active'
-          }));
-        }
-      } catch (err) {
-        console.error('❌ [GRADE-SECTIONS] Exception fetching students for section:', gradeSectionId, err);
-        continue;
+    if (error) {
+      if (error.code === '23505') {
+        const { data: holder } = await supabase
+          .from('grade_section_enrollments')
+          .select('student:users!grade_section_enrollments_student_id_fkey(id, first_name, last_name)')
+          .eq('grade_section_id', gradeSectionId)
+          .eq('roll_number', rollNumber)
+          .eq('status', 'active')
+          .maybeSingle();
+
+        console.log('❌ [GRADE-SECTIONS] Roll number already taken:', rollNumber);
+        return res.status(409).json({
+          error: holder?.student
+            ? `Roll number ${rollNumber} is already taken by ${holder.student.first_name} ${holder.student.last_name}`
+            : `Roll number ${rollNumber} is already taken`,
+          taken_by: holder?.student || null
+        });
       }
+      console.error('❌ [GRADE-SECTIONS] Error setting roll number:', error);
+      return res.status(500).json({ error: 'Failed to set roll number' });
     }
 
-    console.log('✅ [GRADE-SECTIONS] Successfully fetched students for', Object.keys(students).length, 'grade sections');
-    
-    res.set('Cache-Control', 'public, max-age=60'); // Cache for 1 minute
-    res.json({
-      students: students
-    });
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Student is not enrolled in this grade section' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Roll number set:', studentId, rollNumber);
+
+    res.json({ success: true, message: 'Roll number updated', enrollment });
   } catch (error) {
-    console.error('❌ [GRADE-SECTIONS] Error in batch students route:', error);
+    console.error('❌ [GRADE-SECTIONS] Error setting roll number:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/grade-sections/:gradeSectionId/waitlist
+// Students waiting for a place, oldest first
+router.get('/:gradeSectionId/waitlist', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] GET /:gradeSectionId/waitlist - Fetching waitlist');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { gradeSectionId } = req.params;
+    const supabase = req.supabase;
+
+    const { data: gradeSection, error: gradeSectionError } = await supabase
+      .from('grade_sections')
+      .select('id, max_students')
+      .eq('id', gradeSectionId)
+      .single();
+
+    if (gradeSectionError || !gradeSection) {
+      console.log('❌ [GRADE-SECTIONS] Grade section not found:', gradeSectionId);
+      return res.status(404).json({ error: 'Grade section not found' });
+    }
+
+    if (!await canAccessSection(supabase, user, gradeSectionId, 'view')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not on the staff of this grade section');
+      return res.status(403).json({ error: 'Not authorized to view the waitlist of this grade section' });
+    }
+
+    const { data: waitlist, error } = await supabase
+      .from('grade_section_waitlist')
+      .select(`
+        id, student_id, notes, created_at,
+        student:users!grade_section_waitlist_student_id_fkey(id, first_name, last_name, email),
+        added_by_user:users!grade_section_waitlist_added_by_fkey(id, first_name, last_name)
+      `)
+      .eq('grade_section_id', gradeSectionId)
+      .eq('status', 'waiting')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching waitlist:', error);
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+
+    const { count: enrolled, error: countError } = await supabase
+      .from('grade_section_enrollments')
+      .select('id', { count: 'exact', head: true })
+      .eq('grade_section_id', gradeSectionId)
+      .eq('status', 'active');
+
+    if (countError) {
+      console.error('❌ [GRADE-SECTIONS] Error counting enrollments:', countError);
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Waitlist fetched:', (waitlist || []).length, 'students');
+
+    res.json({
+      success: true,
+      waitlist: (waitlist || []).map((entry, index) => ({ ...entry, position: index + 1 })),
+      capacity: {
+        max_students: gradeSection.max_students,
+        enrolled,
+        available: gradeSection.max_students === null ? null : Math.max(gradeSection.max_students - enrolled, 0)
+      }
+    });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error fetching waitlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/grade-sections/:gradeSectionId/waitlist
+// Put students on the waitlist without trying to enroll them
+router.post('/:gradeSectionId/waitlist', [
+  authenticateToken,
+  [
+    body('studentIds').isArray({ min: 1 }).withMessage('At least one student ID is required'),
+    body('studentIds.*').isUUID().withMessage('All student IDs must be valid UUIDs'),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] POST /:gradeSectionId/waitlist - Adding students to waitlist');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { gradeSectionId } = req.params;
+    const studentIds = [...new Set(req.body.studentIds)];
+    const supabase = req.supabase;
+
+    const { data: gradeSection, error: gradeSectionError } = await supabase
+      .from('grade_sections')
+      .select('id')
+      .eq('id', gradeSectionId)
+      .single();
+
+    if (gradeSectionError || !gradeSection) {
+      console.log('❌ [GRADE-SECTIONS] Grade section not found:', gradeSectionId);
+      return res.status(404).json({ error: 'Grade section not found' });
+    }
+
+    if (!await canAccessSection(supabase, user, gradeSectionId, 'manage')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not the class teacher');
+      return res.status(403).json({ error: 'Not authorized to manage the waitlist of this grade section' });
+    }
+
+    const { data: students, error: studentsError } = await supabase
+      .from('users')
+      .select('id')
+      .in('id', studentIds)
+      .eq('role', 'student');
+
+    if (studentsError) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching students:', studentsError);
+      return res.status(500).json({ error: 'Failed to verify students' });
+    }
+
+    if (students.length !== studentIds.length) {
+      console.log('❌ [GRADE-SECTIONS] Some students not found or not students');
+      return res.status(400).json({ error: 'Some students not found or not students' });
+    }
+
+    // Students already enrolled or waiting are left alone
+    const [{ data: enrolledRows, error: enrolledError }, { data: waitingRows, error: waitingError }] = await Promise.all([
+      supabase
+        .from('grade_section_enrollments')
+        .select('student_id')
+        .eq('grade_section_id', gradeSectionId)
+        .eq('status', 'active')
+        .in('student_id', studentIds),
+      supabase
+        .from('grade_section_waitlist')
+        .select('student_id')
+        .eq('grade_section_id', gradeSectionId)
+        .eq('status', 'waiting')
+        .in('student_id', studentIds)
+    ]);
+
+    if (enrolledError || waitingError) {
+      console.error('❌ [GRADE-SECTIONS] Error checking existing entries:', enrolledError || waitingError);
+      return res.status(500).json({ error: 'Failed to add students to the waitlist' });
+    }
+
+    const skip = new Set([...(enrolledRows || []), ...(waitingRows || [])].map(row => row.student_id));
+    const entries = studentIds
+      .filter(studentId => !skip.has(studentId))
+      .map(studentId => ({
+        grade_section_id: gradeSectionId,
+        student_id: studentId,
+        notes: req.body.notes || null,
+        added_by: user.id
+      }));
+
+    if (entries.length > 0) {
+      const { error } = await supabase
+        .from('grade_section_waitlist')
+        .insert(entries);
+
+      if (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'Some students are already on the waitlist' });
+        }
+        console.error('❌ [GRADE-SECTIONS] Error adding to waitlist:', error);
+        return res.status(500).json({ error: 'Failed to add students to the waitlist' });
+      }
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Students added to waitlist:', entries.length);
+
+    res.status(201).json({
+      success: true,
+      message: 'Students added to the waitlist',
+      waitlistedCount: entries.length,
+      skippedCount: skip.size
+    });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error adding to waitlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/grade-sections/:gradeSectionId/waitlist/promote
+// Enroll waitlisted students into open places (admin only). Without
+// studentIds the longest-waiting students are promoted first.
+router.post('/:gradeSectionId/waitlist/promote', [
+  authenticateToken,
+  [
+    body('studentIds').optional().isArray({ min: 1 }).withMessage('studentIds must be a non-empty array'),
+    body('studentIds.*').optional().isUUID().withMessage('All student IDs must be valid UUIDs')
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] POST /:gradeSectionId/waitlist/promote - Promoting waitlisted students');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { gradeSectionId } = req.params;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const { data: result, error } = await supabase
+      .rpc('promote_grade_section_waitlist', {
+        p_grade_section_id: gradeSectionId,
+        p_student_ids: req.body.studentIds ? [...new Set(req.body.studentIds)] : null,
+        p_promoted_by: user.id
+      });
+
+    if (error) {
+      if (error.code === 'P0002') {
+        console.log('❌ [GRADE-SECTIONS] Grade section not found:', gradeSectionId);
+        return res.status(404).json({ error: 'Grade section not found' });
+      }
+      console.error('❌ [GRADE-SECTIONS] Error promoting waitlist:', error);
+      return res.status(500).json({ error: 'Failed to promote waitlisted students' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Waitlisted students promoted:', result.enrolled.length);
+
+    res.json({
+      success: true,
+      message: result.enrolled.length > 0
+        ? `${result.enrolled.length} students enrolled from the waitlist`
+        : 'No places available',
+      enrolledCount: result.enrolled.length,
+      stillWaitingCount: result.waitlisted.length,
+      enrolled: result.enrolled,
+      available: result.available
+    });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error promoting waitlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/grade-sections/:gradeSectionId/waitlist/:studentId
+// Take a student off the waitlist
+router.delete('/:gradeSectionId/waitlist/:studentId', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] DELETE /:gradeSectionId/waitlist/:studentId - Removing from waitlist');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👨‍🎓 Student ID:', req.params.studentId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { gradeSectionId, studentId } = req.params;
+    const supabase = req.supabase;
+
+    if (!await canAccessSection(supabase, user, gradeSectionId, 'manage')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not the class teacher');
+      return res.status(403).json({ error: 'Not authorized to manage the waitlist of this grade section' });
+    }
+
+    const { data: removed, error } = await supabase
+      .from('grade_section_waitlist')
+      .update({ status: 'removed', resolved_at: new Date().toISOString(), resolved_by: user.id })
+      .eq('grade_section_id', gradeSectionId)
+      .eq('student_id', studentId)
+      .eq('status', 'waiting')
+      .select('id');
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error removing from waitlist:', error);
+      return res.status(500).json({ error: 'Failed to remove student from the waitlist' });
+    }
+
+    if (!removed || removed.length === 0) {
+      return res.status(404).json({ error: 'Student is not on the waitlist' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Student removed from waitlist');
+
+    res.json({ success: true, message: 'Student removed from the waitlist' });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error removing from waitlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/grade-sections/:gradeSectionId/transfer
+// Move a student to another grade section from an effective date. The old
+// enrollment is closed (not deleted) so earlier attendance stays with it.
+// Admins, or the class teacher of both grade sections.
+router.post('/:gradeSectionId/transfer', [
+  authenticateToken,
+  [
+    body('student_id').isUUID().withMessage('Valid student ID is required'),
+    body('to_grade_section_id').isUUID().withMessage('Valid target grade section ID is required'),
+    body('effective_date').optional().isISO8601().withMessage('Effective date must be a valid date (YYYY-MM-DD)'),
+    body('reason').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] POST /:gradeSectionId/transfer - Transferring student');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { gradeSectionId } = req.params;
+    const { student_id, to_grade_section_id, reason } = req.body;
+    const supabase = req.supabase;
+    const today = getSchoolNow().date;
+    const effectiveDate = (req.body.effective_date || today).split('T')[0];
+
+    if (!['teacher', 'admin'].includes(user.role)) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - only teachers or admins can transfer students');
+      return res.status(403).json({ error: 'Only teachers or admins can transfer students' });
+    }
+
+    if (to_grade_section_id === gradeSectionId) {
+      return res.status(400).json({ error: 'Student is already in this grade section' });
+    }
+
+    if (effectiveDate > today) {
+      console.log('❌ [GRADE-SECTIONS] Effective date in the future:', effectiveDate);
+      return res.status(400).json({ error: 'Effective date cannot be in the future' });
+    }
+
+    const { data: sections, error: sectionsError } = await supabase
+      .from('grade_sections')
+      .select('id, name, teacher_id, is_active')
+      .in('id', [gradeSectionId, to_grade_section_id]);
+
+    if (sectionsError) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching grade sections:', sectionsError);
+      return res.status(500).json({ error: 'Failed to fetch grade sections' });
+    }
+
+    const fromSection = (sections || []).find(section => section.id === gradeSectionId);
+    const toSection = (sections || []).find(section => section.id === to_grade_section_id);
+
+    if (!fromSection) {
+      console.log('❌ [GRADE-SECTIONS] Grade section not found:', gradeSectionId);
+      return res.status(404).json({ error: 'Grade section not found' });
+    }
+
+    if (!toSection || !toSection.is_active) {
+      console.log('❌ [GRADE-SECTIONS] Target grade section not found or inactive:', to_grade_section_id);
+      return res.status(404).json({ error: 'Target grade section not found' });
+    }
+
+    if (user.role === 'teacher' && !(await canAccessSection(supabase, user, fromSection.id, 'manage') &&
+        await canAccessSection(supabase, user, toSection.id, 'manage'))) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not the class teacher of both grade sections');
+      return res.status(403).json({ error: 'Not authorized to transfer students between these grade sections' });
+    }
+
+    const { data: transferId, error: transferError } = await supabase
+      .rpc('transfer_student_grade_section', {
+        p_student_id: student_id,
+        p_from_grade_section_id: gradeSectionId,
+        p_to_grade_section_id: to_grade_section_id,
+        p_effective_date: effectiveDate,
+        p_reason: reason || null,
+        p_transferred_by: user.id
+      });
+
+    if (transferError) {
+      if (transferError.code === 'P0002') {
+        console.log('❌ [GRADE-SECTIONS] Student not enrolled in grade section:', student_id);
+        return res.status(404).json({ error: 'Student is not enrolled in this grade section' });
+      }
+      if (transferError.code === '23514') {
+        console.log('❌ [GRADE-SECTIONS] Transfer rejected:', transferError.message);
+        return res.status(400).json({ error: transferError.message });
+      }
+      if (transferError.code === '23505') {
+        console.log('❌ [GRADE-SECTIONS] Student already enrolled in target grade section');
+        return res.status(409).json({ error: 'Student is already enrolled in the target grade section' });
+      }
+      console.error('❌ [GRADE-SECTIONS] Error transferring student:', transferError);
+      return res.status(500).json({ error: 'Failed to transfer student' });
+    }
+
+    const { data: transfer } = await supabase
+      .from('grade_section_transfers')
+      .select('*')
+      .eq('id', transferId)
+      .single();
+
+    console.log('✅ [GRADE-SECTIONS] Student transferred:', student_id, fromSection.name, '->', toSection.name, 'from', effectiveDate);
+
+    res.status(201).json({
+      success: true,
+      message: `Student transferred from ${fromSection.name} to ${toSection.name}`,
+      transfer
+    });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error transferring student:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/grade-sections/students/:studentId/enrollments
+// Enrollment and transfer history of a student (admins, the student, and
+// staff of any grade section the student is or was in)
+router.get('/students/:studentId/enrollments', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] GET /students/:studentId/enrollments - Fetching enrollment history');
+  console.log('   👨‍🎓 Student ID:', req.params.studentId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { studentId } = req.params;
+    const supabase = req.supabase;
+
+    if (user.role === 'student' && user.id !== studentId) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - student viewing another student');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [{ data: enrollments, error: enrollmentsError }, { data: transfers, error: transfersError }] = await Promise.all([
+      supabase
+        .from('grade_section_enrollments')
+        .select(`
+          id, status, started_on, ended_on, end_reason,
+          grade_section:grade_sections(id, name, grade_level, section, academic_year, teacher_id)
+        `)
+        .eq('student_id', studentId)
+        .order('started_on', { ascending: false }),
+      supabase
+        .from('grade_section_transfers')
+        .select(`
+          id, effective_date, reason, created_at, from_enrollment_id, to_enrollment_id,
+          from_grade_section:grade_sections!grade_section_transfers_from_grade_section_id_fkey(id, name),
+          to_grade_section:grade_sections!grade_section_transfers_to_grade_section_id_fkey(id, name),
+          transferred_by_user:users!grade_section_transfers_transferred_by_fkey(id, first_name, last_name)
+        `)
+        .eq('student_id', studentId)
+        .order('effective_date', { ascending: false })
+    ]);
+
+    if (enrollmentsError || transfersError) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching enrollment history:', enrollmentsError || transfersError);
+      return res.status(500).json({ error: 'Failed to fetch enrollment history' });
+    }
+
+    const staffSectionIds = user.role === 'teacher' ? await getStaffGradeSectionIds(supabase, user.id) : [];
+    if (user.role === 'teacher' &&
+        !(enrollments || []).some(enrollment => staffSectionIds.includes(enrollment.grade_section?.id))) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - student never in teacher\'s grade sections');
+      return res.status(403).json({ error: 'Not authorized to view this student\'s enrollments' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Fetched', enrollments?.length || 0, 'enrollments and', transfers?.length || 0, 'transfers');
+
+    res.json({
+      success: true,
+      student_id: studentId,
+      enrollments: enrollments || [],
+      transfers: transfers || []
+    });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error fetching enrollment history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a JSON body with an ETag, or 304 when it matches If-None-Match.
+// Express only does this for GET; the batch endpoint below is a POST.
+const sendWithETag = (req, res, payload) => {
+  const body = JSON.stringify(payload);
+  const etag = `W/"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+  const ifNoneMatch = req.get('If-None-Match');
+
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+
+  if (ifNoneMatch && (ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag.replace(/^W\//, '')))) {
+    return res.status(304).end();
+  }
+
+  return res.type('application/json').send(body);
+};
+
+// POST /api/grade-sections/students/batch
+// Get students for multiple grade sections in one database call.
+// Send the last ETag as If-None-Match to get 304 when nothing changed.
+// Body: { ids: [gradeSectionId1, gradeSectionId2, ...] }
+// Returns: { students: { [gradeSectionId]: [{ id, name, first_name, last_name, roll_number, photo_url, ... }] } }
+// Students get only { id, name, roll_number } for their classmates; roles other
+// than admin, teacher and student are refused.
+router.post('/students/batch', 
+  ...stormEndpointMiddleware,
+  authenticateToken,
+  [
+    body('ids').isArray({ min: 1 }).withMessage('At least one grade section ID is required'),
+    body('ids.*').isUUID().withMessage('All grade section IDs must be valid UUIDs')
+  ],
+  async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] POST /students/batch - Fetching students for multiple grade sections');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+  
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { ids } = req.body;
+    const supabase = req.supabase;
+
+    console.log('   🆔 Grade section IDs to fetch:', ids);
+
+    // Check access permissions for each grade section
+    let accessibleIds = ids;
+    if (user.role === 'teacher') {
+      const staffSectionIds = await getStaffGradeSectionIds(supabase, user.id);
+      accessibleIds = ids.filter(id => staffSectionIds.includes(id));
+      console.log('   👨‍🏫 Teacher accessible sections:', accessibleIds);
+    } else if (user.role === 'student') {
+      // Students can only see their own enrolled sections
+      const { data: enrollments, error: enrollError } = await supabase
+        .from('grade_section_enrollments')
+        .select('grade_section_id')
+        .eq('student_id', user.id)
+        .eq('status', 'active')
+        .in('grade_section_id', ids);
+
+      if (enrollError) {
+        console.error('❌ [GRADE-SECTIONS] Error checking student enrollments:', enrollError);
+        return res.status(500).json({ error: 'Failed to verify enrollments' });
+      }
+
+      accessibleIds = enrollments.map(enrollment => enrollment.grade_section_id);
+      console.log('   👨‍🎓 Student accessible sections:', accessibleIds);
+    } else if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - role cannot list grade section students:', user.role);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (accessibleIds.length === 0) {
+      console.log('⚠️ [GRADE-SECTIONS] No accessible grade sections found');
+      return sendWithETag(req, res, { students: {} });
+    }
+
+    const { data: rows, error } = await supabase
+      .rpc('get_grade_sections_students_batch', {
+        p_grade_section_ids: accessibleIds
+      });
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching students:', error);
+      return res.status(500).json({ error: 'Failed to fetch students' });
+    }
+
+    const students = {};
+    for (const row of rows || []) {
+      const name = `${row.first_name} ${row.last_name}`;
+      // Students only see their classmates' names and roll numbers
+      const student = user.role === 'student'
+        ? { id: row.student_id, name, roll_number: row.roll_number }
+        : {
+          id: row.student_id,
+          name,
+          first_name: row.first_name,
+          last_name: row.last_name,
+          email: row.email,
+          roll_number: row.roll_number,
+          photo_url: row.profile_image_url,
+          enrollment_id: row.enrollment_id,
+          enrolled_since: row.started_on,
+          status: row.enrollment_status
+        };
+      (students[row.grade_section_id] = students[row.grade_section_id] || []).push(student);
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Successfully fetched students for', Object.keys(students).length, 'grade sections');
+
+    sendWithETag(req, res, { students });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error in batch students route:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/grade-sections/:gradeSectionId/subjects
+// Subjects taught in a grade section and their subject teachers
+router.get('/:gradeSectionId/subjects', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] GET /:gradeSectionId/subjects - Fetching section subjects');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { gradeSectionId } = req.params;
+    const supabase = req.supabase;
+
+    if (user.role === 'student') {
+      const { data: enrollment } = await supabase
+        .from('grade_section_enrollments')
+        .select('id')
+        .eq('grade_section_id', gradeSectionId)
+        .eq('student_id', user.id)
+        .eq('status', 'active')
+        .maybeSingle();
+
+      if (!enrollment) {
+        console.log('❌ [GRADE-SECTIONS] Student not enrolled in grade section');
+        return res.status(403).json({ error: 'Not enrolled in this grade section' });
+      }
+    }
+
+    const { data: subjects, error } = await supabase
+      .from('grade_section_subjects')
+      .select(`
+        id,
+        subject:subjects(id, name, code, is_active),
+        teacher:users!grade_section_subjects_teacher_id_fkey(id, first_name, last_name, email)
+      `)
+      .eq('grade_section_id', gradeSectionId);
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching section subjects:', error);
+      return res.status(500).json({ error: 'Failed to fetch grade section subjects' });
+    }
+
+    const active = (subjects || [])
+      .filter(mapping => mapping.subject?.is_active)
+      .sort((a, b) => a.subject.name.localeCompare(b.subject.name));
+
+    console.log('✅ [GRADE-SECTIONS] Fetched', active.length, 'section subjects');
+
+    res.json({ success: true, grade_section_id: gradeSectionId, subjects: active });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error fetching section subjects:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/grade-sections/:gradeSectionId/subjects/:subjectId
+// Add a subject to a grade section or change its subject teacher (Admin)
+router.put('/:gradeSectionId/subjects/:subjectId', [
+  authenticateToken,
+  [
+    body('teacher_id')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('teacher_id must be a valid UUID or null')
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] PUT /:gradeSectionId/subjects/:subjectId - Assigning subject teacher');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId, 'Subject ID:', req.params.subjectId);
+  console.log('   👨‍🏫 Teacher ID:', req.body.teacher_id);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { gradeSectionId, subjectId } = req.params;
+    const { teacher_id = null } = req.body;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const [{ data: gradeSection }, { data: subject }] = await Promise.all([
+      supabase.from('grade_sections').select('id, name').eq('id', gradeSectionId).maybeSingle(),
+      supabase.from('subjects').select('id, name, is_active').eq('id', subjectId).maybeSingle()
+    ]);
+
+    if (!gradeSection) {
+      console.log('❌ [GRADE-SECTIONS] Grade section not found:', gradeSectionId);
+      return res.status(404).json({ error: 'Grade section not found' });
+    }
+
+    if (!subject || !subject.is_active) {
+      console.log('❌ [GRADE-SECTIONS] Subject not found or inactive:', subjectId);
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    if (teacher_id) {
+      const { data: teacher } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', teacher_id)
+        .eq('role', 'teacher')
+        .maybeSingle();
+
+      if (!teacher) {
+        console.log('❌ [GRADE-SECTIONS] Teacher not found or not a teacher:', teacher_id);
+        return res.status(400).json({ error: 'Teacher not found or user is not a teacher' });
+      }
+    }
+
+    const { data: mapping, error } = await supabase
+      .from('grade_section_subjects')
+      .upsert({
+        grade_section_id: gradeSectionId,
+        subject_id: subjectId,
+        teacher_id
+      }, { onConflict: 'grade_section_id,subject_id' })
+      .select(`
+        id,
+        subject:subjects(id, name, code, is_active),
+        teacher:users!grade_section_subjects_teacher_id_fkey(id, first_name, last_name, email)
+      `)
+      .single();
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error assigning subject teacher:', error);
+      return res.status(500).json({ error: 'Failed to assign subject teacher' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Subject', subject.name, 'assigned in', gradeSection.name);
+
+    res.json({ success: true, grade_section_id: gradeSectionId, subject: mapping });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error assigning subject teacher:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/grade-sections/:gradeSectionId/subjects/:subjectId
+// Remove a subject from a grade section (Admin)
+router.delete('/:gradeSectionId/subjects/:subjectId', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] DELETE /:gradeSectionId/subjects/:subjectId - Removing section subject');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId, 'Subject ID:', req.params.subjectId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { gradeSectionId, subjectId } = req.params;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const { data: removed, error } = await supabase
+      .from('grade_section_subjects')
+      .delete()
+      .eq('grade_section_id', gradeSectionId)
+      .eq('subject_id', subjectId)
+      .select('id');
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error removing section subject:', error);
+      return res.status(500).json({ error: 'Failed to remove subject from grade section' });
+    }
+
+    if (!removed || removed.length === 0) {
+      console.log('❌ [GRADE-SECTIONS] Subject not assigned to grade section');
+      return res.status(404).json({ error: 'Subject is not assigned to this grade section' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Section subject removed');
+
+    res.json({ success: true, message: 'Subject removed from grade section' });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error removing section subject:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/grade-sections/:gradeSectionId/staff
+// Teachers of a grade section with their roles (class teacher, assistant, subject teacher)
+router.get('/:gradeSectionId/staff', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] GET /:gradeSectionId/staff - Fetching section staff');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { gradeSectionId } = req.params;
+    const supabase = req.supabase;
+
+    if (!await canAccessSection(supabase, user, gradeSectionId, 'view')) {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not admin or section staff');
+      return res.status(403).json({ error: 'Not authorized to view staff of this grade section' });
+    }
+
+    const [{ data: staffRows, error: staffError }, { data: subjectRows, error: subjectError }] = await Promise.all([
+      supabase
+        .from('grade_section_staff')
+        .select('role, teacher:users!grade_section_staff_teacher_id_fkey(id, first_name, last_name, email)')
+        .eq('grade_section_id', gradeSectionId),
+      supabase
+        .from('grade_section_subjects')
+        .select(`
+          subject:subjects(id, name, is_active),
+          teacher:users!grade_section_subjects_teacher_id_fkey(id, first_name, last_name, email)
+        `)
+        .eq('grade_section_id', gradeSectionId)
+        .not('teacher_id', 'is', null)
+    ]);
+
+    if (staffError || subjectError) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching section staff:', staffError || subjectError);
+      return res.status(500).json({ error: 'Failed to fetch grade section staff' });
+    }
+
+    // One entry per teacher with every role they hold
+    const staff = new Map();
+    const entryFor = (teacher) => {
+      if (!staff.has(teacher.id)) {
+        staff.set(teacher.id, { teacher, roles: [], subjects: [] });
+      }
+      return staff.get(teacher.id);
+    };
+
+    for (const row of staffRows || []) {
+      if (row.teacher) {
+        entryFor(row.teacher).roles.push(row.role);
+      }
+    }
+    for (const row of subjectRows || []) {
+      if (row.teacher && row.subject?.is_active) {
+        const entry = entryFor(row.teacher);
+        if (!entry.roles.includes('subject_teacher')) {
+          entry.roles.push('subject_teacher');
+        }
+        entry.subjects.push({ id: row.subject.id, name: row.subject.name });
+      }
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Fetched', staff.size, 'staff members');
+
+    res.json({ success: true, grade_section_id: gradeSectionId, staff: [...staff.values()] });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error fetching section staff:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/grade-sections/:gradeSectionId/staff/:teacherId
+// Make a teacher the class teacher or an assistant of a grade section (Admin).
+// Subject teachers are assigned per subject via /:gradeSectionId/subjects/:subjectId.
+router.put('/:gradeSectionId/staff/:teacherId', [
+  authenticateToken,
+  [
+    body('role').isIn(ASSIGNABLE_STAFF_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_STAFF_ROLES.join(', ')}`)
+  ]
+], async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] PUT /:gradeSectionId/staff/:teacherId - Assigning section staff');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId, 'Teacher ID:', req.params.teacherId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [GRADE-SECTIONS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { gradeSectionId, teacherId } = req.params;
+    const { role } = req.body;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const [{ data: gradeSection }, { data: teacher }] = await Promise.all([
+      supabase.from('grade_sections').select('id, name, teacher_id').eq('id', gradeSectionId).maybeSingle(),
+      supabase.from('users').select('id').eq('id', teacherId).eq('role', 'teacher').maybeSingle()
+    ]);
+
+    if (!gradeSection) {
+      console.log('❌ [GRADE-SECTIONS] Grade section not found:', gradeSectionId);
+      return res.status(404).json({ error: 'Grade section not found' });
+    }
+
+    if (!teacher) {
+      console.log('❌ [GRADE-SECTIONS] Teacher not found or not a teacher:', teacherId);
+      return res.status(400).json({ error: 'Teacher not found or user is not a teacher' });
+    }
+
+    // grade_sections.teacher_id is the class teacher; a trigger keeps
+    // grade_section_staff in step with it
+    let sectionUpdate = null;
+    if (role === 'class_teacher' && gradeSection.teacher_id !== teacherId) {
+      sectionUpdate = { teacher_id: teacherId };
+    } else if (role === 'assistant' && gradeSection.teacher_id === teacherId) {
+      sectionUpdate = { teacher_id: null };
+    }
+
+    if (sectionUpdate) {
+      const { error: sectionError } = await supabase
+        .from('grade_sections')
+        .update(sectionUpdate)
+        .eq('id', gradeSectionId);
+
+      if (sectionError) {
+        console.error('❌ [GRADE-SECTIONS] Error updating class teacher:', sectionError);
+        return res.status(500).json({ error: 'Failed to assign section staff' });
+      }
+    }
+
+    if (role === 'assistant') {
+      const { error: staffError } = await supabase
+        .from('grade_section_staff')
+        .upsert({
+          grade_section_id: gradeSectionId,
+          teacher_id: teacherId,
+          role,
+          created_by: user.id
+        }, { onConflict: 'grade_section_id,teacher_id' });
+
+      if (staffError) {
+        console.error('❌ [GRADE-SECTIONS] Error assigning assistant:', staffError);
+        return res.status(500).json({ error: 'Failed to assign section staff' });
+      }
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Teacher', teacherId, 'is now', role, 'of', gradeSection.name);
+
+    res.json({ success: true, grade_section_id: gradeSectionId, teacher_id: teacherId, role });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error assigning section staff:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/grade-sections/:gradeSectionId/staff/:teacherId
+// Remove a class teacher or assistant from a grade section (Admin)
+router.delete('/:gradeSectionId/staff/:teacherId', authenticateToken, async (req, res) => {
+  console.log('🔍 [GRADE-SECTIONS] DELETE /:gradeSectionId/staff/:teacherId - Removing section staff');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId, 'Teacher ID:', req.params.teacherId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { gradeSectionId, teacherId } = req.params;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [GRADE-SECTIONS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const { data: staffRow, error: fetchError } = await supabase
+      .from('grade_section_staff')
+      .select('id, role')
+      .eq('grade_section_id', gradeSectionId)
+      .eq('teacher_id', teacherId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('❌ [GRADE-SECTIONS] Error fetching section staff:', fetchError);
+      return res.status(500).json({ error: 'Failed to remove section staff' });
+    }
+
+    if (!staffRow) {
+      console.log('❌ [GRADE-SECTIONS] Teacher is not on the section staff');
+      return res.status(404).json({ error: 'Teacher is not a class teacher or assistant of this grade section' });
+    }
+
+    // Removing the class teacher clears grade_sections.teacher_id (the trigger drops the staff row)
+    const { error } = staffRow.role === 'class_teacher'
+      ? await supabase.from('grade_sections').update({ teacher_id: null }).eq('id', gradeSectionId)
+      : await supabase.from('grade_section_staff').delete().eq('id', staffRow.id);
+
+    if (error) {
+      console.error('❌ [GRADE-SECTIONS] Error removing section staff:', error);
+      return res.status(500).json({ error: 'Failed to remove section staff' });
+    }
+
+    console.log('✅ [GRADE-SECTIONS] Removed', staffRow.role, teacherId, 'from grade section', gradeSectionId);
+
+    res.json({ success: true, message: 'Teacher removed from grade section staff' });
+  } catch (error) {
+    console.error('❌ [GRADE-SECTIONS] Error removing section staff:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
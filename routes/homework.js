@@ -1,10 +1,31 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { supabaseAdmin } = require('../lib/supabase');
 const multer = require('multer');
 const cdnStorage = require('../lib/cdn-storage');
+const { getSchoolNow, getUpcomingInstructionalDays } = require('../lib/school-timings');
+const { notifyHomeworkPublished } = require('../lib/homework-notifications');
+const { getWeekRange, buildDigest, fetchLogo, renderDigestPdf } = require('../lib/homework-digest');
+const { normalizeHomeworkSubjects, getTeacherSubjects } = require('../lib/subjects');
+const { getSectionRoles, canAccessSection, getStaffGradeSectionIds } = require('../lib/grade-section-staff');
+const { buildHomeworkEvents, buildCalendar } = require('../lib/homework-calendar');
+const { buildCompletionSummaries, emptyCompletionSummary } = require('../lib/homework-completion');
+const { getLinkedStudentIds } = require('../lib/parent-links');
+
+// Default homework window for students: the next 20 instructional days (about a month of school)
+const DEFAULT_HOMEWORK_WINDOW_DAYS = 20;
+// Calendar days used instead when no instructional days lie ahead (long breaks, outside terms)
+const FALLBACK_HOMEWORK_WINDOW_DAYS = 30;
+
+// Homework included in the calendar feed, by homework date
+const CALENDAR_FEED_PAST_DAYS = 60;
+const CALENDAR_FEED_FUTURE_DAYS = 180;
+
+// Per-subject completion states a student (or a teacher override) can record
+const COMPLETION_STATUSES = ['not_started', 'done', 'incomplete'];
 
 // Middleware to inject Supabase client
 router.use((req, res, next) => {
@@ -12,21 +33,187 @@ router.use((req, res, next) => {
   next();
 });
 
-// Configure multer for file uploads
+// Attachments per homework item
+const MAX_HOMEWORK_ATTACHMENTS = 10;
+
+// Grade sections one homework can be posted to in a single request
+const MAX_SECTIONS_PER_POST = 20;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Embedded attachment list for homework selects (sorted with sortAttachments)
+const ATTACHMENTS_SELECT = 'attachments:homework_attachments(id, position, file:file_uploads(id, filename, original_name, content_type, file_size, cdn_url))';
+
+// Configure multer for file uploads; any type known to CDN storage is accepted,
+// per-type size limits are enforced by cdnStorage.uploadFile
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 209715200, // 200MB
+    files: MAX_HOMEWORK_ATTACHMENTS
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (cdnStorage.isSupportedFileType(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error(`File type not allowed. Allowed types: ${cdnStorage.getSupportedFileTypes().join(', ')}`), false);
     }
   },
 });
 
+// Order embedded attachments by position
+function sortAttachments(homework) {
+  if (homework && Array.isArray(homework.attachments)) {
+    homework.attachments.sort((a, b) => a.position - b.position);
+  }
+  return homework;
+}
+
+function isPdf(file) {
+  return file.content_type === 'application/pdf' || /\.pdf$/i.test(file.original_name || file.filename || '');
+}
+
+// Upload files to CDN storage; returns the file_uploads rows in upload order
+async function uploadAttachments(files, userId, gradeSectionId) {
+  const uploaded = [];
+  for (const file of files) {
+    console.log('   📤 Uploading attachment:', file.originalname);
+    const uploadRes = await cdnStorage.uploadFile(file, {
+      userId,
+      folder: `homework/${gradeSectionId}`,
+      relatedTable: 'homework_announcements',
+    });
+    uploaded.push(uploadRes.file);
+  }
+  return uploaded;
+}
+
+// Link uploaded files to a homework item after its existing attachments
+async function linkAttachments(supabase, homeworkId, fileRows, startPosition = 0) {
+  if (fileRows.length === 0) {
+    return [];
+  }
+
+  const { data: attachments, error } = await supabase
+    .from('homework_attachments')
+    .insert(fileRows.map((file, index) => ({
+      homework_id: homeworkId,
+      file_id: file.id,
+      position: startPosition + index
+    })))
+    .select('id, position, file:file_uploads(id, filename, original_name, content_type, file_size, cdn_url)');
+
+  if (error) {
+    throw error;
+  }
+
+  return attachments.sort((a, b) => a.position - b.position);
+}
+
+// Class teachers and assistants may post any homework in their section, subject
+// teachers only for the subjects they teach there; returns the subjects the
+// teacher may not post (all of them when the homework has no subjects)
+async function getUnassignedSubjects(supabase, gradeSectionId, teacherId, subjects) {
+  const roles = await getSectionRoles(supabase, gradeSectionId, teacherId);
+  if (roles.includes('class_teacher') || roles.includes('assistant')) {
+    return [];
+  }
+
+  const taught = (await getTeacherSubjects(supabase, gradeSectionId, teacherId))
+    .map(name => name.toLowerCase());
+  const requested = (subjects || []).map(entry => entry?.subject).filter(Boolean);
+
+  if (requested.length === 0) {
+    return ['(no subject)'];
+  }
+
+  return requested.filter(subject => !taught.includes(String(subject).toLowerCase()));
+}
+
+// The homework's author, an admin or the section's class teacher may change it
+async function canEditHomework(supabase, user, homework) {
+  return user.role === 'admin' || user.id === homework.teacher_id ||
+    await canAccessSection(supabase, user, homework.grade_section_id, 'manage');
+}
+
+// Templates are visible to their creator, to admins and, when shared, to every teacher
+function canUseTemplate(user, template) {
+  return user.role === 'admin' || template.created_by === user.id || template.is_shared;
+}
+
+// Only the creator or an admin may change a template
+function canEditTemplate(user, template) {
+  return user.role === 'admin' || template.created_by === user.id;
+}
+
+// Subjects a homework item tracks completion for; homework without subjects
+// is tracked as a whole under ''
+function getCompletionSubjects(homework) {
+  const subjects = Array.isArray(homework.subjects)
+    ? homework.subjects.map(entry => entry?.subject).filter(Boolean)
+    : [];
+  return subjects.length > 0 ? [...new Set(subjects)] : [''];
+}
+
+// Load a homework item and decide which of its completion subjects the user
+// may manage: all of them for admins, the homework's teacher and the section's
+// class teacher or assistants, only the subjects they teach for subject teachers
+async function loadHomeworkForCompletion(supabase, id, user) {
+  const { data: homework, error } = await supabase
+    .from('homework_announcements')
+    .select('id, grade_section_id, teacher_id, subjects, is_published')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!homework) {
+    return { homework: null, canManage: false, manageableSubjects: [] };
+  }
+
+  let manageableSubjects = [];
+  if (user.role === 'admin' || (user.role === 'teacher' && user.id === homework.teacher_id)) {
+    manageableSubjects = getCompletionSubjects(homework);
+  } else if (user.role === 'teacher' &&
+    await canAccessSection(supabase, user, homework.grade_section_id, 'post_homework')) {
+    const unassigned = await getUnassignedSubjects(supabase, homework.grade_section_id, user.id, homework.subjects);
+    manageableSubjects = getCompletionSubjects(homework)
+      .filter(subject => !unassigned.includes(subject || '(no subject)'));
+  }
+
+  return { homework, canManage: manageableSubjects.length > 0, manageableSubjects };
+}
+
+async function isActivelyEnrolled(supabase, gradeSectionId, studentId) {
+  const { data: enrollment, error } = await supabase
+    .from('grade_section_enrollments')
+    .select('id')
+    .eq('grade_section_id', gradeSectionId)
+    .eq('student_id', studentId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return !!enrollment;
+}
+
+// Announce newly published homework after the response has been sent;
+// notification failures never affect the request
+function notifyInBackground(supabase, homeworkId) {
+  setImmediate(async () => {
+    try {
+      await notifyHomeworkPublished(supabase, homeworkId);
+    } catch (notificationError) {
+      console.error('   ⚠️ [HOMEWORK] Error sending homework notifications:', notificationError);
+    }
+  });
+}
+
 // GET /api/homework/grade-section/:gradeSectionId
 // Get homework for a specific grade section
 router.get('/grade-section/:gradeSectionId', authenticateToken, async (req, res) => {
@@ -47,7 +234,7 @@ router.get('/grade-section/:gradeSectionId', authenticateToken, async (req, res)
     // Verify grade section exists and user has access
     const { data: gradeSection, error: gradeSectionError } = await supabase
       .from('grade_sections')
-      .select('teacher_id')
+      .select('id, teacher_id')
       .eq('id', gradeSectionId)
       .single();
 
@@ -58,8 +245,8 @@ router.get('/grade-section/:gradeSectionId', authenticateToken, async (req, res)
 
     console.log('   📊 Grade section teacher_id:', gradeSection.teacher_id);
 
-    if (user.role === 'teacher' && user.id !== gradeSection.teacher_id) {
-      console.log('❌ [HOMEWORK] Access denied - not the assigned teacher');
+    if (user.role === 'teacher' && !await canAccessSection(supabase, user, gradeSection.id, 'view')) {
+      console.log('❌ [HOMEWORK] Access denied - not on the staff of this grade section');
       return res.status(403).json({ error: 'Not authorized to view homework for this grade section' });
     }
 
@@ -74,136 +261,1161 @@ router.get('/grade-section/:gradeSectionId', authenticateToken, async (req, res)
         .eq('status', 'active')
         .single();
 
-      if (enrollError || !enrollment) {
-        console.log('❌ [HOMEWORK] Student not enrolled in grade section');
-        console.log('   🔍 Enrollment check details:');
-        console.log('     - Student ID:', user.id);
-        console.log('     - Grade Section ID:', gradeSectionId);
-        console.log('     - Enrollment error:', enrollError);
-        console.log('     - Enrollment data:', enrollment);
+      if (enrollError || !enrollment) {
+        console.log('❌ [HOMEWORK] Student not enrolled in grade section');
+        console.log('   🔍 Enrollment check details:');
+        console.log('     - Student ID:', user.id);
+        console.log('     - Grade Section ID:', gradeSectionId);
+        console.log('     - Enrollment error:', enrollError);
+        console.log('     - Enrollment data:', enrollment);
+        return res.status(403).json({ error: 'Not enrolled in this grade section' });
+      }
+      console.log('✅ [HOMEWORK] Student enrollment verified');
+      console.log('   📊 Enrollment details:', enrollment);
+    }
+
+    // Build query
+    let query = supabase
+      .from('homework_announcements')
+      .select(`
+        *,
+        teacher:users!homework_announcements_teacher_id_fkey(id, first_name, last_name, email),
+        pdf_file:file_uploads!homework_announcements_pdf_file_id_fkey(id, filename, cdn_url),
+        ${ATTACHMENTS_SELECT}
+      `)
+      .eq('grade_section_id', gradeSectionId)
+      .order('homework_date', { ascending: false });
+
+    // Add date filters if provided
+    if (start_date) {
+      console.log('   📅 Filtering from date:', start_date);
+      query = query.gte('homework_date', start_date);
+    }
+    if (end_date) {
+      console.log('   📅 Filtering to date:', end_date);
+      query = query.lte('homework_date', end_date);
+    }
+
+    console.log('   🔍 Executing database query...');
+    const { data: homework, error } = await query;
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error fetching homework:', error);
+      console.log('   🔍 Database error details:', error);
+      return res.status(500).json({ error: 'Failed to fetch homework' });
+    }
+
+    (homework || []).forEach(sortAttachments);
+
+    // Teachers see completion counts per item, students their own completion states
+    if (homework?.length) {
+      const homeworkIds = homework.map(item => item.id);
+
+      if (user.role === 'student') {
+        const { data: ownCompletions, error: completionError } = await supabase
+          .from('homework_completions')
+          .select('homework_id, subject, status, is_teacher_override, notes, updated_at')
+          .eq('student_id', user.id)
+          .in('homework_id', homeworkIds);
+
+        if (completionError) {
+          console.error('❌ [HOMEWORK] Error fetching completion states:', completionError);
+          return res.status(500).json({ error: 'Failed to fetch homework' });
+        }
+
+        for (const item of homework) {
+          item.my_completion = (ownCompletions || []).filter(completion => completion.homework_id === item.id);
+        }
+      } else {
+        const { data: counts, error: countsError } = await supabase
+          .rpc('get_homework_completion_counts', { p_homework_ids: homeworkIds });
+
+        if (countsError) {
+          console.error('❌ [HOMEWORK] Error fetching completion counts:', countsError);
+          return res.status(500).json({ error: 'Failed to fetch homework' });
+        }
+
+        const summaries = buildCompletionSummaries(counts);
+        for (const item of homework) {
+          item.completion = summaries.get(item.id) || emptyCompletionSummary();
+        }
+      }
+    }
+
+    console.log('✅ [HOMEWORK] Successfully fetched', homework?.length || 0, 'homework items');
+    console.log('   📊 Response data:', JSON.stringify(homework, null, 2));
+    console.log('   📈 Response size:', JSON.stringify(homework).length, 'characters');
+    console.log('   🕒 Response time:', new Date().toISOString());
+
+    res.json({ success: true, homework: homework || [] });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error fetching homework:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/homework/grade-section/:gradeSectionId/digest?week=YYYY-MM-DD|YYYY-Www
+// Printable PDF of the week's published homework, grouped by day and subject
+// (defaults to the current school week). Parents may download the digest of
+// sections their linked children are enrolled in.
+router.get('/grade-section/:gradeSectionId/digest', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] GET /grade-section/:gradeSectionId/digest - Building weekly digest');
+  console.log('   🆔 Grade section ID:', req.params.gradeSectionId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📅 Query params:', req.query);
+
+  try {
+    const { user } = req;
+    const { gradeSectionId } = req.params;
+    const supabase = req.supabase;
+
+    const range = getWeekRange(req.query.week || getSchoolNow().date);
+    if (!range) {
+      console.log('❌ [HOMEWORK] Invalid week:', req.query.week);
+      return res.status(400).json({ error: 'week must be a date (YYYY-MM-DD) or an ISO week (YYYY-Www)' });
+    }
+
+    const { data: gradeSection, error: gradeSectionError } = await supabase
+      .from('grade_sections')
+      .select('id, name, teacher_id')
+      .eq('id', gradeSectionId)
+      .single();
+
+    if (gradeSectionError || !gradeSection) {
+      console.log('❌ [HOMEWORK] Grade section not found:', gradeSectionId);
+      return res.status(404).json({ error: 'Grade section not found' });
+    }
+
+    if (user.role === 'teacher' && !await canAccessSection(supabase, user, gradeSection.id, 'view')) {
+      console.log('❌ [HOMEWORK] Access denied - not on the staff of this grade section');
+      return res.status(403).json({ error: 'Not authorized to view homework for this grade section' });
+    }
+
+    if (user.role === 'student' && !await isActivelyEnrolled(supabase, gradeSectionId, user.id)) {
+      console.log('❌ [HOMEWORK] Student not enrolled in grade section');
+      return res.status(403).json({ error: 'Not enrolled in this grade section' });
+    }
+
+    if (user.role === 'parent') {
+      const childIds = await getLinkedStudentIds(supabase, user.id);
+      const enrolled = await Promise.all(childIds.map(childId => isActivelyEnrolled(supabase, gradeSectionId, childId)));
+      if (!enrolled.includes(true)) {
+        console.log('❌ [HOMEWORK] Access denied - no linked child enrolled in grade section');
+        return res.status(403).json({ error: 'Not authorized to view homework for this grade section' });
+      }
+    } else if (!['admin', 'teacher', 'student'].includes(user.role)) {
+      console.log('❌ [HOMEWORK] Access denied - role cannot view digests:', user.role);
+      return res.status(403).json({ error: 'Not authorized to view homework for this grade section' });
+    }
+
+    const [{ data: homework, error }, { data: settings }] = await Promise.all([
+      supabase
+        .from('homework_announcements')
+        .select(`
+          id, title, content, homework_date, subjects, created_at,
+          teacher:users!homework_announcements_teacher_id_fkey(id, first_name, last_name)
+        `)
+        .eq('grade_section_id', gradeSectionId)
+        .eq('is_published', true)
+        .gte('homework_date', range.start_date)
+        .lte('homework_date', range.end_date)
+        .order('homework_date', { ascending: true })
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('school_settings')
+        .select('name, logo_url')
+        .limit(1)
+        .maybeSingle()
+    ]);
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error fetching homework for digest:', error);
+      return res.status(500).json({ error: 'Failed to fetch homework' });
+    }
+
+    const days = buildDigest(homework, range);
+    const pdf = await renderDigestPdf({
+      school: { name: settings?.name || '', logo: await fetchLogo(settings?.logo_url) },
+      gradeSectionName: gradeSection.name,
+      range,
+      days
+    });
+
+    const fileName = `homework-digest-${gradeSection.name.replace(/[^A-Za-z0-9-]+/g, '-')}-${range.start_date}.pdf`;
+
+    console.log('✅ [HOMEWORK] Digest built with', homework?.length || 0, 'items over', days.length, 'days');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error building homework digest:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/homework/student
+// Get homework for the current student
+router.get('/student', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] GET /student - Fetching student homework');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📅 Query params:', req.query);
+  console.log('   🌐 Request origin:', req.headers.origin);
+  console.log('   📱 User agent:', req.headers['user-agent']);
+  console.log('   🔑 Token present:', !!req.headers.authorization);
+  
+  try {
+    const { user } = req;
+    const { start_date, end_date } = req.query;
+    const supabase = req.supabase;
+
+    if (user.role !== 'student') {
+      console.log('❌ [HOMEWORK] Access denied - only students can access this endpoint');
+      console.log('   🔍 User role:', user.role);
+      return res.status(403).json({ error: 'Only students can access this endpoint' });
+    }
+
+    console.log('   👨‍🎓 Fetching homework for student:', user.id);
+    console.log('   📅 Date range:', {
+      start_date: start_date || 'default (today)',
+      end_date: end_date || `default (+${DEFAULT_HOMEWORK_WINDOW_DAYS} instructional days)`
+    });
+
+    // Default window counts instructional days only, so holidays don't shorten it
+    const defaultStart = start_date || getSchoolNow().date;
+    let defaultEnd = end_date;
+    if (!defaultEnd) {
+      const upcomingDays = await getUpcomingInstructionalDays(supabase, defaultStart, DEFAULT_HOMEWORK_WINDOW_DAYS);
+      defaultEnd = upcomingDays[upcomingDays.length - 1];
+    }
+    if (!defaultEnd) {
+      const fallbackEnd = new Date(`${defaultStart}T00:00:00Z`);
+      fallbackEnd.setUTCDate(fallbackEnd.getUTCDate() + FALLBACK_HOMEWORK_WINDOW_DAYS);
+      defaultEnd = fallbackEnd.toISOString().split('T')[0];
+    }
+
+    // Get homework using the function
+    const functionParams = {
+      student_uuid: user.id,
+      start_date: defaultStart,
+      end_date: defaultEnd
+    };
+    
+    console.log('   🔍 Calling get_student_homework function with params:', functionParams);
+    
+    const { data: homework, error } = await supabase
+      .rpc('get_student_homework', functionParams);
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error fetching student homework:', error);
+      console.log('   🔍 Function error details:', error);
+      return res.status(500).json({ error: 'Failed to fetch homework' });
+    }
+
+    console.log('✅ [HOMEWORK] Successfully fetched', homework?.length || 0, 'homework items for student');
+    console.log('   📊 Response data:', JSON.stringify(homework, null, 2));
+    console.log('   📈 Response size:', JSON.stringify(homework).length, 'characters');
+    console.log('   🕒 Response time:', new Date().toISOString());
+    console.log('   🎯 Function execution successful');
+
+    res.json(homework || []);
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error fetching student homework:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Homework for a user's calendar feed: a student's published homework, or the
+// published homework of every grade section a teacher teaches
+async function getCalendarHomework(supabase, user, startDate, endDate) {
+  if (user.role === 'student') {
+    const { data, error } = await supabase.rpc('get_student_homework', {
+      student_uuid: user.id,
+      start_date: startDate,
+      end_date: endDate
+    });
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+
+  let query = supabase
+    .from('homework_announcements')
+    .select(`
+      id, title, homework_date, subjects,
+      grade_section:grade_sections(name)
+    `)
+    .eq('is_published', true)
+    .gte('homework_date', startDate)
+    .lte('homework_date', endDate);
+
+  if (user.role !== 'admin') {
+    const sectionIds = await getStaffGradeSectionIds(supabase, user.id);
+    if (sectionIds.length === 0) {
+      return [];
+    }
+    query = query.in('grade_section_id', sectionIds);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(item => ({ ...item, grade_section_name: item.grade_section?.name }));
+}
+
+// GET /api/homework/calendar/:token.ics
+// iCalendar feed of homework due dates. No bearer auth: calendar apps subscribe
+// with the secret token in the URL (see POST /api/homework/calendar/token)
+router.get('/calendar/:token.ics', async (req, res) => {
+  console.log('🔍 [HOMEWORK] GET /calendar/:token.ics - Serving calendar feed');
+
+  try {
+    const supabase = req.supabase;
+
+    const { data: feedToken, error: tokenError } = await supabase
+      .from('calendar_feed_tokens')
+      .select('id, user:users!calendar_feed_tokens_user_id_fkey(id, role, status, first_name, last_name)')
+      .eq('token_hash', hashFeedToken(req.params.token))
+      .maybeSingle();
+
+    if (tokenError || !feedToken?.user || feedToken.user.status !== 'active') {
+      console.log('❌ [HOMEWORK] Unknown or revoked calendar feed token');
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const user = feedToken.user;
+    const today = getSchoolNow().date;
+    const start = new Date(`${today}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - CALENDAR_FEED_PAST_DAYS);
+    const end = new Date(`${today}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + CALENDAR_FEED_FUTURE_DAYS);
+
+    const homework = await getCalendarHomework(
+      supabase,
+      user,
+      start.toISOString().split('T')[0],
+      end.toISOString().split('T')[0]
+    );
+
+    const ics = buildCalendar({
+      name: `Homework - ${user.first_name} ${user.last_name}`,
+      events: buildHomeworkEvents(homework)
+    });
+
+    await supabase
+      .from('calendar_feed_tokens')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('id', feedToken.id);
+
+    console.log('✅ [HOMEWORK] Calendar feed served for user', user.id, 'with', homework.length, 'homework items');
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="homework.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(ics);
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error serving calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/homework/calendar/token
+// Whether the current user has a calendar feed (the URL itself is only shown when created)
+router.get('/calendar/token', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] GET /calendar/token - Fetching calendar feed status');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { data: feedToken, error } = await req.supabase
+      .from('calendar_feed_tokens')
+      .select('created_at, last_accessed_at')
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error fetching calendar feed token:', error);
+      return res.status(500).json({ error: 'Failed to fetch calendar feed' });
+    }
+
+    res.json({ success: true, enabled: !!feedToken, feed: feedToken || null });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error fetching calendar feed token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/homework/calendar/token
+// Create (or rotate) the current user's calendar feed URL; any previous URL stops working
+router.post('/calendar/token', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] POST /calendar/token - Creating calendar feed token');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    if (!['student', 'teacher', 'admin'].includes(user.role)) {
+      console.log('❌ [HOMEWORK] Access denied - calendar feed not available for role:', user.role);
+      return res.status(403).json({ error: 'Calendar feed is not available for this account' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const { error } = await supabase
+      .from('calendar_feed_tokens')
+      .upsert({
+        user_id: user.id,
+        token_hash: hashFeedToken(token),
+        created_at: new Date().toISOString(),
+        last_accessed_at: null
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error creating calendar feed token:', error);
+      return res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/${token}.ics`;
+
+    console.log('✅ [HOMEWORK] Calendar feed token created for user', user.id);
+
+    res.status(201).json({
+      success: true,
+      feed_url: feedUrl,
+      webcal_url: feedUrl.replace(/^https?:/, 'webcal:')
+    });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error creating calendar feed token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/homework/calendar/token
+// Revoke the current user's calendar feed URL
+router.delete('/calendar/token', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] DELETE /calendar/token - Revoking calendar feed token');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { error } = await req.supabase
+      .from('calendar_feed_tokens')
+      .delete()
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error revoking calendar feed token:', error);
+      return res.status(500).json({ error: 'Failed to revoke calendar feed' });
+    }
+
+    console.log('✅ [HOMEWORK] Calendar feed token revoked');
+
+    res.json({ success: true, message: 'Calendar feed revoked successfully' });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error revoking calendar feed token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/homework/templates
+// List homework templates the user can use (Teacher/Admin)
+router.get('/templates', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] GET /templates - Fetching homework templates');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    if (!['teacher', 'admin'].includes(user.role)) {
+      console.log('❌ [HOMEWORK] Access denied - only teachers or admins can use templates');
+      return res.status(403).json({ error: 'Only teachers or admins can use homework templates' });
+    }
+
+    let query = supabase
+      .from('homework_templates')
+      .select('*, creator:users!homework_templates_created_by_fkey(id, first_name, last_name)')
+      .order('name', { ascending: true });
+
+    if (user.role !== 'admin') {
+      query = query.or(`created_by.eq.${user.id},is_shared.eq.true`);
+    }
+
+    const { data: templates, error } = await query;
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error fetching templates:', error);
+      return res.status(500).json({ error: 'Failed to fetch homework templates' });
+    }
+
+    console.log('✅ [HOMEWORK] Fetched', templates?.length || 0, 'templates');
+
+    res.json({ success: true, templates: templates || [] });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error fetching templates:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/homework/templates
+// Save a reusable homework template (Teacher/Admin)
+router.post('/templates', [
+  authenticateToken,
+  [
+    body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+    body('description').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+    body('title').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Title must be less than 255 characters'),
+    body('content').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Content must be less than 1000 characters'),
+    body('subjects').optional().isArray().withMessage('Subjects must be an array if provided'),
+    body('is_shared').optional().isBoolean().withMessage('is_shared must be a boolean')
+  ]
+], async (req, res) => {
+  console.log('🔍 [HOMEWORK] POST /templates - Creating homework template');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [HOMEWORK] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+    const { name, description, title, content, is_shared = false } = req.body;
+
+    if (!['teacher', 'admin'].includes(user.role)) {
+      console.log('❌ [HOMEWORK] Access denied - only teachers or admins can create templates');
+      return res.status(403).json({ error: 'Only teachers or admins can create homework templates' });
+    }
+
+    const { subjects, unknown } = await normalizeHomeworkSubjects(supabase, req.body.subjects || []);
+    if (unknown.length > 0) {
+      console.log('❌ [HOMEWORK] Unknown subjects:', unknown);
+      return res.status(400).json({ error: `Unknown subjects: ${unknown.join(', ')}`, unknown_subjects: unknown });
+    }
+
+    const { data: template, error } = await supabase
+      .from('homework_templates')
+      .insert({
+        name,
+        description,
+        title,
+        content,
+        subjects,
+        is_shared: String(is_shared) === 'true',
+        created_by: user.id
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error creating template:', error);
+      return res.status(500).json({ error: 'Failed to create homework template' });
+    }
+
+    console.log('✅ [HOMEWORK] Template created:', template.id);
+
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error creating template:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/homework/templates/:templateId
+// Update a homework template (creator/Admin)
+router.put('/templates/:templateId', [
+  authenticateToken,
+  [
+    body('name').optional().trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+    body('description').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+    body('title').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Title must be less than 255 characters'),
+    body('content').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Content must be less than 1000 characters'),
+    body('subjects').optional().isArray().withMessage('Subjects must be an array if provided'),
+    body('is_shared').optional().isBoolean().withMessage('is_shared must be a boolean')
+  ]
+], async (req, res) => {
+  console.log('🔍 [HOMEWORK] PUT /templates/:templateId - Updating homework template');
+  console.log('   🆔 Template ID:', req.params.templateId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [HOMEWORK] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { templateId } = req.params;
+    const supabase = req.supabase;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('homework_templates')
+      .select('id, created_by, is_shared')
+      .eq('id', templateId)
+      .maybeSingle();
+
+    if (fetchError || !existing || !canUseTemplate(user, existing)) {
+      console.log('❌ [HOMEWORK] Template not found:', templateId);
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canEditTemplate(user, existing)) {
+      console.log('❌ [HOMEWORK] Access denied - not the template creator');
+      return res.status(403).json({ error: 'Not authorized to update this template' });
+    }
+
+    const updateData = {};
+    for (const field of ['name', 'description', 'title', 'content']) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+    if (req.body.subjects !== undefined) {
+      const { subjects, unknown } = await normalizeHomeworkSubjects(supabase, req.body.subjects);
+      if (unknown.length > 0) {
+        console.log('❌ [HOMEWORK] Unknown subjects:', unknown);
+        return res.status(400).json({ error: `Unknown subjects: ${unknown.join(', ')}`, unknown_subjects: unknown });
+      }
+      updateData.subjects = subjects;
+    }
+    if (req.body.is_shared !== undefined) {
+      updateData.is_shared = String(req.body.is_shared) === 'true';
+    }
+
+    const { data: template, error } = await supabase
+      .from('homework_templates')
+      .update(updateData)
+      .eq('id', templateId)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error updating template:', error);
+      return res.status(500).json({ error: 'Failed to update homework template' });
+    }
+
+    console.log('✅ [HOMEWORK] Template updated:', templateId);
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error updating template:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/homework/templates/:templateId
+// Delete a homework template (creator/Admin); homework created from it is kept
+router.delete('/templates/:templateId', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] DELETE /templates/:templateId - Deleting homework template');
+  console.log('   🆔 Template ID:', req.params.templateId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { templateId } = req.params;
+    const supabase = req.supabase;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('homework_templates')
+      .select('id, created_by, is_shared')
+      .eq('id', templateId)
+      .maybeSingle();
+
+    if (fetchError || !existing || !canUseTemplate(user, existing)) {
+      console.log('❌ [HOMEWORK] Template not found:', templateId);
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canEditTemplate(user, existing)) {
+      console.log('❌ [HOMEWORK] Access denied - not the template creator');
+      return res.status(403).json({ error: 'Not authorized to delete this template' });
+    }
+
+    const { error } = await supabase
+      .from('homework_templates')
+      .delete()
+      .eq('id', templateId);
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error deleting template:', error);
+      return res.status(500).json({ error: 'Failed to delete homework template' });
+    }
+
+    console.log('✅ [HOMEWORK] Template deleted:', templateId);
+
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error deleting template:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/homework
+// Create a new homework announcement (Teacher/Admin).
+// With grade_section_ids the same homework is posted to every listed grade section
+// (sharing one batch_id) and the response holds the list of created items.
+// template_id prefills title, content and subjects from a saved template.
+router.post('/', [
+  authenticateToken,
+  upload.fields([
+    { name: 'attachments', maxCount: MAX_HOMEWORK_ATTACHMENTS },
+    { name: 'pdf_file', maxCount: 1 } // older clients
+  ]),
+  [
+    body('grade_section_id').optional().isUUID().withMessage('Valid grade section ID is required'),
+    body('template_id').optional({ checkFalsy: true }).isUUID().withMessage('template_id must be a valid UUID'),
+    body('title').optional().isLength({ min: 2, max: 255 }).withMessage('Title must be between 2 and 255 characters if provided'),
+    body('homework_date').optional().isISO8601().withMessage('Valid homework date is required if provided'),
+    body('subjects').optional().isArray().withMessage('Subjects must be an array if provided'),
+    body('publish_at').optional({ checkFalsy: true }).isISO8601().withMessage('publish_at must be a valid ISO 8601 date-time')
+  ]
+], async (req, res) => {
+  console.log('🔍 [HOMEWORK] POST / - Creating new homework announcement');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+  const attachmentFiles = [...(req.files?.pdf_file || []), ...(req.files?.attachments || [])];
+  console.log('   📎 Attachments:', attachmentFiles.map(file => `${file.originalname} (${file.mimetype}, ${file.size} bytes)`));
+  
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [HOMEWORK] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+    const {
+      grade_section_id,
+      template_id,
+      is_published = false,
+      publish_at
+    } = req.body;
+    let { title, content, subjects } = req.body;
+
+    if (!['teacher', 'admin'].includes(user.role)) {
+      console.log('❌ [HOMEWORK] Access denied - only teachers or admins can create homework');
+      return res.status(403).json({ error: 'Only teachers or admins can create homework' });
+    }
+
+    // Multi-section create: grade_section_ids as an array or a JSON string (multipart forms)
+    let gradeSectionIds = req.body.grade_section_ids;
+    const isMultiSection = gradeSectionIds !== undefined;
+    if (typeof gradeSectionIds === 'string') {
+      try {
+        gradeSectionIds = JSON.parse(gradeSectionIds);
+      } catch (e) {
+        gradeSectionIds = gradeSectionIds.split(',').map(id => id.trim()).filter(Boolean);
+      }
+    }
+    if (!isMultiSection) {
+      gradeSectionIds = grade_section_id ? [grade_section_id] : [];
+    }
+    gradeSectionIds = Array.isArray(gradeSectionIds) ? [...new Set(gradeSectionIds)] : [];
+
+    if (gradeSectionIds.length === 0 || !gradeSectionIds.every(id => UUID_PATTERN.test(id))) {
+      console.log('❌ [HOMEWORK] Invalid grade section IDs:', gradeSectionIds);
+      return res.status(400).json({ error: 'Valid grade_section_id or grade_section_ids is required' });
+    }
+
+    if (gradeSectionIds.length > MAX_SECTIONS_PER_POST) {
+      console.log('❌ [HOMEWORK] Too many grade sections:', gradeSectionIds.length);
+      return res.status(400).json({ error: `At most ${MAX_SECTIONS_PER_POST} grade sections can be posted to at once` });
+    }
+
+    // Verify grade sections exist and user has access
+    const { data: gradeSections, error: gradeSectionError } = await supabase
+      .from('grade_sections')
+      .select('id, teacher_id')
+      .in('id', gradeSectionIds);
+
+    if (gradeSectionError || !gradeSections || gradeSections.length !== gradeSectionIds.length) {
+      console.log('❌ [HOMEWORK] Grade section not found:', gradeSectionIds);
+      return res.status(404).json({ error: 'Grade section not found' });
+    }
+
+    // Template values apply where the request leaves a field out
+    if (template_id) {
+      const { data: template, error: templateError } = await supabase
+        .from('homework_templates')
+        .select('*')
+        .eq('id', template_id)
+        .maybeSingle();
+
+      if (templateError || !template || !canUseTemplate(user, template)) {
+        console.log('❌ [HOMEWORK] Template not found:', template_id);
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      title = title !== undefined ? title : template.title;
+      content = content !== undefined ? content : template.content;
+      subjects = subjects !== undefined ? subjects : template.subjects;
+    }
+
+    // Scheduled homework stays unpublished until the publisher picks it up at publish_at
+    const publishNow = is_published === 'true' || is_published === true;
+    const publishAt = publish_at ? new Date(publish_at).toISOString() : null;
+    if (publishNow && publishAt) {
+      console.log('❌ [HOMEWORK] Both is_published and publish_at provided');
+      return res.status(400).json({ error: 'Provide either is_published or publish_at, not both' });
+    }
+
+    if (attachmentFiles.length > MAX_HOMEWORK_ATTACHMENTS) {
+      console.log('❌ [HOMEWORK] Too many attachments:', attachmentFiles.length);
+      return res.status(400).json({ error: `At most ${MAX_HOMEWORK_ATTACHMENTS} attachments are allowed` });
+    }
+
+    // Default to the next instructional day (today if school is in session)
+    let homeworkDate = req.body.homework_date
+      ? new Date(req.body.homework_date).toISOString().split('T')[0]
+      : null;
+    if (!homeworkDate) {
+      const [nextSchoolDay] = await getUpcomingInstructionalDays(supabase, getSchoolNow().date, 1);
+      homeworkDate = nextSchoolDay || getSchoolNow().date;
+      console.log('   📅 No homework date provided, defaulting to next instructional day:', homeworkDate);
+    }
+
+    // Parse subjects JSON if it's a string
+    let subjectsArray = subjects || []; // Make subjects optional
+    if (typeof subjects === 'string') {
+      try {
+        subjectsArray = JSON.parse(subjects);
+        console.log('   📚 Parsed subjects:', subjectsArray);
+      } catch (e) {
+        console.log('❌ [HOMEWORK] Invalid subjects format');
+        return res.status(400).json({ error: 'Invalid subjects format' });
+      }
+    }
+
+    // Subjects must come from the catalogue and are stored under their catalogue name
+    const { subjects: normalizedSubjects, unknown } = await normalizeHomeworkSubjects(supabase, subjectsArray);
+    if (unknown.length > 0) {
+      console.log('❌ [HOMEWORK] Unknown subjects:', unknown);
+      return res.status(400).json({ error: `Unknown subjects: ${unknown.join(', ')}`, unknown_subjects: unknown });
+    }
+    subjectsArray = normalizedSubjects;
+
+    // Class teachers and assistants may post anything; subject teachers only their own subjects
+    if (user.role === 'teacher') {
+      for (const section of gradeSections) {
+        const unassigned = await getUnassignedSubjects(supabase, section.id, user.id, subjectsArray);
+        if (unassigned.length > 0) {
+          console.log('❌ [HOMEWORK] Access denied - not assigned to subjects in grade section:', section.id, unassigned);
+          return res.status(403).json({
+            error: 'Not authorized to create homework for this grade section',
+            unassigned_subjects: unassigned
+          });
+        }
+      }
+    }
+
+    // Attachments are optional; text-only homework lives in subjects.
+    // Files are uploaded once and shared by every section's copy.
+    let uploadedFiles = [];
+    try {
+      uploadedFiles = await uploadAttachments(attachmentFiles, user.id, gradeSectionIds[0]);
+      console.log('✅ [HOMEWORK] Uploaded', uploadedFiles.length, 'attachments');
+    } catch (uploadErr) {
+      console.error('❌ [HOMEWORK] Attachment upload failed:', uploadErr);
+      return res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+
+    // Older clients only read pdf_file, so keep it pointing at the first PDF
+    const pdfFileId = uploadedFiles.find(isPdf)?.id || null;
+    const batchId = gradeSectionIds.length > 1 ? crypto.randomUUID() : null;
+    const publishedAt = publishNow ? new Date().toISOString() : null;
+
+    const rows = gradeSectionIds.map(sectionId => ({
+      grade_section_id: sectionId,
+      teacher_id: user.id,
+      title,
+      content,
+      homework_date: homeworkDate,
+      subjects: subjectsArray,
+      pdf_file_id: pdfFileId,
+      is_published: publishNow,
+      publish_at: publishAt,
+      published_at: publishedAt,
+      batch_id: batchId,
+      template_id: template_id || null
+    }));
+
+    console.log('   📝 Creating homework announcement with data:', rows);
+
+    const { data: created, error } = await supabase
+      .from('homework_announcements')
+      .insert(rows)
+      .select(`
+        *,
+        teacher:users!homework_announcements_teacher_id_fkey(id, first_name, last_name, email),
+        pdf_file:file_uploads!homework_announcements_pdf_file_id_fkey(id, filename, cdn_url),
+        ${ATTACHMENTS_SELECT}
+      `);
+
+    if (error) {
+      console.error('❌ [HOMEWORK] Error creating homework:', error);
+      return res.status(500).json({ error: 'Failed to create homework' });
+    }
+
+    try {
+      for (const homework of created) {
+        homework.attachments = await linkAttachments(supabase, homework.id, uploadedFiles);
+      }
+    } catch (attachError) {
+      console.error('❌ [HOMEWORK] Error linking attachments:', attachError);
+      await supabase.from('homework_announcements').delete().in('id', created.map(homework => homework.id));
+      return res.status(500).json({ error: 'Failed to create homework' });
+    }
+
+    console.log('✅ [HOMEWORK] Homework created successfully for', created.length, 'grade sections');
+    console.log('   📊 New homework:', JSON.stringify(created, null, 2));
+
+    if (isMultiSection) {
+      res.status(201).json({ success: true, batch_id: batchId, homework: created });
+    } else {
+      res.status(201).json({ success: true, homework: created[0] });
+    }
+
+    for (const homework of created) {
+      if (homework.is_published) {
+        notifyInBackground(supabase, homework.id);
+      }
+    }
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error creating homework:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/homework/:id/completion
+// Completion states for a homework item: every enrolled student for teachers/admins,
+// the student's own states for students
+router.get('/:id/completion', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] GET /:id/completion - Fetching completion states');
+  console.log('   🆔 Homework ID:', req.params.id);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const supabase = req.supabase;
+
+    const { homework, canManage, manageableSubjects } = await loadHomeworkForCompletion(supabase, id, user);
+
+    if (!homework) {
+      console.log('❌ [HOMEWORK] Homework not found:', id);
+      return res.status(404).json({ error: 'Homework not found' });
+    }
+
+    // Staff see the subjects they manage, students every subject
+    const subjects = user.role === 'student' ? getCompletionSubjects(homework) : manageableSubjects;
+
+    if (user.role === 'student') {
+      if (!await isActivelyEnrolled(supabase, homework.grade_section_id, user.id)) {
+        console.log('❌ [HOMEWORK] Student not enrolled in this grade section');
         return res.status(403).json({ error: 'Not enrolled in this grade section' });
       }
-      console.log('✅ [HOMEWORK] Student enrollment verified');
-      console.log('   📊 Enrollment details:', enrollment);
-    }
 
-    // Build query
-    let query = supabase
-      .from('homework_announcements')
-      .select(`
-        *,
-        teacher:users!homework_announcements_teacher_id_fkey(id, first_name, last_name, email),
-        pdf_file:file_uploads!homework_announcements_pdf_file_id_fkey(id, filename, cdn_url)
-      `)
-      .eq('grade_section_id', gradeSectionId)
-      .order('homework_date', { ascending: false });
+      const { data: ownCompletions, error } = await supabase
+        .from('homework_completions')
+        .select('subject, status, is_teacher_override, notes, updated_at')
+        .eq('homework_id', id)
+        .eq('student_id', user.id);
 
-    // Add date filters if provided
-    if (start_date) {
-      console.log('   📅 Filtering from date:', start_date);
-      query = query.gte('homework_date', start_date);
-    }
-    if (end_date) {
-      console.log('   📅 Filtering to date:', end_date);
-      query = query.lte('homework_date', end_date);
+      if (error) {
+        console.error('❌ [HOMEWORK] Error fetching completion states:', error);
+        return res.status(500).json({ error: 'Failed to fetch completion states' });
+      }
+
+      const bySubject = new Map((ownCompletions || []).map(completion => [completion.subject, completion]));
+      const completion = subjects.map(subject => bySubject.get(subject) || {
+        subject,
+        status: 'not_started',
+        is_teacher_override: false,
+        notes: null,
+        updated_at: null
+      });
+
+      return res.json({ success: true, homework_id: id, completion });
     }
 
-    console.log('   🔍 Executing database query...');
-    const { data: homework, error } = await query;
+    if (!canManage) {
+      console.log('❌ [HOMEWORK] Access denied - not authorized to view completion for this homework');
+      return res.status(403).json({ error: 'Not authorized to view completion for this homework' });
+    }
 
-    if (error) {
-      console.error('❌ [HOMEWORK] Error fetching homework:', error);
-      console.log('   🔍 Database error details:', error);
-      return res.status(500).json({ error: 'Failed to fetch homework' });
+    const [{ data: roster, error: rosterError }, { data: completions, error: completionError }] = await Promise.all([
+      supabase.rpc('get_grade_section_students', { grade_section_uuid: homework.grade_section_id }),
+      supabase
+        .from('homework_completions')
+        .select('student_id, subject, status, is_teacher_override, notes, updated_by, updated_at')
+        .eq('homework_id', id)
+    ]);
+
+    if (rosterError || completionError) {
+      console.error('❌ [HOMEWORK] Error fetching completion states:', rosterError || completionError);
+      return res.status(500).json({ error: 'Failed to fetch completion states' });
     }
 
-    console.log('✅ [HOMEWORK] Successfully fetched', homework?.length || 0, 'homework items');
-    console.log('   📊 Response data:', JSON.stringify(homework, null, 2));
-    console.log('   📈 Response size:', JSON.stringify(homework).length, 'characters');
-    console.log('   🕒 Response time:', new Date().toISOString());
+    const completionMap = new Map((completions || []).map(completion => [`${completion.student_id}:${completion.subject}`, completion]));
+    const students = (roster || []).map(student => ({
+      ...student,
+      completion: subjects.map(subject => {
+        const completion = completionMap.get(`${student.student_id}:${subject}`);
+        return {
+          subject,
+          status: completion?.status || 'not_started',
+          is_teacher_override: completion?.is_teacher_override || false,
+          notes: completion?.notes || null,
+          updated_by: completion?.updated_by || null,
+          updated_at: completion?.updated_at || null
+        };
+      })
+    }));
 
-    res.json({ success: true, homework: homework || [] });
+    console.log('✅ [HOMEWORK] Completion states fetched for', students.length, 'students');
+
+    res.json({ success: true, homework_id: id, subjects, students });
   } catch (error) {
-    console.error('❌ [HOMEWORK] Error fetching homework:', error);
+    console.error('❌ [HOMEWORK] Error fetching completion states:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/homework/student
-// Get homework for the current student
-router.get('/student', authenticateToken, async (req, res) => {
-  console.log('🔍 [HOMEWORK] GET /student - Fetching student homework');
+// PUT /api/homework/:id/completion
+// Set the current student's completion state for one subject (Student)
+router.put('/:id/completion', [
+  authenticateToken,
+  [
+    body('subject').optional({ nullable: true }).isString().withMessage('Subject must be a string'),
+    body('status').isIn(COMPLETION_STATUSES).withMessage(`Status must be one of: ${COMPLETION_STATUSES.join(', ')}`)
+  ]
+], async (req, res) => {
+  console.log('🔍 [HOMEWORK] PUT /:id/completion - Updating own completion state');
+  console.log('   🆔 Homework ID:', req.params.id);
   console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
-  console.log('   📅 Query params:', req.query);
-  console.log('   🌐 Request origin:', req.headers.origin);
-  console.log('   📱 User agent:', req.headers['user-agent']);
-  console.log('   🔑 Token present:', !!req.headers.authorization);
-  
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [HOMEWORK] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const { user } = req;
-    const { start_date, end_date } = req.query;
+    const { id } = req.params;
+    const { subject = '', status } = req.body;
     const supabase = req.supabase;
 
     if (user.role !== 'student') {
-      console.log('❌ [HOMEWORK] Access denied - only students can access this endpoint');
-      console.log('   🔍 User role:', user.role);
-      return res.status(403).json({ error: 'Only students can access this endpoint' });
+      console.log('❌ [HOMEWORK] Access denied - only students can set their own completion');
+      return res.status(403).json({ error: 'Only students can set their own completion; use /:id/completion/:studentId to override' });
     }
 
-    console.log('   👨‍🎓 Fetching homework for student:', user.id);
-    console.log('   📅 Date range:', {
-      start_date: start_date || 'default (today)',
-      end_date: end_date || 'default (+30 days)'
-    });
+    const { homework } = await loadHomeworkForCompletion(supabase, id, user);
 
-    // Get homework using the function
-    const functionParams = {
-      student_uuid: user.id,
-      start_date: start_date || new Date().toISOString().split('T')[0],
-      end_date: end_date || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-    };
-    
-    console.log('   🔍 Calling get_student_homework function with params:', functionParams);
-    
-    const { data: homework, error } = await supabase
-      .rpc('get_student_homework', functionParams);
+    // Students only ever see published homework
+    if (!homework || !homework.is_published) {
+      console.log('❌ [HOMEWORK] Homework not found:', id);
+      return res.status(404).json({ error: 'Homework not found' });
+    }
+
+    if (!await isActivelyEnrolled(supabase, homework.grade_section_id, user.id)) {
+      console.log('❌ [HOMEWORK] Student not enrolled in this grade section');
+      return res.status(403).json({ error: 'Not enrolled in this grade section' });
+    }
+
+    const subjects = getCompletionSubjects(homework);
+    if (!subjects.includes(subject)) {
+      console.log('❌ [HOMEWORK] Unknown subject for this homework:', subject);
+      return res.status(400).json({ error: `Subject must be one of: ${subjects.join(', ') || '(none)'}` });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('homework_completions')
+      .select('id, is_teacher_override')
+      .eq('homework_id', id)
+      .eq('student_id', user.id)
+      .eq('subject', subject)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error('❌ [HOMEWORK] Error fetching completion state:', existingError);
+      return res.status(500).json({ error: 'Failed to update completion state' });
+    }
+
+    if (existing?.is_teacher_override) {
+      console.log('❌ [HOMEWORK] Completion state was set by a teacher');
+      return res.status(409).json({ error: 'Completion state was set by your teacher and can no longer be changed' });
+    }
+
+    // Only rows without a teacher override are written, so a concurrent override wins
+    let query;
+    if (existing) {
+      query = supabase
+        .from('homework_completions')
+        .update({ status, updated_by: user.id })
+        .eq('id', existing.id)
+        .eq('is_teacher_override', false);
+    } else {
+      query = supabase
+        .from('homework_completions')
+        .upsert({
+          homework_id: id,
+          student_id: user.id,
+          subject,
+          status,
+          updated_by: user.id
+        }, { onConflict: 'homework_id,student_id,subject', ignoreDuplicates: true });
+    }
+
+    const { data: saved, error } = await query
+      .select('subject, status, is_teacher_override, notes, updated_at');
 
     if (error) {
-      console.error('❌ [HOMEWORK] Error fetching student homework:', error);
-      console.log('   🔍 Function error details:', error);
-      return res.status(500).json({ error: 'Failed to fetch homework' });
+      console.error('❌ [HOMEWORK] Error updating completion state:', error);
+      return res.status(500).json({ error: 'Failed to update completion state' });
     }
 
-    console.log('✅ [HOMEWORK] Successfully fetched', homework?.length || 0, 'homework items for student');
-    console.log('   📊 Response data:', JSON.stringify(homework, null, 2));
-    console.log('   📈 Response size:', JSON.stringify(homework).length, 'characters');
-    console.log('   🕒 Response time:', new Date().toISOString());
-    console.log('   🎯 Function execution successful');
+    if (!saved || saved.length === 0) {
+      console.log('❌ [HOMEWORK] Completion state changed concurrently');
+      return res.status(409).json({ error: 'Completion state was changed at the same time, please retry' });
+    }
 
-    res.json(homework || []);
+    console.log('✅ [HOMEWORK] Completion state updated:', subject || '(homework)', '->', status);
+
+    res.json({ success: true, homework_id: id, completion: saved[0] });
   } catch (error) {
-    console.error('❌ [HOMEWORK] Error fetching student homework:', error);
+    console.error('❌ [HOMEWORK] Error updating completion state:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /api/homework
-// Create a new homework announcement (Teacher/Admin)
-router.post('/', [
+// PUT /api/homework/:id/completion/:studentId
+// Override a student's completion state for one subject (Teacher/Admin)
+router.put('/:id/completion/:studentId', [
   authenticateToken,
-  upload.single('pdf_file'),
   [
-    body('grade_section_id').isUUID().withMessage('Valid grade section ID is required'),
-    body('title').optional().isLength({ min: 2, max: 255 }).withMessage('Title must be between 2 and 255 characters if provided'),
-    body('homework_date').isISO8601().withMessage('Valid homework date is required'),
-    body('subjects').optional().isArray().withMessage('Subjects must be an array if provided')
+    body('subject').optional({ nullable: true }).isString().withMessage('Subject must be a string'),
+    body('status').isIn(COMPLETION_STATUSES).withMessage(`Status must be one of: ${COMPLETION_STATUSES.join(', ')}`),
+    body('notes').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
   ]
 ], async (req, res) => {
-  console.log('🔍 [HOMEWORK] POST / - Creating new homework announcement');
+  console.log('🔍 [HOMEWORK] PUT /:id/completion/:studentId - Overriding completion state');
+  console.log('   🆔 Homework ID:', req.params.id, 'Student ID:', req.params.studentId);
   console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
   console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
-  console.log('   📄 File uploaded:', req.file ? `Yes (${req.file.originalname}, ${req.file.size} bytes)` : 'No');
-  
+
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     console.log('❌ [HOMEWORK] Validation errors:', errors.array());
@@ -212,115 +1424,197 @@ router.post('/', [
 
   try {
     const { user } = req;
+    const { id, studentId } = req.params;
+    const { subject = '', status, notes = null } = req.body;
     const supabase = req.supabase;
-    const {
-      grade_section_id,
-      title,
-      content,
-      homework_date,
-      subjects = [], // Make subjects optional
-      is_published = false
-    } = req.body;
 
-    if (!['teacher', 'admin'].includes(user.role)) {
-      console.log('❌ [HOMEWORK] Access denied - only teachers or admins can create homework');
-      return res.status(403).json({ error: 'Only teachers or admins can create homework' });
+    const { homework, canManage, manageableSubjects } = await loadHomeworkForCompletion(supabase, id, user);
+
+    if (!homework) {
+      console.log('❌ [HOMEWORK] Homework not found:', id);
+      return res.status(404).json({ error: 'Homework not found' });
     }
 
-    // Verify grade section exists and user has access
-    const { data: gradeSection, error: gradeSectionError } = await supabase
-      .from('grade_sections')
-      .select('teacher_id')
-      .eq('id', grade_section_id)
+    if (!canManage) {
+      console.log('❌ [HOMEWORK] Access denied - not authorized to override completion for this homework');
+      return res.status(403).json({ error: 'Not authorized to override completion for this homework' });
+    }
+
+    if (!await isActivelyEnrolled(supabase, homework.grade_section_id, studentId)) {
+      console.log('❌ [HOMEWORK] Student not enrolled in the homework grade section:', studentId);
+      return res.status(400).json({ error: 'Student is not enrolled in this grade section' });
+    }
+
+    const subjects = getCompletionSubjects(homework);
+    if (!subjects.includes(subject)) {
+      console.log('❌ [HOMEWORK] Unknown subject for this homework:', subject);
+      return res.status(400).json({ error: `Subject must be one of: ${subjects.join(', ') || '(none)'}` });
+    }
+
+    if (!manageableSubjects.includes(subject)) {
+      console.log('❌ [HOMEWORK] Access denied - subject not taught by this teacher:', subject);
+      return res.status(403).json({ error: 'You can only override completion for the subjects you teach' });
+    }
+
+    const { data: saved, error } = await supabase
+      .from('homework_completions')
+      .upsert({
+        homework_id: id,
+        student_id: studentId,
+        subject,
+        status,
+        notes,
+        is_teacher_override: true,
+        updated_by: user.id
+      }, { onConflict: 'homework_id,student_id,subject' })
+      .select('student_id, subject, status, is_teacher_override, notes, updated_by, updated_at')
       .single();
 
-    if (gradeSectionError || !gradeSection) {
-      console.log('❌ [HOMEWORK] Grade section not found:', grade_section_id);
-      return res.status(404).json({ error: 'Grade section not found' });
+    if (error) {
+      console.error('❌ [HOMEWORK] Error overriding completion state:', error);
+      return res.status(500).json({ error: 'Failed to override completion state' });
     }
 
-    console.log('   📊 Grade section teacher_id:', gradeSection.teacher_id);
+    console.log('✅ [HOMEWORK] Completion state overridden:', studentId, subject || '(homework)', '->', status);
+
+    res.json({ success: true, homework_id: id, completion: saved });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error overriding completion state:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/homework/:id/attachments
+// Add attachments to a homework announcement (Teacher/Admin)
+router.post('/:id/attachments', [
+  authenticateToken,
+  upload.array('attachments', MAX_HOMEWORK_ATTACHMENTS)
+], async (req, res) => {
+  console.log('🔍 [HOMEWORK] POST /:id/attachments - Adding attachments');
+  console.log('   🆔 Homework ID:', req.params.id);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📎 Attachments:', (req.files || []).map(file => `${file.originalname} (${file.mimetype}, ${file.size} bytes)`));
+
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const supabase = req.supabase;
+    const files = req.files || [];
 
-    if (user.role === 'teacher' && user.id !== gradeSection.teacher_id) {
-      console.log('❌ [HOMEWORK] Access denied - not authorized to create homework for this grade section');
-      return res.status(403).json({ error: 'Not authorized to create homework for this grade section' });
+    if (files.length === 0) {
+      console.log('❌ [HOMEWORK] No attachments provided');
+      return res.status(400).json({ error: 'At least one attachment is required' });
     }
 
-    // PDF file is required for this simplified workflow
-    if (!req.file) {
-      console.log('❌ [HOMEWORK] PDF file is required but not provided');
-      return res.status(400).json({ error: 'PDF file is required' });
+    const { data: homework, error: fetchError } = await supabase
+      .from('homework_announcements')
+      .select('id, teacher_id, grade_section_id, pdf_file_id, attachments:homework_attachments(position)')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !homework) {
+      console.log('❌ [HOMEWORK] Homework not found:', id);
+      return res.status(404).json({ error: 'Homework not found' });
     }
 
-    // Parse subjects JSON if it's a string
-    let subjectsArray = subjects;
-    if (typeof subjects === 'string') {
-      try {
-        subjectsArray = JSON.parse(subjects);
-        console.log('   📚 Parsed subjects:', subjectsArray);
-      } catch (e) {
-        console.log('❌ [HOMEWORK] Invalid subjects format');
-        return res.status(400).json({ error: 'Invalid subjects format' });
-      }
+    if (!await canEditHomework(supabase, user, homework)) {
+      console.log('❌ [HOMEWORK] Access denied - not admin, the author or the class teacher');
+      return res.status(403).json({ error: 'Not authorized to update this homework' });
+    }
+
+    const existing = homework.attachments || [];
+    if (existing.length + files.length > MAX_HOMEWORK_ATTACHMENTS) {
+      console.log('❌ [HOMEWORK] Too many attachments:', existing.length + files.length);
+      return res.status(400).json({ error: `At most ${MAX_HOMEWORK_ATTACHMENTS} attachments are allowed` });
     }
 
-    // Handle PDF file upload
-    let pdfFileId = null;
+    let uploadedFiles;
     try {
-      console.log('   📤 Uploading PDF file...');
-      const uploadRes = await cdnStorage.uploadFile(req.file, {
-        userId: user.id,
-        folder: `homework/${grade_section_id}`,
-        relatedTable: 'homework_announcements',
-      });
-      pdfFileId = uploadRes.file.id;
-      console.log('✅ [HOMEWORK] PDF uploaded successfully, file ID:', pdfFileId);
+      uploadedFiles = await uploadAttachments(files, user.id, homework.grade_section_id);
     } catch (uploadErr) {
-      console.error('❌ [HOMEWORK] PDF upload failed:', uploadErr);
-      return res.status(500).json({ error: 'Failed to upload PDF file' });
+      console.error('❌ [HOMEWORK] Attachment upload failed:', uploadErr);
+      return res.status(500).json({ error: 'Failed to upload attachments' });
     }
 
-    console.log('   📝 Creating homework announcement with data:', {
-      grade_section_id,
-      teacher_id: user.id,
-      title,
-      content,
-      homework_date: new Date(homework_date).toISOString().split('T')[0],
-      subjects: subjectsArray,
-      pdf_file_id: pdfFileId,
-      is_published: is_published === 'true' || is_published === true
-    });
+    const nextPosition = existing.reduce((max, attachment) => Math.max(max, attachment.position + 1), 0);
+    const attachments = await linkAttachments(supabase, id, uploadedFiles, nextPosition);
+
+    const firstPdf = uploadedFiles.find(isPdf);
+    if (!homework.pdf_file_id && firstPdf) {
+      await supabase
+        .from('homework_announcements')
+        .update({ pdf_file_id: firstPdf.id })
+        .eq('id', id);
+    }
+
+    console.log('✅ [HOMEWORK] Added', attachments.length, 'attachments');
+
+    res.status(201).json({ success: true, attachments });
+  } catch (error) {
+    console.error('❌ [HOMEWORK] Error adding attachments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/homework/:id/attachments/:attachmentId
+// Remove an attachment from a homework announcement (Teacher/Admin)
+router.delete('/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  console.log('🔍 [HOMEWORK] DELETE /:id/attachments/:attachmentId - Removing attachment');
+  console.log('   🆔 Homework ID:', req.params.id, 'Attachment ID:', req.params.attachmentId);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { id, attachmentId } = req.params;
+    const supabase = req.supabase;
 
-    const { data: newHomework, error } = await supabase
+    const { data: homework, error: fetchError } = await supabase
       .from('homework_announcements')
-      .insert({
-        grade_section_id,
-        teacher_id: user.id,
-        title,
-        content,
-        homework_date: new Date(homework_date).toISOString().split('T')[0],
-        subjects: subjectsArray,
-        pdf_file_id: pdfFileId,
-        is_published: is_published === 'true' || is_published === true
-      })
-      .select(`
-        *,
-        teacher:users!homework_announcements_teacher_id_fkey(id, first_name, last_name, email),
-        pdf_file:file_uploads!homework_announcements_pdf_file_id_fkey(id, filename, cdn_url)
-      `)
+      .select(`id, teacher_id, grade_section_id, pdf_file_id, ${ATTACHMENTS_SELECT}`)
+      .eq('id', id)
       .single();
 
+    if (fetchError || !homework) {
+      console.log('❌ [HOMEWORK] Homework not found:', id);
+      return res.status(404).json({ error: 'Homework not found' });
+    }
+
+    if (!await canEditHomework(supabase, user, homework)) {
+      console.log('❌ [HOMEWORK] Access denied - not admin, the author or the class teacher');
+      return res.status(403).json({ error: 'Not authorized to update this homework' });
+    }
+
+    sortAttachments(homework);
+    const attachment = homework.attachments.find(item => item.id === attachmentId);
+    if (!attachment) {
+      console.log('❌ [HOMEWORK] Attachment not found:', attachmentId);
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const { error } = await supabase
+      .from('homework_attachments')
+      .delete()
+      .eq('id', attachmentId);
+
     if (error) {
-      console.error('❌ [HOMEWORK] Error creating homework:', error);
-      return res.status(500).json({ error: 'Failed to create homework' });
+      console.error('❌ [HOMEWORK] Error removing attachment:', error);
+      return res.status(500).json({ error: 'Failed to remove attachment' });
+    }
+
+    // Move the legacy PDF pointer to the next PDF, if any
+    if (homework.pdf_file_id && homework.pdf_file_id === attachment.file?.id) {
+      const nextPdf = homework.attachments.find(item => item.id !== attachmentId && item.file && isPdf(item.file));
+      await supabase
+        .from('homework_announcements')
+        .update({ pdf_file_id: nextPdf?.file.id || null })
+        .eq('id', id);
     }
 
-    console.log('✅ [HOMEWORK] Homework created successfully');
-    console.log('   📊 New homework:', JSON.stringify(newHomework, null, 2));
+    console.log('✅ [HOMEWORK] Attachment removed');
 
-    res.status(201).json({ success: true, homework: newHomework });
+    res.json({ success: true, message: 'Attachment removed successfully' });
   } catch (error) {
-    console.error('❌ [HOMEWORK] Error creating homework:', error);
+    console.error('❌ [HOMEWORK] Error removing attachment:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -343,6 +1637,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         *,
         teacher:users!homework_announcements_teacher_id_fkey(id, first_name, last_name, email),
         pdf_file:file_uploads!homework_announcements_pdf_file_id_fkey(id, filename, cdn_url),
+        ${ATTACHMENTS_SELECT},
         grade_section:grade_sections(id, name, teacher_id)
       `)
       .eq('id', id)
@@ -375,19 +1670,22 @@ router.get('/:id', authenticateToken, async (req, res) => {
           return res.status(403).json({ error: 'Not enrolled in this grade section' });
         }
         console.log('✅ [HOMEWORK] Student enrollment verified');
-      } else {
+      } else if (!await canAccessSection(supabase, user, homework.grade_section_id, 'view')) {
         console.log('❌ [HOMEWORK] Access denied - not authorized to view this homework');
         return res.status(403).json({ error: 'Not authorized to view this homework' });
       }
     }
 
-    res.json({ success: true, homework });
+    res.json({ success: true, homework: sortAttachments(homework) });
   } catch (error) {
     console.error('❌ [HOMEWORK] Error fetching homework:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Fields a PUT may change; published_at and notified_at are set by the server
+const UPDATABLE_FIELDS = ['title', 'content', 'homework_date', 'subjects', 'is_published', 'publish_at'];
+
 // PUT /api/homework/:id
 // Update a homework announcement (Teacher/Admin)
 router.put('/:id', [
@@ -395,8 +1693,10 @@ router.put('/:id', [
   [
     body('title').optional().isLength({ min: 2, max: 255 }).withMessage('Title must be between 2 and 255 characters'),
     body('content').optional().isLength({ max: 1000 }).withMessage('Content must be less than 1000 characters'),
+    body('homework_date').optional().isISO8601().withMessage('Valid homework date is required if provided'),
     body('subjects').optional().isArray().withMessage('Subjects must be an array if provided'),
-    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean')
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean'),
+    body('publish_at').optional({ nullable: true }).isISO8601().withMessage('publish_at must be a valid ISO 8601 date-time or null')
   ]
 ], async (req, res) => {
   console.log('🔍 [HOMEWORK] PUT /:id - Updating homework announcement');
@@ -418,7 +1718,7 @@ router.put('/:id', [
     // Check if homework exists and user has access
     const { data: existingHomework, error: fetchError } = await supabase
       .from('homework_announcements')
-      .select('teacher_id, grade_section_id')
+      .select('teacher_id, grade_section_id, is_published')
       .eq('id', id)
       .single();
 
@@ -430,12 +1730,67 @@ router.put('/:id', [
     console.log('   📊 Existing homework teacher_id:', existingHomework.teacher_id);
 
     // Check permissions
-    if (user.role !== 'admin' && user.id !== existingHomework.teacher_id) {
-      console.log('❌ [HOMEWORK] Access denied - not admin or assigned teacher');
+    if (!await canEditHomework(supabase, user, existingHomework)) {
+      console.log('❌ [HOMEWORK] Access denied - not admin, the author or the class teacher');
       return res.status(403).json({ error: 'Not authorized to update this homework' });
     }
 
-    const updateData = { ...req.body };
+    // Moving homework would skip the section and subject checks of POST /
+    const fixedFields = ['grade_section_id', 'teacher_id'].filter(field => req.body[field] !== undefined);
+    if (fixedFields.length > 0) {
+      console.log('❌ [HOMEWORK] Cannot change fields:', fixedFields);
+      return res.status(400).json({ error: `${fixedFields.join(', ')} cannot be changed; create the homework in the other grade section instead` });
+    }
+
+    const updateData = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (req.body.subjects !== undefined) {
+      const { subjects: normalizedSubjects, unknown } = await normalizeHomeworkSubjects(supabase, req.body.subjects);
+      if (unknown.length > 0) {
+        console.log('❌ [HOMEWORK] Unknown subjects:', unknown);
+        return res.status(400).json({ error: `Unknown subjects: ${unknown.join(', ')}`, unknown_subjects: unknown });
+      }
+
+      if (user.role === 'teacher') {
+        const unassigned = await getUnassignedSubjects(supabase, existingHomework.grade_section_id, user.id, normalizedSubjects);
+        if (unassigned.length > 0) {
+          console.log('❌ [HOMEWORK] Access denied - not assigned to subjects:', unassigned);
+          return res.status(403).json({ error: 'Not authorized to set these subjects', unassigned_subjects: unassigned });
+        }
+      }
+
+      updateData.subjects = normalizedSubjects;
+    }
+
+    // Publishing: a schedule only applies to unpublished homework, and publishing
+    // or unpublishing by hand replaces any schedule
+    const hasPublishFlag = req.body.is_published !== undefined;
+    const publishFlag = String(req.body.is_published) === 'true';
+    if (req.body.publish_at !== undefined) {
+      const willBePublished = hasPublishFlag ? publishFlag : existingHomework.is_published;
+      if (req.body.publish_at && willBePublished) {
+        console.log('❌ [HOMEWORK] Cannot schedule homework that is published');
+        return res.status(400).json({ error: 'Homework is published; unpublish it (is_published: false) to schedule it' });
+      }
+      updateData.publish_at = req.body.publish_at ? new Date(req.body.publish_at).toISOString() : null;
+    } else if (hasPublishFlag) {
+      updateData.publish_at = null;
+    }
+    if (hasPublishFlag) {
+      updateData.is_published = publishFlag;
+      if (publishFlag && !existingHomework.is_published) {
+        updateData.published_at = new Date().toISOString();
+      }
+    }
     console.log('   🔄 Update data:', JSON.stringify(updateData, null, 2));
 
     const { data: updatedHomework, error } = await supabase
@@ -445,7 +1800,8 @@ router.put('/:id', [
       .select(`
         *,
         teacher:users!homework_announcements_teacher_id_fkey(id, first_name, last_name, email),
-        pdf_file:file_uploads!homework_announcements_pdf_file_id_fkey(id, filename, cdn_url)
+        pdf_file:file_uploads!homework_announcements_pdf_file_id_fkey(id, filename, cdn_url),
+        ${ATTACHMENTS_SELECT}
       `)
       .single();
 
@@ -457,7 +1813,11 @@ router.put('/:id', [
     console.log('✅ [HOMEWORK] Homework updated successfully');
     console.log('   📊 Updated homework:', JSON.stringify(updatedHomework, null, 2));
 
-    res.json({ success: true, homework: updatedHomework });
+    res.json({ success: true, homework: sortAttachments(updatedHomework) });
+
+    if (updatedHomework.is_published && !existingHomework.is_published) {
+      notifyInBackground(supabase, updatedHomework.id);
+    }
   } catch (error) {
     console.error('❌ [HOMEWORK] Error updating homework:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -479,7 +1839,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     // Check if homework exists and user has access
     const { data: existingHomework, error: fetchError } = await supabase
       .from('homework_announcements')
-      .select('teacher_id, pdf_file_id')
+      .select('teacher_id, grade_section_id, pdf_file_id')
       .eq('id', id)
       .single();
 
@@ -492,12 +1852,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     console.log('   📄 PDF file ID:', existingHomework.pdf_file_id);
 
     // Check permissions
-    if (user.role !== 'admin' && user.id !== existingHomework.teacher_id) {
-      console.log('❌ [HOMEWORK] Access denied - not admin or assigned teacher');
+    if (!await canEditHomework(supabase, user, existingHomework)) {
+      console.log('❌ [HOMEWORK] Access denied - not admin, the author or the class teacher');
       return res.status(403).json({ error: 'Not authorized to delete this homework' });
     }
 
-    // Delete the homework (PDF file will be deleted via cascade)
+    // Delete the homework (attachment links are deleted via cascade)
     const { error } = await supabase
       .from('homework_announcements')
       .delete()
@@ -0,0 +1,466 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { supabaseAdmin } = require('../lib/supabase');
+const multer = require('multer');
+const cdnStorage = require('../lib/cdn-storage');
+const cacheManager = require('../lib/cache');
+const { getInstructionalDays } = require('../lib/school-timings');
+const { getAttendanceConfig, getAttendanceLock } = require('../lib/attendance-lock');
+const { canAccessSection, getStaffGradeSectionIds } = require('../lib/grade-section-staff');
+const { getLinkedStudentIds, isParentOf } = require('../lib/parent-links');
+
+const MAX_LEAVE_DAYS = 60;
+const ATTACHMENT_TYPES = ['pdf', 'jpg', 'jpeg', 'png', 'webp', 'doc', 'docx'];
+
+// Middleware to inject Supabase client
+router.use((req, res, next) => {
+  req.supabase = supabaseAdmin;
+  next();
+});
+
+// Configure multer for the optional supporting document (medical note, letter, ...)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase().replace('.', '');
+    if (ATTACHMENT_TYPES.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${ATTACHMENT_TYPES.join(', ')} files are allowed`), false);
+    }
+  },
+});
+
+const LEAVE_REQUEST_SELECT = `
+  *,
+  student:users!leave_requests_student_id_fkey(id, first_name, last_name, email),
+  grade_section:grade_sections(id, name, teacher_id),
+  attachment:file_uploads!leave_requests_attachment_file_id_fkey(id, original_name, cdn_url, content_type),
+  reviewer:users!leave_requests_reviewed_by_fkey(id, first_name, last_name)
+`;
+
+/**
+ * Whether the user may review (or view) requests for a grade section: admins
+ * and the staff who mark its attendance (class teacher, assistants)
+ */
+const canManageSection = (supabase, user, gradeSection) =>
+  canAccessSection(supabase, user, gradeSection?.id, 'mark_attendance');
+
+// POST /api/leave-requests
+// Submit a leave request for a date range (students for themselves, parents for
+// a linked child, teachers/admins on a student's behalf)
+router.post('/', [
+  authenticateToken,
+  upload.single('attachment'),
+  [
+    body('start_date').isISO8601().withMessage('Valid start date is required'),
+    body('end_date').isISO8601().withMessage('Valid end date is required'),
+    body('reason').trim().isLength({ min: 3, max: 1000 }).withMessage('Reason must be between 3 and 1000 characters'),
+    body('student_id').optional().isUUID().withMessage('Student ID must be a valid UUID')
+  ]
+], async (req, res) => {
+  console.log('🔍 [LEAVE] POST / - Submitting leave request');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+  console.log('   📄 File uploaded:', req.file ? `Yes (${req.file.originalname}, ${req.file.size} bytes)` : 'No');
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [LEAVE] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+    const startDate = new Date(req.body.start_date).toISOString().split('T')[0];
+    const endDate = new Date(req.body.end_date).toISOString().split('T')[0];
+    const { reason } = req.body;
+
+    let studentId = user.id;
+    if (user.role === 'teacher' || user.role === 'admin') {
+      if (!req.body.student_id) {
+        console.log('❌ [LEAVE] Missing student_id for staff submission');
+        return res.status(400).json({ error: 'student_id is required when submitting on behalf of a student' });
+      }
+      studentId = req.body.student_id;
+    } else if (user.role === 'parent') {
+      if (!req.body.student_id) {
+        console.log('❌ [LEAVE] Missing student_id for parent submission');
+        return res.status(400).json({ error: 'student_id is required when a parent submits a leave request' });
+      }
+      if (!(await isParentOf(supabase, user, req.body.student_id))) {
+        console.log('❌ [LEAVE] Access denied - parent not linked to student:', req.body.student_id);
+        return res.status(403).json({ error: 'You can only request leave for your own children' });
+      }
+      studentId = req.body.student_id;
+    } else if (user.role !== 'student') {
+      console.log('❌ [LEAVE] Access denied - role cannot submit leave requests:', user.role);
+      return res.status(403).json({ error: 'Only students, parents or staff can submit leave requests' });
+    }
+
+    if (endDate < startDate) {
+      console.log('❌ [LEAVE] End date before start date');
+      return res.status(400).json({ error: 'end_date must be on or after start_date' });
+    }
+
+    const spanDays = (new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000) + 1;
+    if (spanDays > MAX_LEAVE_DAYS) {
+      console.log('❌ [LEAVE] Date range too long:', spanDays, 'days');
+      return res.status(400).json({ error: `A leave request can cover at most ${MAX_LEAVE_DAYS} days` });
+    }
+
+    // Resolve the student's current grade section
+    const { data: enrollment } = await supabase
+      .from('grade_section_enrollments')
+      .select('grade_section_id, grade_section:grade_sections(id, name, teacher_id)')
+      .eq('student_id', studentId)
+      .eq('status', 'active')
+      .limit(1)
+      .maybeSingle();
+
+    if (!enrollment) {
+      console.log('❌ [LEAVE] Student has no active enrollment:', studentId);
+      return res.status(404).json({ error: 'Student is not enrolled in any grade section' });
+    }
+
+    if (user.role === 'teacher' && !(await canManageSection(supabase, user, enrollment.grade_section))) {
+      console.log('❌ [LEAVE] Access denied - teacher not on the staff of student\'s grade section');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Optional supporting document
+    let attachmentFileId = null;
+    if (req.file) {
+      try {
+        console.log('   📤 Uploading attachment...');
+        const uploadRes = await cdnStorage.uploadFile(req.file, {
+          userId: user.id,
+          folder: `leave-requests/${enrollment.grade_section_id}`,
+          relatedTable: 'leave_requests',
+        });
+        attachmentFileId = uploadRes.file.id;
+        console.log('✅ [LEAVE] Attachment uploaded successfully, file ID:', attachmentFileId);
+      } catch (uploadErr) {
+        console.error('❌ [LEAVE] Attachment upload failed:', uploadErr);
+        return res.status(500).json({ error: 'Failed to upload attachment' });
+      }
+    }
+
+    const { data: leaveRequest, error } = await supabase
+      .from('leave_requests')
+      .insert({
+        student_id: studentId,
+        grade_section_id: enrollment.grade_section_id,
+        start_date: startDate,
+        end_date: endDate,
+        reason,
+        attachment_file_id: attachmentFileId,
+        submitted_by: user.id
+      })
+      .select(LEAVE_REQUEST_SELECT)
+      .single();
+
+    if (error) {
+      console.error('❌ [LEAVE] Error creating leave request:', error);
+      return res.status(500).json({ error: 'Failed to submit leave request' });
+    }
+
+    if (attachmentFileId) {
+      await supabase
+        .from('file_uploads')
+        .update({ related_id: leaveRequest.id })
+        .eq('id', attachmentFileId);
+    }
+
+    console.log('✅ [LEAVE] Leave request submitted:', leaveRequest.id);
+    res.status(201).json({ success: true, leave_request: leaveRequest });
+  } catch (error) {
+    console.error('❌ [LEAVE] Error submitting leave request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/leave-requests?status=pending&grade_section_id=xxx&student_id=xxx
+// List leave requests (students: their own, parents: their children's,
+// teachers: their grade sections, admins: all)
+router.get('/', authenticateToken, async (req, res) => {
+  console.log('🔍 [LEAVE] GET / - Fetching leave requests');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Query params:', req.query);
+
+  try {
+    const { user } = req;
+    const { status, grade_section_id, student_id } = req.query;
+    const supabase = req.supabase;
+
+    let query = supabase
+      .from('leave_requests')
+      .select(LEAVE_REQUEST_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (grade_section_id) {
+      query = query.eq('grade_section_id', grade_section_id);
+    }
+    if (student_id) {
+      query = query.eq('student_id', student_id);
+    }
+
+    if (user.role === 'student') {
+      query = query.eq('student_id', user.id);
+    } else if (user.role === 'parent') {
+      query = query.in('student_id', await getLinkedStudentIds(supabase, user.id));
+    } else if (user.role === 'teacher') {
+      query = query.in('grade_section_id', await getStaffGradeSectionIds(supabase, user.id, 'mark_attendance'));
+    } else if (user.role !== 'admin') {
+      console.log('❌ [LEAVE] Access denied - insufficient permissions');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { data: leaveRequests, error } = await query;
+
+    if (error) {
+      console.error('❌ [LEAVE] Error fetching leave requests:', error);
+      return res.status(500).json({ error: 'Failed to fetch leave requests' });
+    }
+
+    console.log('✅ [LEAVE] Successfully fetched', leaveRequests?.length || 0, 'leave requests');
+    res.json({ leave_requests: leaveRequests || [] });
+  } catch (error) {
+    console.error('❌ [LEAVE] Error fetching leave requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/leave-requests/:id
+// Get a single leave request
+router.get('/:id', authenticateToken, async (req, res) => {
+  console.log('🔍 [LEAVE] GET /:id - Fetching leave request', req.params.id);
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    const { data: leaveRequest } = await supabase
+      .from('leave_requests')
+      .select(LEAVE_REQUEST_SELECT)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!leaveRequest) {
+      console.log('❌ [LEAVE] Leave request not found');
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    if (leaveRequest.student_id !== user.id &&
+        !(await isParentOf(supabase, user, leaveRequest.student_id)) &&
+        !(await canManageSection(supabase, user, leaveRequest.grade_section))) {
+      console.log('❌ [LEAVE] Access denied');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ leave_request: leaveRequest });
+  } catch (error) {
+    console.error('❌ [LEAVE] Error fetching leave request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/leave-requests/:id/review
+// Approve or reject a pending leave request (section teacher/admin).
+// Approval marks every instructional day in the range as 'excused'. Like other
+// attendance writes, teachers cannot approve over days whose edit window has
+// passed (423); admins are never locked out.
+router.put('/:id/review', [
+  authenticateToken,
+  [
+    body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+    body('review_notes').optional().isLength({ max: 1000 }).withMessage('Review notes must be at most 1000 characters')
+  ]
+], async (req, res) => {
+  console.log('🔍 [LEAVE] PUT /:id/review - Reviewing leave request', req.params.id);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [LEAVE] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const { decision, review_notes } = req.body;
+    const supabase = req.supabase;
+
+    const { data: leaveRequest } = await supabase
+      .from('leave_requests')
+      .select('*, grade_section:grade_sections(id, name, teacher_id)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!leaveRequest) {
+      console.log('❌ [LEAVE] Leave request not found');
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    if (!(await canManageSection(supabase, user, leaveRequest.grade_section))) {
+      console.log('❌ [LEAVE] Access denied - not section staff or an admin');
+      return res.status(403).json({ error: 'Only the section\'s teachers or an admin can review this request' });
+    }
+
+    let daysExcused = 0;
+    if (decision === 'approved') {
+      const instructionalDays = await getInstructionalDays(supabase, leaveRequest.start_date, leaveRequest.end_date);
+
+      const lockedDates = await getLockedDates(supabase, user, leaveRequest.grade_section_id, instructionalDays);
+      if (lockedDates.length > 0) {
+        console.log('🔒 [LEAVE] Attendance locked on', lockedDates.length, 'days of the request');
+        return res.status(423).json({
+          error: 'Attendance for some days of this request is locked. Ask an administrator to approve it or unlock the days.',
+          code: 'ATTENDANCE_LOCKED',
+          locked_dates: lockedDates
+        });
+      }
+
+      const { data: marked, error: approveError } = await supabase
+        .rpc('approve_leave_request', {
+          p_leave_request_id: id,
+          p_dates: instructionalDays,
+          p_reviewed_by: user.id,
+          p_review_notes: review_notes || null
+        });
+
+      if (approveError) {
+        if (approveError.code === '55000') {
+          console.log('❌ [LEAVE] Leave request is no longer pending');
+          return res.status(409).json({ error: `Leave request is already ${leaveRequest.status}` });
+        }
+        console.error('❌ [LEAVE] Failed to approve leave request:', approveError);
+        return res.status(500).json({ error: 'Failed to mark attendance as excused' });
+      }
+
+      daysExcused = marked || 0;
+      if (daysExcused > 0) {
+        cacheManager.delPattern('/api/attendance/grade-sections/daily');
+        cacheManager.delPattern('/api/grade-sections/overview');
+      }
+    } else {
+      // Claim the pending request so concurrent reviews cannot both apply
+      const { data: claimed, error: claimError } = await supabase
+        .from('leave_requests')
+        .update({
+          status: decision,
+          reviewed_by: user.id,
+          reviewed_at: new Date().toISOString(),
+          review_notes: review_notes || null
+        })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .select();
+
+      if (claimError) {
+        console.error('❌ [LEAVE] Error updating leave request:', claimError);
+        return res.status(500).json({ error: 'Failed to review leave request' });
+      }
+
+      if (!claimed || claimed.length === 0) {
+        console.log('❌ [LEAVE] Leave request is no longer pending');
+        return res.status(409).json({ error: `Leave request is already ${leaveRequest.status}` });
+      }
+    }
+
+    const { data: updated } = await supabase
+      .from('leave_requests')
+      .select(LEAVE_REQUEST_SELECT)
+      .eq('id', id)
+      .single();
+
+    console.log('✅ [LEAVE] Leave request', decision, '-', daysExcused, 'days excused');
+    res.json({
+      message: `Leave request ${decision}`,
+      leave_request: updated,
+      days_excused: daysExcused
+    });
+  } catch (error) {
+    console.error('❌ [LEAVE] Error reviewing leave request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/leave-requests/:id/cancel
+// Withdraw a pending leave request (the student or whoever submitted it)
+router.put('/:id/cancel', authenticateToken, async (req, res) => {
+  console.log('🔍 [LEAVE] PUT /:id/cancel - Cancelling leave request', req.params.id);
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    const { data: leaveRequest } = await supabase
+      .from('leave_requests')
+      .select('id, student_id, submitted_by, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!leaveRequest) {
+      console.log('❌ [LEAVE] Leave request not found');
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    if (leaveRequest.student_id !== user.id && leaveRequest.submitted_by !== user.id && user.role !== 'admin') {
+      console.log('❌ [LEAVE] Access denied');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { data: cancelled, error } = await supabase
+      .from('leave_requests')
+      .update({ status: 'cancelled' })
+      .eq('id', leaveRequest.id)
+      .eq('status', 'pending')
+      .select();
+
+    if (error) {
+      console.error('❌ [LEAVE] Error cancelling leave request:', error);
+      return res.status(500).json({ error: 'Failed to cancel leave request' });
+    }
+
+    if (!cancelled || cancelled.length === 0) {
+      console.log('❌ [LEAVE] Leave request is no longer pending');
+      return res.status(409).json({ error: 'Only pending leave requests can be cancelled' });
+    }
+
+    console.log('✅ [LEAVE] Leave request cancelled');
+    res.json({ message: 'Leave request cancelled', leave_request: cancelled[0] });
+  } catch (error) {
+    console.error('❌ [LEAVE] Error cancelling leave request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Dates on which a reviewer may no longer edit the grade section's attendance
+ * (none for admins, who are never locked out).
+ */
+async function getLockedDates(supabase, user, gradeSectionId, dates) {
+  if (user.role === 'admin' || dates.length === 0) {
+    return [];
+  }
+
+  const config = await getAttendanceConfig(supabase);
+  const locks = await Promise.all(dates.map(date => getAttendanceLock(supabase, gradeSectionId, date, config)));
+
+  return dates.filter((date, i) => locks[i].locked);
+}
+
+module.exports = router;
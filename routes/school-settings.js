@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { supabaseAdmin } = require('../lib/supabase');
+const cacheManager = require('../lib/cache');
+const { getInstructionalDays } = require('../lib/school-timings');
+
+const CALENDAR_EVENT_TYPES = ['term', 'holiday', 'closure'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 // Middleware to inject Supabase client
 router.use((req, res, next) => {
@@ -34,6 +39,16 @@ router.get('/', authenticateToken, async (req, res) => {
       .select('*')
       .order('day_order');
 
+    // Get academic calendar
+    const { data: academicCalendar, error: calendarError } = await req.supabase
+      .from('academic_calendar_events')
+      .select('*')
+      .order('start_date');
+
+    if (calendarError) {
+      console.error('Error fetching academic calendar:', calendarError);
+    }
+
     if (schoolError && schoolError.code !== 'PGRST116') {
       console.error('Error fetching school info:', schoolError);
       return res.status(500).json({ 
@@ -60,7 +75,8 @@ router.get('/', authenticateToken, async (req, res) => {
           email: '',
           website: ''
         },
-        schoolTimings: schoolTimings || []
+        schoolTimings: schoolTimings || [],
+        academicCalendar: academicCalendar || []
       }
     });
 
@@ -229,6 +245,300 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Validate an academic calendar event. Returns an error message, or null when valid.
+ */
+const validateCalendarEvent = ({ event_type, name, start_date, end_date }) => {
+  if (!CALENDAR_EVENT_TYPES.includes(event_type)) {
+    return `event_type must be one of: ${CALENDAR_EVENT_TYPES.join(', ')}`;
+  }
+  if (!name || !String(name).trim()) {
+    return 'name is required';
+  }
+  if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '')) {
+    return 'start_date and end_date must be in YYYY-MM-DD format';
+  }
+  if (end_date < start_date) {
+    return 'end_date must be on or after start_date';
+  }
+
+  return null;
+};
+
+/**
+ * Calendar changes alter which days count, so drop cached attendance summaries
+ */
+const invalidateCalendarDependentCaches = () => {
+  cacheManager.delPattern('/api/attendance/grade-sections/daily');
+  cacheManager.delPattern('/api/grade-sections/overview');
+};
+
+// Get academic calendar events (terms, holidays, closures)
+// Query: start_date, end_date (events overlapping the range), event_type
+router.get('/calendar', authenticateToken, async (req, res) => {
+  try {
+    const { start_date, end_date, event_type } = req.query;
+
+    let query = req.supabase
+      .from('academic_calendar_events')
+      .select('*')
+      .order('start_date');
+
+    if (start_date) {
+      query = query.gte('end_date', start_date);
+    }
+    if (end_date) {
+      query = query.lte('start_date', end_date);
+    }
+    if (event_type) {
+      query = query.eq('event_type', event_type);
+    }
+
+    const { data: events, error } = await query;
+
+    if (error) {
+      console.error('Error fetching academic calendar:', error);
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to fetch academic calendar' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: events || []
+    });
+
+  } catch (error) {
+    console.error('Error in academic calendar GET:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get the instructional days in a date range
+router.get('/calendar/instructional-days', authenticateToken, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+
+    if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '') || end_date < start_date) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid start_date and end_date (YYYY-MM-DD) are required' 
+      });
+    }
+
+    const days = await getInstructionalDays(req.supabase, start_date, end_date);
+
+    res.json({
+      success: true,
+      data: {
+        start_date,
+        end_date,
+        instructional_days: days,
+        count: days.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in instructional days GET:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Create an academic calendar event (admin only)
+router.post('/calendar', authenticateToken, async (req, res) => {
+  try {
+    const { user } = req;
+    console.log('📅 Academic calendar event create request:', req.body);
+
+    if (user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. Admin role required.' 
+      });
+    }
+
+    const validationError = validateCalendarEvent(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: validationError 
+      });
+    }
+
+    const { event_type, name, start_date, end_date, description, academic_year } = req.body;
+
+    const { data: event, error } = await req.supabase
+      .from('academic_calendar_events')
+      .insert({
+        event_type,
+        name: String(name).trim(),
+        start_date,
+        end_date,
+        description: description || null,
+        academic_year: academic_year || null,
+        created_by: user.id,
+        updated_by: user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating academic calendar event:', error);
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to create calendar event' 
+      });
+    }
+
+    invalidateCalendarDependentCaches();
+    console.log('✅ Academic calendar event created:', event.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar event created successfully',
+      data: event
+    });
+
+  } catch (error) {
+    console.error('❌ Error in academic calendar POST:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Update an academic calendar event (admin only)
+router.put('/calendar/:id', authenticateToken, async (req, res) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    console.log('📅 Academic calendar event update request:', id, req.body);
+
+    if (user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. Admin role required.' 
+      });
+    }
+
+    const { data: existing } = await req.supabase
+      .from('academic_calendar_events')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Calendar event not found' 
+      });
+    }
+
+    const allowedFields = ['event_type', 'name', 'start_date', 'end_date', 'description', 'academic_year'];
+    const updates = Object.fromEntries(
+      Object.entries(req.body).filter(([field]) => allowedFields.includes(field))
+    );
+
+    const validationError = validateCalendarEvent({ ...existing, ...updates });
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: validationError 
+      });
+    }
+
+    const { data: event, error } = await req.supabase
+      .from('academic_calendar_events')
+      .update({ ...updates, updated_by: user.id })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error updating academic calendar event:', error);
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to update calendar event' 
+      });
+    }
+
+    invalidateCalendarDependentCaches();
+    console.log('✅ Academic calendar event updated:', id);
+
+    res.json({
+      success: true,
+      message: 'Calendar event updated successfully',
+      data: event
+    });
+
+  } catch (error) {
+    console.error('❌ Error in academic calendar PUT:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Delete an academic calendar event (admin only)
+router.delete('/calendar/:id', authenticateToken, async (req, res) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+
+    if (user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. Admin role required.' 
+      });
+    }
+
+    const { data: deleted, error } = await req.supabase
+      .from('academic_calendar_events')
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('❌ Error deleting academic calendar event:', error);
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to delete calendar event' 
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Calendar event not found' 
+      });
+    }
+
+    invalidateCalendarDependentCaches();
+    console.log('✅ Academic calendar event deleted:', id);
+
+    res.json({
+      success: true,
+      message: 'Calendar event deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error in academic calendar DELETE:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
 // Get school timings for timetable (public endpoint)
 router.get('/timings', async (req, res) => {
   try {
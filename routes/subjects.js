@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { supabaseAdmin } = require('../lib/supabase');
+
+// Middleware to inject Supabase client
+router.use((req, res, next) => {
+  req.supabase = supabaseAdmin;
+  next();
+});
+
+const subjectValidators = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('code').optional({ nullable: true }).trim().isLength({ max: 20 }).withMessage('Code must be at most 20 characters'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array of names'),
+  body('aliases.*').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each alias must be between 1 and 100 characters'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+// GET /api/subjects
+// Subject catalogue (active subjects; admins can pass include_inactive=true)
+router.get('/', authenticateToken, async (req, res) => {
+  console.log('🔍 [SUBJECTS] GET / - Fetching subject catalogue');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    let query = supabase
+      .from('subjects')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (!(user.role === 'admin' && req.query.include_inactive === 'true')) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: subjects, error } = await query;
+
+    if (error) {
+      console.error('❌ [SUBJECTS] Error fetching subjects:', error);
+      return res.status(500).json({ error: 'Failed to fetch subjects' });
+    }
+
+    console.log('✅ [SUBJECTS] Fetched', subjects?.length || 0, 'subjects');
+
+    res.json({ success: true, subjects: subjects || [] });
+  } catch (error) {
+    console.error('❌ [SUBJECTS] Error fetching subjects:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/subjects/assignments
+// Grade sections and subjects the current teacher teaches (or a given teacher_id, for admins)
+router.get('/assignments', authenticateToken, async (req, res) => {
+  console.log('🔍 [SUBJECTS] GET /assignments - Fetching subject teaching assignments');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+
+    if (!['teacher', 'admin'].includes(user.role)) {
+      console.log('❌ [SUBJECTS] Access denied - only teachers or admins');
+      return res.status(403).json({ error: 'Only teachers or admins can view subject assignments' });
+    }
+
+    const teacherId = user.role === 'admin' && req.query.teacher_id ? req.query.teacher_id : user.id;
+
+    const { data: assignments, error } = await supabase
+      .from('grade_section_subjects')
+      .select(`
+        id,
+        grade_section:grade_sections(id, name, grade_level, section, academic_year, is_active),
+        subject:subjects(id, name, code, is_active)
+      `)
+      .eq('teacher_id', teacherId);
+
+    if (error) {
+      console.error('❌ [SUBJECTS] Error fetching subject assignments:', error);
+      return res.status(500).json({ error: 'Failed to fetch subject assignments' });
+    }
+
+    const active = (assignments || []).filter(assignment =>
+      assignment.grade_section?.is_active !== false && assignment.subject?.is_active);
+
+    console.log('✅ [SUBJECTS] Fetched', active.length, 'subject assignments');
+
+    res.json({ success: true, teacher_id: teacherId, assignments: active });
+  } catch (error) {
+    console.error('❌ [SUBJECTS] Error fetching subject assignments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/subjects
+// Add a subject to the catalogue (Admin)
+router.post('/', [authenticateToken, subjectValidators(false)], async (req, res) => {
+  console.log('🔍 [SUBJECTS] POST / - Creating subject');
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [SUBJECTS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const supabase = req.supabase;
+    const { name, code, aliases = [] } = req.body;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [SUBJECTS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const { data: subject, error } = await supabase
+      .from('subjects')
+      .insert({
+        name,
+        code: code || null,
+        aliases,
+        created_by: user.id
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        console.log('❌ [SUBJECTS] Duplicate subject name or code:', name, code);
+        return res.status(409).json({ error: 'A subject with this name or code already exists' });
+      }
+      console.error('❌ [SUBJECTS] Error creating subject:', error);
+      return res.status(500).json({ error: 'Failed to create subject' });
+    }
+
+    console.log('✅ [SUBJECTS] Subject created:', subject.id);
+
+    res.status(201).json({ success: true, subject });
+  } catch (error) {
+    console.error('❌ [SUBJECTS] Error creating subject:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/subjects/:id
+// Rename a subject, change its code or aliases, or (de)activate it (Admin)
+router.put('/:id', [authenticateToken, subjectValidators(true)], async (req, res) => {
+  console.log('🔍 [SUBJECTS] PUT /:id - Updating subject');
+  console.log('   🆔 Subject ID:', req.params.id);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+  console.log('   📝 Request body:', JSON.stringify(req.body, null, 2));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [SUBJECTS] Validation errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [SUBJECTS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const updateData = {};
+    for (const field of ['name', 'aliases']) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+    if (req.body.code !== undefined) {
+      updateData.code = req.body.code || null;
+    }
+    if (req.body.is_active !== undefined) {
+      updateData.is_active = String(req.body.is_active) === 'true';
+    }
+
+    const { data: subject, error } = await supabase
+      .from('subjects')
+      .update(updateData)
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        console.log('❌ [SUBJECTS] Duplicate subject name or code');
+        return res.status(409).json({ error: 'A subject with this name or code already exists' });
+      }
+      console.error('❌ [SUBJECTS] Error updating subject:', error);
+      return res.status(500).json({ error: 'Failed to update subject' });
+    }
+
+    if (!subject) {
+      console.log('❌ [SUBJECTS] Subject not found:', id);
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    console.log('✅ [SUBJECTS] Subject updated:', id);
+
+    res.json({ success: true, subject });
+  } catch (error) {
+    console.error('❌ [SUBJECTS] Error updating subject:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/subjects/:id
+// Retire a subject (Admin). It is deactivated rather than deleted so existing
+// homework and classes keep their subject name.
+router.delete('/:id', authenticateToken, async (req, res) => {
+  console.log('🔍 [SUBJECTS] DELETE /:id - Deactivating subject');
+  console.log('   🆔 Subject ID:', req.params.id);
+  console.log('   👤 User:', { id: req.user.id, role: req.user.role, email: req.user.email });
+
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const supabase = req.supabase;
+
+    if (user.role !== 'admin') {
+      console.log('❌ [SUBJECTS] Access denied - not admin');
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+
+    const { data: subject, error } = await supabase
+      .from('subjects')
+      .update({ is_active: false })
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ [SUBJECTS] Error deactivating subject:', error);
+      return res.status(500).json({ error: 'Failed to deactivate subject' });
+    }
+
+    if (!subject) {
+      console.log('❌ [SUBJECTS] Subject not found:', id);
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    console.log('✅ [SUBJECTS] Subject deactivated:', id);
+
+    res.json({ success: true, message: 'Subject deactivated successfully', subject });
+  } catch (error) {
+    console.error('❌ [SUBJECTS] Error deactivating subject:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
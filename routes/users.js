@@ -378,6 +378,137 @@ router.post('/:id/activate', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/children
+// @desc    Students linked to a parent account
+// @access  Private/Admin or the parent
+router.get('/:id/children', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { data: links, error } = await supabase
+      .from('parent_student_links')
+      .select(`
+        id, relationship, created_at,
+        student:users!parent_student_links_student_id_fkey(id, first_name, last_name, email, student_id)
+      `)
+      .eq('parent_id', req.params.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ message: 'Database error' });
+    }
+
+    res.json(links || []);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/:id/children
+// @desc    Link a student to a parent account (admin only)
+// @access  Private/Admin
+router.post('/:id/children', [
+  auth,
+  [
+    body('student_id').isUUID().withMessage('Valid student ID is required'),
+    body('relationship').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('Relationship must be less than 30 characters')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { student_id, relationship } = req.body;
+
+    const { data: users, error: usersError } = await supabase
+      .from('users')
+      .select('id, role')
+      .in('id', [req.params.id, student_id]);
+
+    if (usersError) {
+      console.error('Supabase error:', usersError);
+      return res.status(500).json({ message: 'Database error' });
+    }
+
+    const parent = (users || []).find(user => user.id === req.params.id);
+    const student = (users || []).find(user => user.id === student_id);
+
+    if (!parent || parent.role !== 'parent') {
+      return res.status(400).json({ message: 'User is not a parent' });
+    }
+
+    if (!student || student.role !== 'student') {
+      return res.status(400).json({ message: 'student_id is not a student' });
+    }
+
+    const { data: link, error } = await supabase
+      .from('parent_student_links')
+      .insert({
+        parent_id: parent.id,
+        student_id: student.id,
+        relationship: relationship || null,
+        created_by: req.user.id
+      })
+      .select('id, parent_id, student_id, relationship, created_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ message: 'Student is already linked to this parent' });
+      }
+      console.error('Link error:', error);
+      return res.status(500).json({ message: 'Error linking student' });
+    }
+
+    res.status(201).json(link);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/:id/children/:studentId
+// @desc    Unlink a student from a parent account (admin only)
+// @access  Private/Admin
+router.delete('/:id/children/:studentId', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { data: removed, error } = await supabase
+      .from('parent_student_links')
+      .delete()
+      .eq('parent_id', req.params.id)
+      .eq('student_id', req.params.studentId)
+      .select('id');
+
+    if (error) {
+      console.error('Unlink error:', error);
+      return res.status(500).json({ message: 'Error unlinking student' });
+    }
+
+    if (!removed || removed.length === 0) {
+      return res.status(404).json({ message: 'Student is not linked to this parent' });
+    }
+
+    res.json({ message: 'Student unlinked successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * Generate email from first and last name with duplicate handling
  */
@@ -488,21 +619,21 @@ router.post('/', [
 
     // If student and grade_section_id provided, enroll student
     if (role === 'student' && grade_section_id) {
-      const { error: enrollError } = await supabase
-        .from('grade_section_enrollments')
-        .insert({
-          grade_section_id,
-          student_id: newUser.id,
-          status: 'active'
+      const { data: enrollment, error: enrollError } = await supabase
+        .rpc('enroll_grade_section_students', {
+          p_grade_section_id: grade_section_id,
+          p_student_ids: [newUser.id],
+          p_waitlist: false,
+          p_added_by: req.user.id
         });
-      if (enrollError) {
-        console.error('Enrollment error:', enrollError);
+      if (enrollError || enrollment.full) {
+        console.error('Enrollment error:', enrollError || 'Grade section is full');
         // Continue but inform
         return res.status(201).json({
           message: 'User created but enrollment failed',
           user: newUser,
           generated_email: !providedEmail ? email : null,
-          enrollment_error: enrollError.message
+          enrollment_error: enrollError ? enrollError.message : 'Grade section is full'
         });
       }
     }
@@ -276,6 +276,7 @@ if (DEMO_MODE) {
   // NEW: Grade Section Homework System (Additive Feature)
   app.use('/api/grade-sections', require('./routes/grade-sections'));
   app.use('/api/homework', require('./routes/homework'));
+  app.use('/api/subjects', require('./routes/subjects')); // Subject catalogue
   
   // Add admin overview endpoint
   app.get('/api/admin/overview', async (req, res) => {
@@ -356,6 +357,7 @@ if (DEMO_MODE) {
   app.use('/api/announcements', require('./routes/announcements'));
   app.use('/api/comments', require('./routes/comments'));
   app.use('/api/attendance', require('./routes/attendance'));
+  app.use('/api/leave-requests', require('./routes/leave-requests'));
 app.use('/api/notifications', require('./routes/notifications'));
   
   // Dashboard stats endpoint
@@ -412,6 +414,11 @@ app.use('/api/notifications', require('./routes/notifications'));
     });
   });
 
+  // Background jobs
+  require('./lib/attendance-scheduler').start(supabase);
+  require('./lib/absenteeism-detector').start(supabase);
+  require('./lib/homework-publisher').start(supabase);
+
   // Catch all other API routes in production mode (return empty data for now)
   app.use('/api/*', (req, res) => {
     res.json({ 
@@ -146,6 +146,12 @@ serve(async (req) => {
       case 'send-batch-attendance-notifications':
         result = await sendBatchAttendanceNotifications(data)
         break
+      case 'send-absenteeism-alert':
+        result = await sendAbsenteeismAlert(data)
+        break
+      case 'send-homework-notifications':
+        result = await sendHomeworkNotifications(data)
+        break
       default:
         return new Response(
           JSON.stringify({ error: 'Invalid action' }),
@@ -226,8 +232,8 @@ async function unregisterFCMToken(userId: string, data: { token: string }) {
   }
 }
 
-async function sendNotification(data: { userId: string; notification: FCMNotification }) {
-  const { userId, notification } = data
+async function sendNotification(data: { userId: string; notification: FCMNotification; notificationType?: string }) {
+  const { userId, notification, notificationType } = data
 
   // Get user's FCM tokens
   const { data: tokens, error: tokensError } = await supabase
@@ -259,7 +265,7 @@ async function sendNotification(data: { userId: string; notification: FCMNotific
       p_user_id: userId,
       p_title: notification.title,
       p_body: notification.body,
-      p_notification_type: 'custom',
+      p_notification_type: notificationType || 'custom',
       p_data: notification.data || {},
       p_fcm_response: fcmResponse
     })
@@ -457,6 +463,107 @@ async function sendBatchAttendanceNotifications(data: {
   }
 }
 
+async function sendAbsenteeismAlert(data: {
+  teacherId: string;
+  alertId: string;
+  alertType: string;
+  studentId: string;
+  studentName: string;
+  gradeSectionName?: string;
+  attendanceRate?: number | null;
+  consecutiveAbsences?: number | null;
+}) {
+  const { teacherId, alertId, alertType, studentId, studentName, gradeSectionName, attendanceRate, consecutiveAbsences } = data
+
+  const reason = alertType === 'consecutive_absences'
+    ? `has been absent ${consecutiveAbsences} school days in a row`
+    : `has an attendance rate of ${attendanceRate}%`
+
+  const notification: FCMNotification = {
+    title: '⚠️ Attendance Alert',
+    body: `${studentName}${gradeSectionName ? ` (${gradeSectionName})` : ''} ${reason}.`,
+    data: {
+      type: 'attendance_alert',
+      alert_id: alertId,
+      alert_type: alertType,
+      student_id: studentId,
+      grade_section_name: gradeSectionName || ''
+    }
+  }
+
+  return await sendNotification({
+    userId: teacherId,
+    notification,
+    notificationType: 'attendance_alert'
+  })
+}
+
+async function sendHomeworkNotifications(data: {
+  homework_id: string;
+  grade_section_id: string;
+  title?: string | null;
+  homework_date?: string;
+  student_ids: string[];
+}) {
+  const { homework_id, grade_section_id, title, homework_date, student_ids } = data
+
+  console.log(`🔄 Processing homework notifications for ${student_ids.length} students`)
+
+  const { data: gradeSection } = await supabase
+    .from('grade_sections')
+    .select('name')
+    .eq('id', grade_section_id)
+    .single()
+
+  const notification: FCMNotification = {
+    title: '📚 New Homework',
+    body: `${title || 'New homework'}${homework_date ? ` for ${new Date(homework_date).toLocaleDateString()}` : ''}${gradeSection?.name ? ` in ${gradeSection.name}` : ''} has been posted.`,
+    data: {
+      type: 'homework',
+      homework_id: homework_id,
+      grade_section_id: grade_section_id,
+      homework_date: homework_date || ''
+    }
+  }
+
+  const results = []
+  const batchSize = 10
+
+  for (let i = 0; i < student_ids.length; i += batchSize) {
+    const batch = student_ids.slice(i, i + batchSize)
+    const batchResults = await Promise.all(batch.map(async (studentId) => {
+      try {
+        const result = await sendNotification({
+          userId: studentId,
+          notification,
+          notificationType: 'homework'
+        })
+        return { studentId, success: result.success, result }
+      } catch (error) {
+        console.error(`Error sending homework notification to student ${studentId}:`, error)
+        return { studentId, success: false, error: error.message }
+      }
+    }))
+    results.push(...batchResults)
+
+    if (i + batchSize < student_ids.length) {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    }
+  }
+
+  const successCount = results.filter(r => r.success).length
+
+  console.log(`✅ Homework notifications completed: ${successCount} of ${results.length} sent`)
+
+  return {
+    success: true,
+    message: `Homework notifications processed: ${successCount} sent`,
+    total_students: student_ids.length,
+    notifications_sent: successCount,
+    results
+  }
+}
+
 async function sendFCMNotification(token: string, notification: FCMNotification): Promise<FCMResponse> {
   if (!FIREBASE_SERVICE_ACCOUNT) {
     throw new Error('Firebase Service Account not configured')
@@ -0,0 +1,430 @@
+-- Migration: 20250710000001_add_period_attendance.sql
+-- Add period-wise attendance on top of daily grade-section attendance.
+-- The daily `attendance` row stays the record every existing endpoint reads;
+-- when periods are marked it is recomputed from them as a roll-up.
+
+-- Step 1: Create period attendance table
+CREATE TABLE period_attendance (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grade_section_id UUID NOT NULL REFERENCES grade_sections(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    period_number INTEGER NOT NULL CHECK (period_number > 0),
+    period_name VARCHAR(100),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('present', 'absent', 'late', 'excused', 'unmarked')),
+    notes TEXT,
+    marked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    marked_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Step 2: Indexes
+CREATE INDEX idx_period_attendance_grade_section_date ON period_attendance(grade_section_id, date, period_number);
+CREATE INDEX idx_period_attendance_student_date ON period_attendance(student_id, date);
+CREATE UNIQUE INDEX idx_period_attendance_unique ON period_attendance(student_id, grade_section_id, date, period_number);
+
+CREATE TRIGGER trigger_period_attendance_updated_at
+    BEFORE UPDATE ON period_attendance
+    FOR EACH ROW
+    EXECUTE FUNCTION update_attendance_updated_at();
+
+-- Step 3: Roll period statuses up into the daily attendance row
+-- Rules (unmarked periods are ignored):
+--   attended at least one period, first marked period late/absent -> late
+--   attended at least one period                                 -> present
+--   only absent/excused periods, at least one absent              -> absent
+--   only excused periods                                          -> excused
+CREATE OR REPLACE FUNCTION rollup_daily_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_student_ids UUID[],
+    p_marked_by UUID
+)
+RETURNS INTEGER AS $$
+DECLARE
+    affected_rows INTEGER;
+BEGIN
+    WITH period_summary AS (
+        SELECT
+            pa.student_id,
+            COUNT(*) FILTER (WHERE pa.status IN ('present', 'late')) AS attended_count,
+            COUNT(*) FILTER (WHERE pa.status = 'absent') AS absent_count,
+            COUNT(*) FILTER (WHERE pa.status = 'excused') AS excused_count,
+            (ARRAY_AGG(pa.status ORDER BY pa.period_number) FILTER (WHERE pa.status <> 'unmarked'))[1] AS first_status
+        FROM period_attendance pa
+        WHERE pa.grade_section_id = p_grade_section_id
+            AND pa.date = p_date
+            AND pa.student_id = ANY(p_student_ids)
+        GROUP BY pa.student_id
+    )
+    INSERT INTO attendance (grade_section_id, student_id, date, status, marked_by)
+    SELECT
+        p_grade_section_id,
+        ps.student_id,
+        p_date,
+        CASE
+            WHEN ps.attended_count > 0 AND ps.first_status IN ('late', 'absent') THEN 'late'
+            WHEN ps.attended_count > 0 THEN 'present'
+            WHEN ps.absent_count > 0 THEN 'absent'
+            WHEN ps.excused_count > 0 THEN 'excused'
+            ELSE 'unmarked'
+        END,
+        p_marked_by
+    FROM period_summary ps
+    ON CONFLICT (student_id, grade_section_id, date)
+    DO UPDATE SET
+        status = EXCLUDED.status,
+        marked_by = EXCLUDED.marked_by,
+        marked_at = NOW(),
+        updated_at = NOW();
+
+    GET DIAGNOSTICS affected_rows = ROW_COUNT;
+    RETURN affected_rows;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 4: Bulk mark attendance for one period, then refresh the daily roll-up
+CREATE OR REPLACE FUNCTION bulk_mark_period_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_period_number INTEGER,
+    p_period_name VARCHAR(100),
+    p_attendance_records JSONB,
+    p_marked_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    record JSONB;
+    result JSONB := '{"success": true, "marked": 0, "errors": []}'::jsonb;
+    error_msg TEXT;
+    marked_students UUID[] := '{}';
+BEGIN
+    -- Validate inputs
+    IF p_grade_section_id IS NULL OR p_date IS NULL OR p_period_number IS NULL OR p_attendance_records IS NULL THEN
+        RETURN '{"success": false, "error": "Missing required parameters"}'::jsonb;
+    END IF;
+
+    -- Process each attendance record
+    FOR record IN SELECT * FROM jsonb_array_elements(p_attendance_records)
+    LOOP
+        BEGIN
+            INSERT INTO period_attendance (grade_section_id, student_id, date, period_number, period_name, status, notes, marked_by)
+            VALUES (
+                p_grade_section_id,
+                (record->>'student_id')::UUID,
+                p_date,
+                p_period_number,
+                p_period_name,
+                record->>'status',
+                record->>'notes',
+                p_marked_by
+            )
+            ON CONFLICT (student_id, grade_section_id, date, period_number)
+            DO UPDATE SET
+                period_name = EXCLUDED.period_name,
+                status = EXCLUDED.status,
+                notes = EXCLUDED.notes,
+                marked_by = EXCLUDED.marked_by,
+                marked_at = NOW(),
+                updated_at = NOW();
+
+            marked_students := array_append(marked_students, (record->>'student_id')::UUID);
+            result := jsonb_set(result, '{marked}', to_jsonb((result->>'marked')::int + 1));
+        EXCEPTION WHEN OTHERS THEN
+            error_msg := SQLERRM;
+            result := jsonb_set(result, '{errors}', result->'errors' || jsonb_build_object(
+                'student_id', record->>'student_id',
+                'error', error_msg
+            ));
+        END;
+    END LOOP;
+
+    IF array_length(marked_students, 1) > 0 THEN
+        PERFORM rollup_daily_attendance(p_grade_section_id, p_date, marked_students, p_marked_by);
+    END IF;
+
+    RETURN result || jsonb_build_object('period_number', p_period_number);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 5: Students with their status for one period
+CREATE OR REPLACE FUNCTION get_grade_section_period_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_period_number INTEGER
+)
+RETURNS TABLE (
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    attendance_id UUID,
+    period_number INTEGER,
+    status VARCHAR(20),
+    notes TEXT,
+    marked_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        pa.id as attendance_id,
+        p_period_number as period_number,
+        COALESCE(pa.status, 'unmarked') as status,
+        pa.notes,
+        pa.marked_at
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    LEFT JOIN period_attendance pa ON u.id = pa.student_id
+        AND pa.grade_section_id = p_grade_section_id
+        AND pa.date = p_date
+        AND pa.period_number = p_period_number
+    WHERE gse.grade_section_id = p_grade_section_id
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 6: Stats and daily summary gain an optional period dimension.
+-- With p_period_number NULL they keep returning the daily roll-up.
+DROP FUNCTION IF EXISTS get_attendance_stats(UUID, DATE, DATE);
+DROP FUNCTION IF EXISTS get_daily_attendance_summary(DATE, UUID, VARCHAR(20));
+
+CREATE OR REPLACE FUNCTION get_attendance_stats(
+    p_grade_section_id UUID,
+    p_start_date DATE,
+    p_end_date DATE,
+    p_period_number INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+    date DATE,
+    total_students BIGINT,
+    present_count BIGINT,
+    absent_count BIGINT,
+    late_count BIGINT,
+    excused_count BIGINT,
+    unmarked_count BIGINT,
+    attendance_rate DECIMAL(5,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH marks AS (
+        SELECT a.student_id, a.date, a.status
+        FROM attendance a
+        WHERE p_period_number IS NULL
+            AND a.grade_section_id = p_grade_section_id
+            AND a.date BETWEEN p_start_date AND p_end_date
+        UNION ALL
+        SELECT pa.student_id, pa.date, pa.status
+        FROM period_attendance pa
+        WHERE p_period_number IS NOT NULL
+            AND pa.grade_section_id = p_grade_section_id
+            AND pa.period_number = p_period_number
+            AND pa.date BETWEEN p_start_date AND p_end_date
+    ),
+    daily_stats AS (
+        SELECT
+            d.day as date,
+            COUNT(DISTINCT gse.student_id) as total_students,
+            COUNT(CASE WHEN m.status = 'present' THEN 1 END) as present_count,
+            COUNT(CASE WHEN m.status = 'absent' THEN 1 END) as absent_count,
+            COUNT(CASE WHEN m.status = 'late' THEN 1 END) as late_count,
+            COUNT(CASE WHEN m.status = 'excused' THEN 1 END) as excused_count,
+            COUNT(CASE WHEN m.status = 'unmarked' OR m.status IS NULL THEN 1 END) as unmarked_count
+        FROM (SELECT gs::DATE as day FROM generate_series(p_start_date, p_end_date, INTERVAL '1 day') gs) d
+        CROSS JOIN grade_section_enrollments gse
+        LEFT JOIN marks m ON gse.student_id = m.student_id
+            AND m.date = d.day
+        WHERE gse.grade_section_id = p_grade_section_id
+            AND gse.status = 'active'
+        GROUP BY d.day
+    )
+    SELECT
+        ds.date,
+        ds.total_students,
+        ds.present_count,
+        ds.absent_count,
+        ds.late_count,
+        ds.excused_count,
+        ds.unmarked_count,
+        CASE
+            WHEN ds.total_students > 0 THEN
+                ROUND(((ds.present_count + ds.late_count + ds.excused_count)::DECIMAL / ds.total_students) * 100, 2)
+            ELSE 0
+        END as attendance_rate
+    FROM daily_stats ds
+    ORDER BY ds.date DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_daily_attendance_summary(
+    p_date DATE,
+    p_user_id UUID,
+    p_user_role VARCHAR(20),
+    p_period_number INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    grade_section_name VARCHAR(100),
+    total_students BIGINT,
+    present_count BIGINT,
+    absent_count BIGINT,
+    late_count BIGINT,
+    excused_count BIGINT,
+    unmarked_count BIGINT,
+    attendance_rate DECIMAL(5,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH marks AS (
+        SELECT a.grade_section_id, a.student_id, a.status
+        FROM attendance a
+        WHERE p_period_number IS NULL
+            AND a.date = p_date
+        UNION ALL
+        SELECT pa.grade_section_id, pa.student_id, pa.status
+        FROM period_attendance pa
+        WHERE p_period_number IS NOT NULL
+            AND pa.date = p_date
+            AND pa.period_number = p_period_number
+    ),
+    attendance_summary AS (
+        SELECT
+            gs.id as grade_section_id,
+            gs.name as grade_section_name,
+            COUNT(DISTINCT gse.student_id) as total_students,
+            COUNT(CASE WHEN m.status = 'present' THEN 1 END) as present_count,
+            COUNT(CASE WHEN m.status = 'absent' THEN 1 END) as absent_count,
+            COUNT(CASE WHEN m.status = 'late' THEN 1 END) as late_count,
+            COUNT(CASE WHEN m.status = 'excused' THEN 1 END) as excused_count,
+            COUNT(CASE WHEN m.status = 'unmarked' OR m.status IS NULL THEN 1 END) as unmarked_count
+        FROM grade_sections gs
+        LEFT JOIN grade_section_enrollments gse ON gs.id = gse.grade_section_id AND gse.status = 'active'
+        LEFT JOIN marks m ON gse.student_id = m.student_id
+            AND m.grade_section_id = gs.id
+        WHERE gs.is_active = true
+        AND (
+            p_user_role = 'admin' OR
+            (p_user_role = 'teacher' AND gs.teacher_id = p_user_id)
+        )
+        GROUP BY gs.id, gs.name
+    )
+    SELECT
+        asummary.grade_section_id,
+        asummary.grade_section_name,
+        asummary.total_students,
+        asummary.present_count,
+        asummary.absent_count,
+        asummary.late_count,
+        asummary.excused_count,
+        asummary.unmarked_count,
+        CASE
+            WHEN asummary.total_students > 0 THEN
+                ROUND(((asummary.present_count + asummary.late_count + asummary.excused_count)::DECIMAL / asummary.total_students) * 100, 2)
+            ELSE 0
+        END as attendance_rate
+    FROM attendance_summary asummary
+    ORDER BY asummary.grade_section_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 7: Resetting a day also resets its periods so the roll-up stays consistent
+CREATE OR REPLACE FUNCTION reset_daily_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_reset_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    affected_rows INTEGER;
+    affected_period_rows INTEGER;
+BEGIN
+    -- Update all attendance records for the grade section and date to 'unmarked'
+    UPDATE attendance
+    SET
+        status = 'unmarked',
+        notes = NULL,
+        marked_by = p_reset_by,
+        marked_at = NOW(),
+        updated_at = NOW()
+    WHERE grade_section_id = p_grade_section_id
+        AND date = p_date;
+
+    GET DIAGNOSTICS affected_rows = ROW_COUNT;
+
+    UPDATE period_attendance
+    SET
+        status = 'unmarked',
+        notes = NULL,
+        marked_by = p_reset_by,
+        marked_at = NOW(),
+        updated_at = NOW()
+    WHERE grade_section_id = p_grade_section_id
+        AND date = p_date;
+
+    GET DIAGNOSTICS affected_period_rows = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'message', 'Daily attendance reset successfully',
+        'affected_rows', affected_rows,
+        'affected_period_rows', affected_period_rows,
+        'date', p_date
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 8: RLS mirrors the daily attendance table
+ALTER TABLE period_attendance ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view period attendance for their grade sections" ON period_attendance
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id = period_attendance.grade_section_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                )
+            )
+        )
+    );
+
+CREATE POLICY "Teachers and admins can modify period attendance" ON period_attendance
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id = period_attendance.grade_section_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                )
+            )
+        )
+    );
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION rollup_daily_attendance(UUID, DATE, UUID[], UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION bulk_mark_period_attendance(UUID, DATE, INTEGER, VARCHAR(100), JSONB, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_grade_section_period_attendance(UUID, DATE, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_attendance_stats(UUID, DATE, DATE, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_daily_attendance_summary(DATE, UUID, VARCHAR(20), INTEGER) TO authenticated;
+
+-- Comments
+COMMENT ON TABLE period_attendance IS 'Per-period attendance; the daily attendance row is rolled up from these when periods are marked';
+COMMENT ON COLUMN period_attendance.period_number IS '1-based position among the class-type entries of school_timings.periods for that weekday';
+COMMENT ON FUNCTION rollup_daily_attendance IS 'Recompute daily attendance rows from period attendance for the given students';
+COMMENT ON FUNCTION bulk_mark_period_attendance IS 'Bulk mark attendance for a single period and refresh the daily roll-up';
+COMMENT ON FUNCTION get_grade_section_period_attendance IS 'Get students with attendance status for one period of a grade section on a date';
+COMMENT ON FUNCTION get_attendance_stats IS 'Get attendance statistics for a grade section over a date range (daily roll-up, or one period)';
+COMMENT ON FUNCTION get_daily_attendance_summary IS 'Get daily attendance summary for all accessible grade sections (daily roll-up, or one period)';
@@ -0,0 +1,83 @@
+-- Migration: 20250710000002_add_attendance_auto_reset.sql
+-- Scheduled daily attendance reset: seed every active grade section with the
+-- configured default status and keep a record of each run.
+
+-- Step 1: One row per school day the scheduler has handled.
+-- The unique run_date is what makes the job idempotent across restarts and
+-- across multiple server instances: a run is claimed by inserting its row.
+CREATE TABLE attendance_auto_reset_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_date DATE NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed', 'skipped', 'failed')),
+    default_status VARCHAR(20),
+    grade_sections_processed INTEGER DEFAULT 0,
+    records_seeded INTEGER DEFAULT 0,
+    skip_reason TEXT,
+    error TEXT,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_attendance_auto_reset_runs_started_at ON attendance_auto_reset_runs(started_at DESC);
+
+-- Step 2: Seed the default status for every active student of every active grade section.
+-- Rows that already exist for the date are left untouched, so re-running never
+-- overwrites attendance a teacher has already marked.
+CREATE OR REPLACE FUNCTION seed_daily_attendance(
+    p_date DATE,
+    p_default_status VARCHAR(20)
+)
+RETURNS JSONB AS $$
+DECLARE
+    seeded_rows INTEGER;
+    section_count INTEGER;
+BEGIN
+    IF p_date IS NULL OR p_default_status NOT IN ('present', 'absent', 'late', 'excused', 'unmarked') THEN
+        RETURN '{"success": false, "error": "Invalid parameters"}'::jsonb;
+    END IF;
+
+    SELECT COUNT(*) INTO section_count
+    FROM grade_sections gs
+    WHERE gs.is_active = true;
+
+    INSERT INTO attendance (grade_section_id, student_id, date, status, notes, marked_by)
+    SELECT
+        gse.grade_section_id,
+        gse.student_id,
+        p_date,
+        p_default_status,
+        'Auto-reset default status',
+        NULL
+    FROM grade_section_enrollments gse
+    INNER JOIN grade_sections gs ON gs.id = gse.grade_section_id
+    INNER JOIN users u ON u.id = gse.student_id
+    WHERE gs.is_active = true
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ON CONFLICT (student_id, grade_section_id, date) DO NOTHING;
+
+    GET DIAGNOSTICS seeded_rows = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'date', p_date,
+        'grade_sections_processed', section_count,
+        'records_seeded', seeded_rows
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: Only admins read the run log; the server writes it with the service role
+ALTER TABLE attendance_auto_reset_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view attendance auto reset runs" ON attendance_auto_reset_runs
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role = 'admin'
+        )
+    );
+
+COMMENT ON TABLE attendance_auto_reset_runs IS 'Log of scheduled attendance resets, one row per school day';
+COMMENT ON FUNCTION seed_daily_attendance IS 'Seed default attendance status for all active grade sections without overwriting existing marks';
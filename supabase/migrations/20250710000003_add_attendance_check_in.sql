@@ -0,0 +1,110 @@
+-- Migration: 20250710000003_add_attendance_check_in.sql
+-- Record raw check-in timestamps on daily attendance.
+-- Check-ins are written through bulk_mark_attendance, which now accepts an
+-- optional check_in_at per record.
+
+-- Step 1: Add check-in column
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_in_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN attendance.check_in_at IS 'Raw check-in timestamp the status was classified from (kiosk/teacher app), kept for auditing';
+
+-- Step 2: bulk_mark_attendance keeps an existing check_in_at unless a record supplies a new one
+CREATE OR REPLACE FUNCTION bulk_mark_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_attendance_records JSONB,
+    p_marked_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    record JSONB;
+    result JSONB := '{"success": true, "marked": 0, "errors": []}'::jsonb;
+    error_msg TEXT;
+BEGIN
+    -- Validate inputs
+    IF p_grade_section_id IS NULL OR p_date IS NULL OR p_attendance_records IS NULL THEN
+        RETURN '{"success": false, "error": "Missing required parameters"}'::jsonb;
+    END IF;
+
+    -- Process each attendance record
+    FOR record IN SELECT * FROM jsonb_array_elements(p_attendance_records)
+    LOOP
+        BEGIN
+            -- Upsert attendance record
+            INSERT INTO attendance (grade_section_id, student_id, date, status, notes, marked_by, check_in_at)
+            VALUES (
+                p_grade_section_id,
+                (record->>'student_id')::UUID,
+                p_date,
+                record->>'status',
+                record->>'notes',
+                p_marked_by,
+                (record->>'check_in_at')::TIMESTAMPTZ
+            )
+            ON CONFLICT (student_id, grade_section_id, date)
+            DO UPDATE SET
+                status = EXCLUDED.status,
+                notes = EXCLUDED.notes,
+                marked_by = EXCLUDED.marked_by,
+                check_in_at = COALESCE(EXCLUDED.check_in_at, attendance.check_in_at),
+                marked_at = NOW(),
+                updated_at = NOW();
+
+            result := jsonb_set(result, '{marked}', to_jsonb((result->>'marked')::int + 1));
+        EXCEPTION WHEN OTHERS THEN
+            error_msg := SQLERRM;
+            result := jsonb_set(result, '{errors}', result->'errors' || jsonb_build_object(
+                'student_id', record->>'student_id',
+                'error', error_msg
+            ));
+        END;
+    END LOOP;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: Expose check-in time when listing a grade section's attendance
+DROP FUNCTION IF EXISTS get_grade_section_attendance(UUID, DATE);
+
+CREATE OR REPLACE FUNCTION get_grade_section_attendance(
+    p_grade_section_id UUID,
+    p_date DATE
+)
+RETURNS TABLE (
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    attendance_id UUID,
+    status VARCHAR(20),
+    notes TEXT,
+    marked_at TIMESTAMPTZ,
+    check_in_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        a.id as attendance_id,
+        COALESCE(a.status, 'unmarked') as status,
+        a.notes,
+        a.marked_at,
+        a.check_in_at
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    LEFT JOIN attendance a ON u.id = a.student_id
+        AND a.grade_section_id = p_grade_section_id
+        AND a.date = p_date
+    WHERE gse.grade_section_id = p_grade_section_id
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION get_grade_section_attendance IS 'Get students with attendance status (and check-in time) for a grade section on a specific date';
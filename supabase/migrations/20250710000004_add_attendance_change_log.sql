@@ -0,0 +1,388 @@
+-- Migration: 20250710000004_add_attendance_change_log.sql
+-- Append-only history of every attendance status/notes change.
+-- Rows are written by triggers on attendance and period_attendance. The
+-- functions that write attendance tag their transaction with a source via
+-- set_config('attendance.change_source', ...), which the trigger records.
+
+-- Step 1: Change log table
+-- No foreign keys on purpose: history must survive deletion of the grade
+-- section, student or actor, and cascades would fight the append-only guard.
+CREATE TABLE attendance_change_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    attendance_id UUID NOT NULL,
+    grade_section_id UUID NOT NULL,
+    student_id UUID NOT NULL,
+    date DATE NOT NULL,
+    period_number INTEGER, -- NULL for the daily record
+    old_status VARCHAR(20), -- NULL when the record was created
+    new_status VARCHAR(20) NOT NULL,
+    old_notes TEXT,
+    new_notes TEXT,
+    changed_by UUID,
+    source VARCHAR(30) NOT NULL DEFAULT 'direct',
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_attendance_change_log_student_date ON attendance_change_log(student_id, date, changed_at);
+CREATE INDEX idx_attendance_change_log_grade_section_date ON attendance_change_log(grade_section_id, date, changed_at);
+
+-- Step 2: Append-only guard
+CREATE OR REPLACE FUNCTION prevent_attendance_change_log_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'attendance_change_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_attendance_change_log_append_only
+    BEFORE UPDATE OR DELETE ON attendance_change_log
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_attendance_change_log_mutation();
+
+-- Step 3: Logging trigger for daily and period attendance
+CREATE OR REPLACE FUNCTION log_attendance_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_period_number INTEGER;
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND OLD.status IS NOT DISTINCT FROM NEW.status
+        AND OLD.notes IS NOT DISTINCT FROM NEW.notes THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_TABLE_NAME = 'period_attendance' THEN
+        v_period_number := NEW.period_number;
+    END IF;
+
+    INSERT INTO attendance_change_log (
+        attendance_id, grade_section_id, student_id, date, period_number,
+        old_status, new_status, old_notes, new_notes, changed_by, source
+    ) VALUES (
+        NEW.id,
+        NEW.grade_section_id,
+        NEW.student_id,
+        NEW.date,
+        v_period_number,
+        CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+        NEW.status,
+        CASE WHEN TG_OP = 'UPDATE' THEN OLD.notes END,
+        NEW.notes,
+        NEW.marked_by,
+        COALESCE(NULLIF(current_setting('attendance.change_source', true), ''), 'direct')
+    );
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_attendance_change_log
+    AFTER INSERT OR UPDATE ON attendance
+    FOR EACH ROW
+    EXECUTE FUNCTION log_attendance_change();
+
+CREATE TRIGGER trigger_period_attendance_change_log
+    AFTER INSERT OR UPDATE ON period_attendance
+    FOR EACH ROW
+    EXECUTE FUNCTION log_attendance_change();
+
+-- Step 4: Tag writes with their source.
+-- bulk_mark_attendance gains p_source so check-ins can be told apart from register marking.
+DROP FUNCTION IF EXISTS bulk_mark_attendance(UUID, DATE, JSONB, UUID);
+
+CREATE OR REPLACE FUNCTION bulk_mark_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_attendance_records JSONB,
+    p_marked_by UUID,
+    p_source VARCHAR(30) DEFAULT 'bulk-mark'
+)
+RETURNS JSONB AS $$
+DECLARE
+    record JSONB;
+    result JSONB := '{"success": true, "marked": 0, "errors": []}'::jsonb;
+    error_msg TEXT;
+BEGIN
+    -- Validate inputs
+    IF p_grade_section_id IS NULL OR p_date IS NULL OR p_attendance_records IS NULL THEN
+        RETURN '{"success": false, "error": "Missing required parameters"}'::jsonb;
+    END IF;
+
+    PERFORM set_config('attendance.change_source', COALESCE(p_source, 'bulk-mark'), true);
+
+    -- Process each attendance record
+    FOR record IN SELECT * FROM jsonb_array_elements(p_attendance_records)
+    LOOP
+        BEGIN
+            -- Upsert attendance record
+            INSERT INTO attendance (grade_section_id, student_id, date, status, notes, marked_by, check_in_at)
+            VALUES (
+                p_grade_section_id,
+                (record->>'student_id')::UUID,
+                p_date,
+                record->>'status',
+                record->>'notes',
+                p_marked_by,
+                (record->>'check_in_at')::TIMESTAMPTZ
+            )
+            ON CONFLICT (student_id, grade_section_id, date)
+            DO UPDATE SET
+                status = EXCLUDED.status,
+                notes = EXCLUDED.notes,
+                marked_by = EXCLUDED.marked_by,
+                check_in_at = COALESCE(EXCLUDED.check_in_at, attendance.check_in_at),
+                marked_at = NOW(),
+                updated_at = NOW();
+
+            result := jsonb_set(result, '{marked}', to_jsonb((result->>'marked')::int + 1));
+        EXCEPTION WHEN OTHERS THEN
+            error_msg := SQLERRM;
+            result := jsonb_set(result, '{errors}', result->'errors' || jsonb_build_object(
+                'student_id', record->>'student_id',
+                'error', error_msg
+            ));
+        END;
+    END LOOP;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION rollup_daily_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_student_ids UUID[],
+    p_marked_by UUID
+)
+RETURNS INTEGER AS $$
+DECLARE
+    affected_rows INTEGER;
+    previous_source TEXT := current_setting('attendance.change_source', true);
+BEGIN
+    PERFORM set_config('attendance.change_source', 'period-rollup', true);
+
+    WITH period_summary AS (
+        SELECT
+            pa.student_id,
+            COUNT(*) FILTER (WHERE pa.status IN ('present', 'late')) AS attended_count,
+            COUNT(*) FILTER (WHERE pa.status = 'absent') AS absent_count,
+            COUNT(*) FILTER (WHERE pa.status = 'excused') AS excused_count,
+            (ARRAY_AGG(pa.status ORDER BY pa.period_number) FILTER (WHERE pa.status <> 'unmarked'))[1] AS first_status
+        FROM period_attendance pa
+        WHERE pa.grade_section_id = p_grade_section_id
+            AND pa.date = p_date
+            AND pa.student_id = ANY(p_student_ids)
+        GROUP BY pa.student_id
+    )
+    INSERT INTO attendance (grade_section_id, student_id, date, status, marked_by)
+    SELECT
+        p_grade_section_id,
+        ps.student_id,
+        p_date,
+        CASE
+            WHEN ps.attended_count > 0 AND ps.first_status IN ('late', 'absent') THEN 'late'
+            WHEN ps.attended_count > 0 THEN 'present'
+            WHEN ps.absent_count > 0 THEN 'absent'
+            WHEN ps.excused_count > 0 THEN 'excused'
+            ELSE 'unmarked'
+        END,
+        p_marked_by
+    FROM period_summary ps
+    ON CONFLICT (student_id, grade_section_id, date)
+    DO UPDATE SET
+        status = EXCLUDED.status,
+        marked_by = EXCLUDED.marked_by,
+        marked_at = NOW(),
+        updated_at = NOW();
+
+    GET DIAGNOSTICS affected_rows = ROW_COUNT;
+
+    PERFORM set_config('attendance.change_source', COALESCE(previous_source, ''), true);
+    RETURN affected_rows;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION bulk_mark_period_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_period_number INTEGER,
+    p_period_name VARCHAR(100),
+    p_attendance_records JSONB,
+    p_marked_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    record JSONB;
+    result JSONB := '{"success": true, "marked": 0, "errors": []}'::jsonb;
+    error_msg TEXT;
+    marked_students UUID[] := '{}';
+BEGIN
+    -- Validate inputs
+    IF p_grade_section_id IS NULL OR p_date IS NULL OR p_period_number IS NULL OR p_attendance_records IS NULL THEN
+        RETURN '{"success": false, "error": "Missing required parameters"}'::jsonb;
+    END IF;
+
+    PERFORM set_config('attendance.change_source', 'bulk-mark', true);
+
+    -- Process each attendance record
+    FOR record IN SELECT * FROM jsonb_array_elements(p_attendance_records)
+    LOOP
+        BEGIN
+            INSERT INTO period_attendance (grade_section_id, student_id, date, period_number, period_name, status, notes, marked_by)
+            VALUES (
+                p_grade_section_id,
+                (record->>'student_id')::UUID,
+                p_date,
+                p_period_number,
+                p_period_name,
+                record->>'status',
+                record->>'notes',
+                p_marked_by
+            )
+            ON CONFLICT (student_id, grade_section_id, date, period_number)
+            DO UPDATE SET
+                period_name = EXCLUDED.period_name,
+                status = EXCLUDED.status,
+                notes = EXCLUDED.notes,
+                marked_by = EXCLUDED.marked_by,
+                marked_at = NOW(),
+                updated_at = NOW();
+
+            marked_students := array_append(marked_students, (record->>'student_id')::UUID);
+            result := jsonb_set(result, '{marked}', to_jsonb((result->>'marked')::int + 1));
+        EXCEPTION WHEN OTHERS THEN
+            error_msg := SQLERRM;
+            result := jsonb_set(result, '{errors}', result->'errors' || jsonb_build_object(
+                'student_id', record->>'student_id',
+                'error', error_msg
+            ));
+        END;
+    END LOOP;
+
+    IF array_length(marked_students, 1) > 0 THEN
+        PERFORM rollup_daily_attendance(p_grade_section_id, p_date, marked_students, p_marked_by);
+    END IF;
+
+    RETURN result || jsonb_build_object('period_number', p_period_number);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION reset_daily_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_reset_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    affected_rows INTEGER;
+    affected_period_rows INTEGER;
+BEGIN
+    PERFORM set_config('attendance.change_source', 'reset', true);
+
+    -- Update all attendance records for the grade section and date to 'unmarked'
+    UPDATE attendance
+    SET
+        status = 'unmarked',
+        notes = NULL,
+        marked_by = p_reset_by,
+        marked_at = NOW(),
+        updated_at = NOW()
+    WHERE grade_section_id = p_grade_section_id
+        AND date = p_date;
+
+    GET DIAGNOSTICS affected_rows = ROW_COUNT;
+
+    UPDATE period_attendance
+    SET
+        status = 'unmarked',
+        notes = NULL,
+        marked_by = p_reset_by,
+        marked_at = NOW(),
+        updated_at = NOW()
+    WHERE grade_section_id = p_grade_section_id
+        AND date = p_date;
+
+    GET DIAGNOSTICS affected_period_rows = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'message', 'Daily attendance reset successfully',
+        'affected_rows', affected_rows,
+        'affected_period_rows', affected_period_rows,
+        'date', p_date
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION seed_daily_attendance(
+    p_date DATE,
+    p_default_status VARCHAR(20)
+)
+RETURNS JSONB AS $$
+DECLARE
+    seeded_rows INTEGER;
+    section_count INTEGER;
+BEGIN
+    IF p_date IS NULL OR p_default_status NOT IN ('present', 'absent', 'late', 'excused', 'unmarked') THEN
+        RETURN '{"success": false, "error": "Invalid parameters"}'::jsonb;
+    END IF;
+
+    PERFORM set_config('attendance.change_source', 'auto-reset', true);
+
+    SELECT COUNT(*) INTO section_count
+    FROM grade_sections gs
+    WHERE gs.is_active = true;
+
+    INSERT INTO attendance (grade_section_id, student_id, date, status, notes, marked_by)
+    SELECT
+        gse.grade_section_id,
+        gse.student_id,
+        p_date,
+        p_default_status,
+        'Auto-reset default status',
+        NULL
+    FROM grade_section_enrollments gse
+    INNER JOIN grade_sections gs ON gs.id = gse.grade_section_id
+    INNER JOIN users u ON u.id = gse.student_id
+    WHERE gs.is_active = true
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ON CONFLICT (student_id, grade_section_id, date) DO NOTHING;
+
+    GET DIAGNOSTICS seeded_rows = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'date', p_date,
+        'grade_sections_processed', section_count,
+        'records_seeded', seeded_rows
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 5: Read access mirrors attendance; nobody but the trigger writes
+ALTER TABLE attendance_change_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view attendance changes for their grade sections" ON attendance_change_log
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id = attendance_change_log.grade_section_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                )
+            )
+        )
+    );
+
+REVOKE UPDATE, DELETE ON attendance_change_log FROM authenticated;
+
+GRANT EXECUTE ON FUNCTION bulk_mark_attendance(UUID, DATE, JSONB, UUID, VARCHAR(30)) TO authenticated;
+
+COMMENT ON TABLE attendance_change_log IS 'Append-only history of attendance status and notes changes';
+COMMENT ON COLUMN attendance_change_log.source IS 'What made the change: bulk-mark, check-in, reset, auto-reset, period-rollup, or direct';
+COMMENT ON FUNCTION bulk_mark_attendance IS 'Bulk mark attendance for multiple students efficiently, tagging the change source for the audit log';
@@ -0,0 +1,48 @@
+-- Migration: 20250710000005_add_attendance_register.sql
+-- Monthly attendance register: one row per student per marked day, for one
+-- grade section or the whole school, in a single call (used by the export).
+
+CREATE OR REPLACE FUNCTION get_attendance_register(
+    p_grade_section_id UUID,
+    p_start_date DATE,
+    p_end_date DATE
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    grade_section_name VARCHAR(100),
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    date DATE,
+    status VARCHAR(20)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        gs.id as grade_section_id,
+        gs.name as grade_section_name,
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        a.date,
+        a.status
+    FROM grade_section_enrollments gse
+    INNER JOIN grade_sections gs ON gs.id = gse.grade_section_id
+    INNER JOIN users u ON u.id = gse.student_id
+    LEFT JOIN attendance a ON a.student_id = gse.student_id
+        AND a.grade_section_id = gse.grade_section_id
+        AND a.date BETWEEN p_start_date AND p_end_date
+    WHERE (p_grade_section_id IS NULL OR gse.grade_section_id = p_grade_section_id)
+        AND gs.is_active = true
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gs.grade_level, gs.section, u.first_name, u.last_name, a.date;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_attendance_register(UUID, DATE, DATE) TO authenticated;
+
+COMMENT ON FUNCTION get_attendance_register IS 'Get daily attendance marks for every active student of a grade section (or all sections when NULL) over a date range';
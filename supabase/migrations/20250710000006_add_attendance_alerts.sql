@@ -0,0 +1,168 @@
+-- Migration: 20250710000006_add_attendance_alerts.sql
+-- Chronic absenteeism detection: flag students whose attendance rate over a
+-- rolling window falls below a threshold, or who have been absent for N
+-- consecutive marked school days.
+
+-- Step 1: Alerts raised by the detector
+CREATE TABLE attendance_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    grade_section_id UUID NOT NULL REFERENCES grade_sections(id) ON DELETE CASCADE,
+    alert_type VARCHAR(30) NOT NULL CHECK (alert_type IN ('low_attendance_rate', 'consecutive_absences')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    attendance_rate DECIMAL(5,2),
+    consecutive_absences INTEGER,
+    window_start DATE NOT NULL,
+    window_end DATE NOT NULL,
+    detected_at TIMESTAMPTZ DEFAULT NOW(),
+    last_detected_at TIMESTAMPTZ DEFAULT NOW(),
+    notified_at TIMESTAMPTZ,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMPTZ,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    resolution_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- At most one unresolved alert of each type per student and grade section,
+-- so repeated detector runs refresh an alert instead of raising it again
+CREATE UNIQUE INDEX idx_attendance_alerts_unresolved
+    ON attendance_alerts(student_id, grade_section_id, alert_type)
+    WHERE status <> 'resolved';
+CREATE INDEX idx_attendance_alerts_grade_section_status ON attendance_alerts(grade_section_id, status);
+CREATE INDEX idx_attendance_alerts_detected_at ON attendance_alerts(detected_at DESC);
+
+CREATE TRIGGER trigger_attendance_alerts_updated_at
+    BEFORE UPDATE ON attendance_alerts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_attendance_updated_at();
+
+-- Step 2: Detector. Refreshes the figures on alerts that are still unresolved
+-- and returns only the alerts it newly opened (the caller notifies teachers
+-- for those).
+CREATE OR REPLACE FUNCTION detect_chronic_absenteeism(
+    p_as_of DATE,
+    p_window_days INTEGER,
+    p_rate_threshold DECIMAL,
+    p_consecutive_absences INTEGER
+)
+RETURNS SETOF attendance_alerts AS $$
+DECLARE
+    v_window_start DATE := p_as_of - (p_window_days - 1);
+BEGIN
+    IF p_as_of IS NULL OR p_window_days IS NULL OR p_window_days < 1 THEN
+        RAISE EXCEPTION 'Invalid detector parameters';
+    END IF;
+
+    CREATE TEMP TABLE IF NOT EXISTS tmp_absenteeism_candidates (
+        student_id UUID,
+        grade_section_id UUID,
+        alert_type VARCHAR(30),
+        attendance_rate DECIMAL(5,2),
+        consecutive_absences INTEGER
+    ) ON COMMIT DROP;
+    TRUNCATE tmp_absenteeism_candidates;
+
+    INSERT INTO tmp_absenteeism_candidates
+    WITH marks AS (
+        SELECT a.student_id, a.grade_section_id, a.date, a.status
+        FROM attendance a
+        INNER JOIN grade_section_enrollments gse ON gse.student_id = a.student_id
+            AND gse.grade_section_id = a.grade_section_id
+            AND gse.status = 'active'
+        INNER JOIN grade_sections gs ON gs.id = a.grade_section_id AND gs.is_active = true
+        WHERE a.date BETWEEN v_window_start AND p_as_of
+            AND a.status <> 'unmarked'
+    ),
+    per_student AS (
+        SELECT
+            m.student_id,
+            m.grade_section_id,
+            ROUND((COUNT(*) FILTER (WHERE m.status IN ('present', 'late', 'excused'))::DECIMAL / COUNT(*)) * 100, 2) as attendance_rate,
+            MAX(m.date) FILTER (WHERE m.status <> 'absent') as last_attended
+        FROM marks m
+        GROUP BY m.student_id, m.grade_section_id
+    ),
+    streaks AS (
+        SELECT
+            ps.student_id,
+            ps.grade_section_id,
+            ps.attendance_rate,
+            (
+                SELECT COUNT(*)::INTEGER FROM marks m
+                WHERE m.student_id = ps.student_id
+                    AND m.grade_section_id = ps.grade_section_id
+                    AND m.status = 'absent'
+                    AND (ps.last_attended IS NULL OR m.date > ps.last_attended)
+            ) as consecutive_absences
+        FROM per_student ps
+    )
+    SELECT s.student_id, s.grade_section_id, 'low_attendance_rate', s.attendance_rate, s.consecutive_absences
+    FROM streaks s
+    WHERE p_rate_threshold IS NOT NULL AND s.attendance_rate < p_rate_threshold
+    UNION ALL
+    SELECT s.student_id, s.grade_section_id, 'consecutive_absences', s.attendance_rate, s.consecutive_absences
+    FROM streaks s
+    WHERE p_consecutive_absences IS NOT NULL AND s.consecutive_absences >= p_consecutive_absences;
+
+    -- Refresh alerts that are still open or acknowledged
+    UPDATE attendance_alerts aa
+    SET attendance_rate = c.attendance_rate,
+        consecutive_absences = c.consecutive_absences,
+        window_start = v_window_start,
+        window_end = p_as_of,
+        last_detected_at = NOW()
+    FROM tmp_absenteeism_candidates c
+    WHERE aa.student_id = c.student_id
+        AND aa.grade_section_id = c.grade_section_id
+        AND aa.alert_type = c.alert_type
+        AND aa.status <> 'resolved';
+
+    RETURN QUERY
+    WITH opened AS (
+        INSERT INTO attendance_alerts (
+            student_id, grade_section_id, alert_type, attendance_rate,
+            consecutive_absences, window_start, window_end
+        )
+        SELECT c.student_id, c.grade_section_id, c.alert_type, c.attendance_rate,
+            c.consecutive_absences, v_window_start, p_as_of
+        FROM tmp_absenteeism_candidates c
+        ON CONFLICT (student_id, grade_section_id, alert_type) WHERE status <> 'resolved' DO NOTHING
+        RETURNING *
+    )
+    SELECT * FROM opened;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: RLS - admins and the section teacher read alerts; the server writes them
+ALTER TABLE attendance_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers and admins can view attendance alerts" ON attendance_alerts
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id = attendance_alerts.grade_section_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                )
+            )
+        )
+    );
+
+-- Step 4: Detector settings live alongside the rest of the attendance config
+UPDATE school_settings
+SET attendance_config = jsonb_build_object(
+        'enable_absenteeism_alerts', true,
+        'absenteeism_window_days', 30,
+        'absenteeism_rate_threshold', 80,
+        'absenteeism_consecutive_absences', 3,
+        'absenteeism_check_time', '18:00'
+    ) || COALESCE(attendance_config, '{}'::jsonb);
+
+COMMENT ON TABLE attendance_alerts IS 'Chronic absenteeism alerts raised by the detector (open -> acknowledged -> resolved)';
+COMMENT ON FUNCTION detect_chronic_absenteeism IS 'Open alerts for students below the attendance-rate threshold or with N consecutive absences; returns newly opened alerts';
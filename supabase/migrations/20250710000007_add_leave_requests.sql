@@ -0,0 +1,53 @@
+-- Migration: 20250710000007_add_leave_requests.sql
+-- Leave/excuse requests: a student (or staff on their behalf) asks to be
+-- excused for a date range; on approval the server marks those school days
+-- as 'excused' through bulk_mark_attendance.
+
+CREATE TABLE leave_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    grade_section_id UUID NOT NULL REFERENCES grade_sections(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason TEXT NOT NULL,
+    attachment_file_id UUID REFERENCES file_uploads(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_notes TEXT,
+    days_excused INTEGER DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX idx_leave_requests_student ON leave_requests(student_id, start_date);
+CREATE INDEX idx_leave_requests_grade_section_status ON leave_requests(grade_section_id, status);
+
+CREATE TRIGGER trigger_leave_requests_updated_at
+    BEFORE UPDATE ON leave_requests
+    FOR EACH ROW
+    EXECUTE FUNCTION update_attendance_updated_at();
+
+-- RLS: students see their own requests, the section teacher and admins see the section's
+ALTER TABLE leave_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view relevant leave requests" ON leave_requests
+    FOR SELECT USING (
+        student_id = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id = leave_requests.grade_section_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                )
+            )
+        )
+    );
+
+COMMENT ON TABLE leave_requests IS 'Leave/excuse requests; approved requests mark their school days as excused';
+COMMENT ON COLUMN leave_requests.days_excused IS 'Number of school days marked excused when the request was approved';
@@ -0,0 +1,351 @@
+-- Migration: 20250710000008_add_academic_calendar.sql
+-- Academic calendar: term dates, holidays and special closures.
+-- An instructional day is an active weekday in school_timings that falls
+-- inside a term (when any terms are defined) and outside every holiday and
+-- closure. Attendance statistics, the daily summary and the absenteeism
+-- detector now count instructional days only.
+
+-- Step 1: Calendar events
+CREATE TABLE academic_calendar_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('term', 'holiday', 'closure')),
+    name VARCHAR(150) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    description TEXT,
+    academic_year VARCHAR(20), -- e.g., "2024-2025"
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX idx_academic_calendar_events_range ON academic_calendar_events(event_type, start_date, end_date);
+
+CREATE TRIGGER trigger_academic_calendar_events_updated_at
+    BEFORE UPDATE ON academic_calendar_events
+    FOR EACH ROW
+    EXECUTE FUNCTION update_attendance_updated_at();
+
+ALTER TABLE academic_calendar_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Academic calendar is viewable by all authenticated users" ON academic_calendar_events
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Academic calendar is editable by admins only" ON academic_calendar_events
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role = 'admin'
+        )
+    );
+
+-- Step 2: Instructional days in a date range.
+-- Without any school_timings rows every day counts as a school day, and
+-- without any terms the term restriction is not applied.
+CREATE OR REPLACE FUNCTION get_instructional_days(
+    p_start_date DATE,
+    p_end_date DATE
+)
+RETURNS TABLE (
+    instructional_date DATE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT d.day
+    FROM (SELECT gs::DATE as day FROM generate_series(p_start_date, p_end_date, INTERVAL '1 day') gs) d
+    WHERE (
+            NOT EXISTS (SELECT 1 FROM school_timings)
+            OR EXISTS (
+                SELECT 1 FROM school_timings st
+                WHERE st.day = TO_CHAR(d.day, 'FMDay')
+                    AND st.is_active = true
+            )
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM academic_calendar_events e
+            WHERE e.event_type IN ('holiday', 'closure')
+                AND d.day BETWEEN e.start_date AND e.end_date
+        )
+        AND (
+            NOT EXISTS (SELECT 1 FROM academic_calendar_events e WHERE e.event_type = 'term')
+            OR EXISTS (
+                SELECT 1 FROM academic_calendar_events e
+                WHERE e.event_type = 'term'
+                    AND d.day BETWEEN e.start_date AND e.end_date
+            )
+        )
+    ORDER BY d.day;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_instructional_day(p_date DATE)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (SELECT 1 FROM get_instructional_days(p_date, p_date));
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Step 3: Statistics only report instructional days, so weekends and
+-- holidays no longer show up as unmarked days
+CREATE OR REPLACE FUNCTION get_attendance_stats(
+    p_grade_section_id UUID,
+    p_start_date DATE,
+    p_end_date DATE,
+    p_period_number INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+    date DATE,
+    total_students BIGINT,
+    present_count BIGINT,
+    absent_count BIGINT,
+    late_count BIGINT,
+    excused_count BIGINT,
+    unmarked_count BIGINT,
+    attendance_rate DECIMAL(5,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH marks AS (
+        SELECT a.student_id, a.date, a.status
+        FROM attendance a
+        WHERE p_period_number IS NULL
+            AND a.grade_section_id = p_grade_section_id
+            AND a.date BETWEEN p_start_date AND p_end_date
+        UNION ALL
+        SELECT pa.student_id, pa.date, pa.status
+        FROM period_attendance pa
+        WHERE p_period_number IS NOT NULL
+            AND pa.grade_section_id = p_grade_section_id
+            AND pa.period_number = p_period_number
+            AND pa.date BETWEEN p_start_date AND p_end_date
+    ),
+    daily_stats AS (
+        SELECT
+            d.instructional_date as date,
+            COUNT(DISTINCT gse.student_id) as total_students,
+            COUNT(CASE WHEN m.status = 'present' THEN 1 END) as present_count,
+            COUNT(CASE WHEN m.status = 'absent' THEN 1 END) as absent_count,
+            COUNT(CASE WHEN m.status = 'late' THEN 1 END) as late_count,
+            COUNT(CASE WHEN m.status = 'excused' THEN 1 END) as excused_count,
+            COUNT(CASE WHEN m.status = 'unmarked' OR m.status IS NULL THEN 1 END) as unmarked_count
+        FROM get_instructional_days(p_start_date, p_end_date) d
+        CROSS JOIN grade_section_enrollments gse
+        LEFT JOIN marks m ON gse.student_id = m.student_id
+            AND m.date = d.instructional_date
+        WHERE gse.grade_section_id = p_grade_section_id
+            AND gse.status = 'active'
+        GROUP BY d.instructional_date
+    )
+    SELECT
+        ds.date,
+        ds.total_students,
+        ds.present_count,
+        ds.absent_count,
+        ds.late_count,
+        ds.excused_count,
+        ds.unmarked_count,
+        CASE
+            WHEN ds.total_students > 0 THEN
+                ROUND(((ds.present_count + ds.late_count + ds.excused_count)::DECIMAL / ds.total_students) * 100, 2)
+            ELSE 0
+        END as attendance_rate
+    FROM daily_stats ds
+    ORDER BY ds.date DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 4: On a non-instructional day nobody is expected, so students without
+-- a mark are not reported as unmarked
+CREATE OR REPLACE FUNCTION get_daily_attendance_summary(
+    p_date DATE,
+    p_user_id UUID,
+    p_user_role VARCHAR(20),
+    p_period_number INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    grade_section_name VARCHAR(100),
+    total_students BIGINT,
+    present_count BIGINT,
+    absent_count BIGINT,
+    late_count BIGINT,
+    excused_count BIGINT,
+    unmarked_count BIGINT,
+    attendance_rate DECIMAL(5,2)
+) AS $$
+DECLARE
+    v_instructional BOOLEAN := is_instructional_day(p_date);
+BEGIN
+    RETURN QUERY
+    WITH marks AS (
+        SELECT a.grade_section_id, a.student_id, a.status
+        FROM attendance a
+        WHERE p_period_number IS NULL
+            AND a.date = p_date
+        UNION ALL
+        SELECT pa.grade_section_id, pa.student_id, pa.status
+        FROM period_attendance pa
+        WHERE p_period_number IS NOT NULL
+            AND pa.date = p_date
+            AND pa.period_number = p_period_number
+    ),
+    attendance_summary AS (
+        SELECT
+            gs.id as grade_section_id,
+            gs.name as grade_section_name,
+            COUNT(DISTINCT gse.student_id) as total_students,
+            COUNT(CASE WHEN m.status = 'present' THEN 1 END) as present_count,
+            COUNT(CASE WHEN m.status = 'absent' THEN 1 END) as absent_count,
+            COUNT(CASE WHEN m.status = 'late' THEN 1 END) as late_count,
+            COUNT(CASE WHEN m.status = 'excused' THEN 1 END) as excused_count,
+            COUNT(CASE WHEN v_instructional AND (m.status = 'unmarked' OR m.status IS NULL) THEN 1 END) as unmarked_count
+        FROM grade_sections gs
+        LEFT JOIN grade_section_enrollments gse ON gs.id = gse.grade_section_id AND gse.status = 'active'
+        LEFT JOIN marks m ON gse.student_id = m.student_id
+            AND m.grade_section_id = gs.id
+        WHERE gs.is_active = true
+        AND (
+            p_user_role = 'admin' OR
+            (p_user_role = 'teacher' AND gs.teacher_id = p_user_id)
+        )
+        GROUP BY gs.id, gs.name
+    )
+    SELECT
+        asummary.grade_section_id,
+        asummary.grade_section_name,
+        asummary.total_students,
+        asummary.present_count,
+        asummary.absent_count,
+        asummary.late_count,
+        asummary.excused_count,
+        asummary.unmarked_count,
+        CASE
+            WHEN asummary.total_students > 0 THEN
+                ROUND(((asummary.present_count + asummary.late_count + asummary.excused_count)::DECIMAL / asummary.total_students) * 100, 2)
+            ELSE 0
+        END as attendance_rate
+    FROM attendance_summary asummary
+    ORDER BY asummary.grade_section_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 5: The detector window is the last p_window_days instructional days,
+-- and only marks on instructional days count towards rates and streaks
+CREATE OR REPLACE FUNCTION detect_chronic_absenteeism(
+    p_as_of DATE,
+    p_window_days INTEGER,
+    p_rate_threshold DECIMAL,
+    p_consecutive_absences INTEGER
+)
+RETURNS SETOF attendance_alerts AS $$
+DECLARE
+    v_window_start DATE;
+BEGIN
+    IF p_as_of IS NULL OR p_window_days IS NULL OR p_window_days < 1 THEN
+        RAISE EXCEPTION 'Invalid detector parameters';
+    END IF;
+
+    -- Look back far enough to cover p_window_days school days across weekends and holidays
+    SELECT MIN(w.instructional_date) INTO v_window_start
+    FROM (
+        SELECT d.instructional_date
+        FROM get_instructional_days(p_as_of - (p_window_days * 3 + 60), p_as_of) d
+        ORDER BY d.instructional_date DESC
+        LIMIT p_window_days
+    ) w;
+
+    IF v_window_start IS NULL THEN
+        RETURN;
+    END IF;
+
+    CREATE TEMP TABLE IF NOT EXISTS tmp_absenteeism_candidates (
+        student_id UUID,
+        grade_section_id UUID,
+        alert_type VARCHAR(30),
+        attendance_rate DECIMAL(5,2),
+        consecutive_absences INTEGER
+    ) ON COMMIT DROP;
+    TRUNCATE tmp_absenteeism_candidates;
+
+    INSERT INTO tmp_absenteeism_candidates
+    WITH marks AS (
+        SELECT a.student_id, a.grade_section_id, a.date, a.status
+        FROM attendance a
+        INNER JOIN get_instructional_days(v_window_start, p_as_of) d ON d.instructional_date = a.date
+        INNER JOIN grade_section_enrollments gse ON gse.student_id = a.student_id
+            AND gse.grade_section_id = a.grade_section_id
+            AND gse.status = 'active'
+        INNER JOIN grade_sections gs ON gs.id = a.grade_section_id AND gs.is_active = true
+        WHERE a.status <> 'unmarked'
+    ),
+    per_student AS (
+        SELECT
+            m.student_id,
+            m.grade_section_id,
+            ROUND((COUNT(*) FILTER (WHERE m.status IN ('present', 'late', 'excused'))::DECIMAL / COUNT(*)) * 100, 2) as attendance_rate,
+            MAX(m.date) FILTER (WHERE m.status <> 'absent') as last_attended
+        FROM marks m
+        GROUP BY m.student_id, m.grade_section_id
+    ),
+    streaks AS (
+        SELECT
+            ps.student_id,
+            ps.grade_section_id,
+            ps.attendance_rate,
+            (
+                SELECT COUNT(*)::INTEGER FROM marks m
+                WHERE m.student_id = ps.student_id
+                    AND m.grade_section_id = ps.grade_section_id
+                    AND m.status = 'absent'
+                    AND (ps.last_attended IS NULL OR m.date > ps.last_attended)
+            ) as consecutive_absences
+        FROM per_student ps
+    )
+    SELECT s.student_id, s.grade_section_id, 'low_attendance_rate', s.attendance_rate, s.consecutive_absences
+    FROM streaks s
+    WHERE p_rate_threshold IS NOT NULL AND s.attendance_rate < p_rate_threshold
+    UNION ALL
+    SELECT s.student_id, s.grade_section_id, 'consecutive_absences', s.attendance_rate, s.consecutive_absences
+    FROM streaks s
+    WHERE p_consecutive_absences IS NOT NULL AND s.consecutive_absences >= p_consecutive_absences;
+
+    -- Refresh alerts that are still open or acknowledged
+    UPDATE attendance_alerts aa
+    SET attendance_rate = c.attendance_rate,
+        consecutive_absences = c.consecutive_absences,
+        window_start = v_window_start,
+        window_end = p_as_of,
+        last_detected_at = NOW()
+    FROM tmp_absenteeism_candidates c
+    WHERE aa.student_id = c.student_id
+        AND aa.grade_section_id = c.grade_section_id
+        AND aa.alert_type = c.alert_type
+        AND aa.status <> 'resolved';
+
+    RETURN QUERY
+    WITH opened AS (
+        INSERT INTO attendance_alerts (
+            student_id, grade_section_id, alert_type, attendance_rate,
+            consecutive_absences, window_start, window_end
+        )
+        SELECT c.student_id, c.grade_section_id, c.alert_type, c.attendance_rate,
+            c.consecutive_absences, v_window_start, p_as_of
+        FROM tmp_absenteeism_candidates c
+        ON CONFLICT (student_id, grade_section_id, alert_type) WHERE status <> 'resolved' DO NOTHING
+        RETURNING *
+    )
+    SELECT * FROM opened;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT SELECT ON academic_calendar_events TO authenticated;
+GRANT EXECUTE ON FUNCTION get_instructional_days(DATE, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION is_instructional_day(DATE) TO authenticated;
+
+COMMENT ON TABLE academic_calendar_events IS 'Academic calendar: terms, holidays and special closures';
+COMMENT ON FUNCTION get_instructional_days IS 'Instructional days in a date range: active school_timings weekdays, inside a term, outside holidays and closures';
+COMMENT ON FUNCTION is_instructional_day IS 'Whether a date is an instructional day';
+COMMENT ON FUNCTION get_attendance_stats IS 'Get per-day attendance statistics for a grade section over instructional days (daily roll-up or a single period)';
+COMMENT ON FUNCTION detect_chronic_absenteeism IS 'Open alerts for students below the attendance-rate threshold or with N consecutive absences over the last N instructional days; returns newly opened alerts';
@@ -0,0 +1,47 @@
+-- Migration: 20250710000009_add_attendance_edit_lock.sql
+-- Attendance edit window: once a date's window has passed, teachers can no
+-- longer change attendance for it. Admins can reopen a grade section/date for
+-- a limited time; every unlock is kept here with its reason.
+
+-- Step 1: Unlock log (one row per admin unlock, never updated)
+CREATE TABLE attendance_unlocks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grade_section_id UUID NOT NULL REFERENCES grade_sections(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    reason TEXT NOT NULL CHECK (LENGTH(TRIM(reason)) > 0),
+    unlocked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    unlocked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_attendance_unlocks_section_date ON attendance_unlocks(grade_section_id, date, expires_at DESC);
+CREATE INDEX idx_attendance_unlocks_unlocked_at ON attendance_unlocks(unlocked_at DESC);
+
+-- Step 2: RLS - the section teacher and admins can read the unlock log
+ALTER TABLE attendance_unlocks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers and admins can view attendance unlocks" ON attendance_unlocks
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id = attendance_unlocks.grade_section_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                )
+            )
+        )
+    );
+
+-- Step 3: Edit window settings (disabled by default so existing workflows keep working)
+UPDATE school_settings
+SET attendance_config = jsonb_build_object(
+        'enable_edit_lock', false,
+        'edit_window_days', 0,
+        'edit_lock_time', '18:00',
+        'unlock_duration_hours', 24
+    ) || COALESCE(attendance_config, '{}'::jsonb);
+
+COMMENT ON TABLE attendance_unlocks IS 'Admin unlocks of locked attendance dates, with reason; an unlock is active until expires_at';
@@ -0,0 +1,101 @@
+-- Migration: 20250710000010_add_homework_completions.sql
+-- Per-student, per-subject homework completion tracking.
+-- Students set their own state; a teacher can override it, after which the
+-- student can no longer change that entry.
+
+-- Step 1: Completion states
+CREATE TABLE homework_completions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    homework_id UUID NOT NULL REFERENCES homework_announcements(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subject TEXT NOT NULL DEFAULT '', -- entry of homework_announcements.subjects; '' for homework without subjects
+    status VARCHAR(20) NOT NULL DEFAULT 'not_started' CHECK (status IN ('not_started', 'done', 'incomplete')),
+    is_teacher_override BOOLEAN NOT NULL DEFAULT FALSE,
+    notes TEXT,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(homework_id, student_id, subject)
+);
+
+CREATE INDEX idx_homework_completions_student ON homework_completions(student_id);
+
+CREATE TRIGGER update_homework_completions_updated_at BEFORE UPDATE ON homework_completions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Completion counts per homework item and subject.
+-- Students without a row count as not started.
+CREATE OR REPLACE FUNCTION get_homework_completion_counts(p_homework_ids UUID[])
+RETURNS TABLE (
+    homework_id UUID,
+    subject TEXT,
+    total_students BIGINT,
+    done_count BIGINT,
+    incomplete_count BIGINT,
+    not_started_count BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH items AS (
+        SELECT
+            ha.id as item_id,
+            ha.grade_section_id,
+            COALESCE(s.value->>'subject', '') as item_subject
+        FROM homework_announcements ha
+        CROSS JOIN LATERAL jsonb_array_elements(
+            CASE
+                WHEN jsonb_typeof(ha.subjects) = 'array' AND jsonb_array_length(ha.subjects) > 0 THEN ha.subjects
+                ELSE '[{}]'::jsonb
+            END
+        ) s
+        WHERE ha.id = ANY(p_homework_ids)
+    ),
+    roster AS (
+        SELECT i.item_id, i.item_subject, gse.student_id
+        FROM items i
+        INNER JOIN grade_section_enrollments gse ON gse.grade_section_id = i.grade_section_id
+            AND gse.status = 'active'
+        INNER JOIN users u ON u.id = gse.student_id
+            AND u.role = 'student'
+            AND u.status = 'active'
+    )
+    SELECT
+        r.item_id,
+        r.item_subject,
+        COUNT(*) as total_students,
+        COUNT(*) FILTER (WHERE hc.status = 'done') as done_count,
+        COUNT(*) FILTER (WHERE hc.status = 'incomplete') as incomplete_count,
+        COUNT(*) FILTER (WHERE hc.status IS NULL OR hc.status = 'not_started') as not_started_count
+    FROM roster r
+    LEFT JOIN homework_completions hc ON hc.homework_id = r.item_id
+        AND hc.student_id = r.student_id
+        AND hc.subject = r.item_subject
+    GROUP BY r.item_id, r.item_subject;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: RLS - students see their own states, the section teacher and admins see the section's
+ALTER TABLE homework_completions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view relevant homework completions" ON homework_completions
+    FOR SELECT USING (
+        student_id = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM homework_announcements ha
+            JOIN grade_sections gs ON gs.id = ha.grade_section_id
+            WHERE ha.id = homework_completions.homework_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                )
+            )
+        )
+    );
+
+GRANT SELECT ON homework_completions TO authenticated;
+GRANT EXECUTE ON FUNCTION get_homework_completion_counts(UUID[]) TO authenticated;
+
+COMMENT ON TABLE homework_completions IS 'Per-student, per-subject homework completion state (not_started/done/incomplete)';
+COMMENT ON COLUMN homework_completions.is_teacher_override IS 'Set when a teacher recorded the state; students can no longer change it';
@@ -0,0 +1,20 @@
+-- Migration: 20250710000011_add_homework_scheduled_publishing.sql
+-- Scheduled publishing: teachers prepare homework ahead of time with a
+-- publish_at timestamp and the background publisher makes it live then.
+
+-- Step 1: Publishing columns
+ALTER TABLE homework_announcements
+    ADD COLUMN publish_at TIMESTAMPTZ,
+    ADD COLUMN published_at TIMESTAMPTZ;
+
+-- Existing published homework counts as published when it was created
+UPDATE homework_announcements
+SET published_at = created_at
+WHERE is_published = true AND published_at IS NULL;
+
+-- Step 2: Lookup of homework waiting to be published
+CREATE INDEX idx_homework_announcements_publish_at ON homework_announcements(publish_at)
+    WHERE is_published = false AND publish_at IS NOT NULL;
+
+COMMENT ON COLUMN homework_announcements.publish_at IS 'When the background publisher should make this homework live (NULL = manual publishing)';
+COMMENT ON COLUMN homework_announcements.published_at IS 'When the homework was last published';
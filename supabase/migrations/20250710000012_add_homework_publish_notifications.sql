@@ -0,0 +1,15 @@
+-- Migration: 20250710000012_add_homework_publish_notifications.sql
+-- Students are notified once when a homework item is first published, whether
+-- by the teacher or by the scheduled publisher. notified_at is claimed before
+-- sending, so unpublishing and republishing never notifies again.
+
+-- Step 1: Notification claim
+ALTER TABLE homework_announcements
+    ADD COLUMN notified_at TIMESTAMPTZ;
+
+-- Homework published before this migration is treated as already announced
+UPDATE homework_announcements
+SET notified_at = COALESCE(published_at, created_at)
+WHERE is_published = true AND notified_at IS NULL;
+
+COMMENT ON COLUMN homework_announcements.notified_at IS 'When students were notified about this homework; set once, never cleared';
@@ -0,0 +1,104 @@
+-- Migration: 20250710000013_add_homework_attachments.sql
+-- Homework can carry any number of attachments (images, documents, audio, ...)
+-- instead of exactly one PDF. pdf_file_id is kept for older clients and points
+-- at the first PDF attachment, if any.
+
+-- Step 1: Attachments of a homework item, in display order
+CREATE TABLE homework_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    homework_id UUID NOT NULL REFERENCES homework_announcements(id) ON DELETE CASCADE,
+    file_id UUID NOT NULL REFERENCES file_uploads(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(homework_id, file_id)
+);
+
+CREATE INDEX idx_homework_attachments_homework ON homework_attachments(homework_id, position);
+
+-- Step 2: Existing PDFs become the first attachment
+INSERT INTO homework_attachments (homework_id, file_id, position)
+SELECT id, pdf_file_id, 0
+FROM homework_announcements
+WHERE pdf_file_id IS NOT NULL
+ON CONFLICT (homework_id, file_id) DO NOTHING;
+
+-- Step 3: Student homework includes the attachment list
+DROP FUNCTION IF EXISTS get_student_homework(UUID, DATE, DATE);
+
+CREATE OR REPLACE FUNCTION get_student_homework(student_uuid UUID, start_date DATE, end_date DATE)
+RETURNS TABLE (
+    homework_id UUID,
+    title VARCHAR(255),
+    content TEXT,
+    homework_date DATE,
+    subjects JSONB,
+    pdf_url TEXT,
+    attachments JSONB,
+    teacher_name TEXT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        ha.id as homework_id,
+        ha.title,
+        ha.content,
+        ha.homework_date,
+        ha.subjects,
+        fu.cdn_url as pdf_url,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', af.id,
+                'filename', af.filename,
+                'original_name', af.original_name,
+                'content_type', af.content_type,
+                'file_size', af.file_size,
+                'cdn_url', af.cdn_url
+            ) ORDER BY hat.position, hat.created_at)
+            FROM homework_attachments hat
+            JOIN file_uploads af ON af.id = hat.file_id
+            WHERE hat.homework_id = ha.id
+        ), '[]'::jsonb) as attachments,
+        CONCAT(u.first_name, ' ', u.last_name) as teacher_name
+    FROM homework_announcements ha
+    JOIN grade_sections gs ON ha.grade_section_id = gs.id
+    JOIN grade_section_enrollments gse ON gs.id = gse.grade_section_id
+    JOIN users u ON ha.teacher_id = u.id
+    LEFT JOIN file_uploads fu ON ha.pdf_file_id = fu.id
+    WHERE gse.student_id = student_uuid
+    AND gse.status = 'active'
+    AND ha.is_published = true
+    AND ha.homework_date BETWEEN start_date AND end_date
+    ORDER BY ha.homework_date DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 4: RLS - visible to the section teacher, admins and enrolled students of published homework
+ALTER TABLE homework_attachments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view relevant homework attachments" ON homework_attachments
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM homework_announcements ha
+            JOIN grade_sections gs ON gs.id = ha.grade_section_id
+            WHERE ha.id = homework_attachments.homework_id
+            AND (
+                gs.teacher_id = auth.uid() OR
+                EXISTS (
+                    SELECT 1 FROM users u
+                    WHERE u.id = auth.uid() AND u.role = 'admin'
+                ) OR
+                (ha.is_published = true AND EXISTS (
+                    SELECT 1 FROM grade_section_enrollments gse
+                    WHERE gse.grade_section_id = ha.grade_section_id
+                    AND gse.student_id = auth.uid()
+                    AND gse.status = 'active'
+                ))
+            )
+        )
+    );
+
+GRANT SELECT ON homework_attachments TO authenticated;
+GRANT EXECUTE ON FUNCTION get_student_homework(UUID, DATE, DATE) TO authenticated;
+
+COMMENT ON TABLE homework_attachments IS 'Files attached to a homework announcement, ordered by position';
+COMMENT ON COLUMN homework_announcements.pdf_file_id IS 'Deprecated: first PDF attachment, kept for older clients; see homework_attachments';
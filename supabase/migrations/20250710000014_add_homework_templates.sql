@@ -0,0 +1,48 @@
+-- Migration: 20250710000014_add_homework_templates.sql
+-- Reusable homework templates, and posting one homework to several grade
+-- sections at once (each section gets its own row, linked by batch_id).
+
+-- Step 1: Template store
+CREATE TABLE homework_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    title VARCHAR(255),
+    content TEXT,
+    subjects JSONB NOT NULL DEFAULT '[]'::jsonb, -- same shape as homework_announcements.subjects
+    is_shared BOOLEAN NOT NULL DEFAULT FALSE, -- visible to every teacher, not only the creator
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_homework_templates_created_by ON homework_templates(created_by);
+
+CREATE TRIGGER update_homework_templates_updated_at BEFORE UPDATE ON homework_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Origin of a homework item
+ALTER TABLE homework_announcements
+    ADD COLUMN batch_id UUID,
+    ADD COLUMN template_id UUID REFERENCES homework_templates(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_homework_announcements_batch ON homework_announcements(batch_id) WHERE batch_id IS NOT NULL;
+
+-- Step 3: RLS - creators and admins see everything they own, teachers see shared templates
+ALTER TABLE homework_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own or shared homework templates" ON homework_templates
+    FOR SELECT USING (
+        created_by = auth.uid() OR
+        is_shared = true OR
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role = 'admin'
+        )
+    );
+
+GRANT SELECT ON homework_templates TO authenticated;
+
+COMMENT ON TABLE homework_templates IS 'Reusable homework (title, standing instructions, subject list) for teachers and admins';
+COMMENT ON COLUMN homework_announcements.batch_id IS 'Shared by the copies of one homework posted to several grade sections at once';
+COMMENT ON COLUMN homework_announcements.template_id IS 'Template the homework was created from, if any';
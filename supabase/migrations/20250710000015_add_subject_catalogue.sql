@@ -0,0 +1,74 @@
+-- Migration: 20250710000015_add_subject_catalogue.sql
+-- Managed subject catalogue and the teacher of each subject per grade section.
+-- Homework subjects and class subjects are validated against the catalogue
+-- (once it has active subjects) and stored under the catalogue name, so
+-- "Math", "Maths" and "Mathematics" all become one subject via its aliases.
+
+-- Step 1: Subject catalogue
+CREATE TABLE subjects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL CHECK (LENGTH(TRIM(name)) > 0),
+    code VARCHAR(20),
+    aliases TEXT[] NOT NULL DEFAULT '{}', -- other spellings accepted on input
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_subjects_name ON subjects(LOWER(name));
+CREATE UNIQUE INDEX idx_subjects_code ON subjects(UPPER(code)) WHERE code IS NOT NULL;
+
+CREATE TRIGGER update_subjects_updated_at BEFORE UPDATE ON subjects
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Who teaches which subject in which grade section
+CREATE TABLE grade_section_subjects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grade_section_id UUID NOT NULL REFERENCES grade_sections(id) ON DELETE CASCADE,
+    subject_id UUID NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+    teacher_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(grade_section_id, subject_id)
+);
+
+CREATE INDEX idx_grade_section_subjects_teacher ON grade_section_subjects(teacher_id);
+
+CREATE TRIGGER update_grade_section_subjects_updated_at BEFORE UPDATE ON grade_section_subjects
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 3: RLS - the catalogue is readable by everyone signed in; mappings by
+-- the section's class teacher, the subject teacher, enrolled students and admins
+ALTER TABLE subjects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE grade_section_subjects ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view subjects" ON subjects
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Users can view relevant grade section subjects" ON grade_section_subjects
+    FOR SELECT USING (
+        teacher_id = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id = grade_section_subjects.grade_section_id
+            AND gs.teacher_id = auth.uid()
+        ) OR
+        EXISTS (
+            SELECT 1 FROM grade_section_enrollments gse
+            WHERE gse.grade_section_id = grade_section_subjects.grade_section_id
+            AND gse.student_id = auth.uid()
+            AND gse.status = 'active'
+        ) OR
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role = 'admin'
+        )
+    );
+
+GRANT SELECT ON subjects TO authenticated;
+GRANT SELECT ON grade_section_subjects TO authenticated;
+
+COMMENT ON TABLE subjects IS 'Managed subject catalogue; homework and class subjects are stored under these names';
+COMMENT ON COLUMN subjects.aliases IS 'Alternative spellings resolved to this subject (case-insensitive)';
+COMMENT ON TABLE grade_section_subjects IS 'Subjects taught in a grade section and their subject teacher';
@@ -0,0 +1,21 @@
+-- Migration: 20250710000016_add_calendar_feed_tokens.sql
+-- Secret tokens for subscribing to the homework iCalendar feed. Calendar apps
+-- cannot send a bearer token, so the feed URL carries one instead. Only a
+-- SHA-256 hash is stored; rotating the token invalidates the old URL.
+
+-- Step 1: One feed token per user
+CREATE TABLE calendar_feed_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ
+);
+
+-- Step 2: RLS - users can see their own token metadata
+ALTER TABLE calendar_feed_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own calendar feed token" ON calendar_feed_tokens
+    FOR SELECT USING (user_id = auth.uid());
+
+COMMENT ON TABLE calendar_feed_tokens IS 'Hashed secret tokens for the per-user homework iCalendar feed';
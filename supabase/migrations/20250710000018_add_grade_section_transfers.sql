@@ -0,0 +1,253 @@
+-- Migration: 20250710000018_add_grade_section_transfers.sql
+-- Mid-year transfers between grade sections. A transfer closes the student's
+-- enrollment in the old section the day before the effective date and opens
+-- one in the new section on it. Attendance keeps its grade_section_id, so
+-- days marked before the transfer stay with the old section.
+
+-- Step 1: Enrollment periods
+ALTER TABLE grade_section_enrollments
+    ADD COLUMN started_on DATE,
+    ADD COLUMN ended_on DATE;
+
+UPDATE grade_section_enrollments
+SET started_on = enrolled_at::DATE,
+    ended_on = ended_at::DATE
+WHERE started_on IS NULL;
+
+ALTER TABLE grade_section_enrollments
+    ALTER COLUMN started_on SET DEFAULT CURRENT_DATE,
+    ALTER COLUMN started_on SET NOT NULL;
+
+-- Archived enrollments that were not given an end date get the archive date
+CREATE OR REPLACE FUNCTION set_enrollment_ended_on()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status <> 'active' AND OLD.status = 'active' AND NEW.ended_on IS NULL THEN
+        NEW.ended_on = COALESCE(NEW.ended_at, NOW())::DATE;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_grade_section_enrollments_ended_on
+    BEFORE UPDATE ON grade_section_enrollments
+    FOR EACH ROW
+    EXECUTE FUNCTION set_enrollment_ended_on();
+
+ALTER TABLE grade_section_enrollments
+    DROP CONSTRAINT IF EXISTS grade_section_enrollments_end_reason_check,
+    ADD CONSTRAINT grade_section_enrollments_end_reason_check
+        CHECK (end_reason IN ('promoted', 'retained', 'graduated', 'withdrawn', 'transferred'));
+
+-- Step 2: A student can return to a section they left, so only one *active*
+-- enrollment per section and student is unique
+ALTER TABLE grade_section_enrollments
+    DROP CONSTRAINT IF EXISTS grade_section_enrollments_grade_section_id_student_id_key;
+
+CREATE UNIQUE INDEX idx_grade_section_enrollments_unique_active
+    ON grade_section_enrollments(grade_section_id, student_id)
+    WHERE status = 'active';
+
+COMMENT ON COLUMN grade_section_enrollments.started_on IS 'First school day in this grade section';
+COMMENT ON COLUMN grade_section_enrollments.ended_on IS 'Last school day in this grade section (NULL while active)';
+
+-- Step 3: Transfer log linking the closed and the opened enrollment
+CREATE TABLE grade_section_transfers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    from_enrollment_id UUID REFERENCES grade_section_enrollments(id) ON DELETE SET NULL,
+    to_enrollment_id UUID REFERENCES grade_section_enrollments(id) ON DELETE SET NULL,
+    from_grade_section_id UUID REFERENCES grade_sections(id) ON DELETE SET NULL,
+    to_grade_section_id UUID REFERENCES grade_sections(id) ON DELETE SET NULL,
+    effective_date DATE NOT NULL,
+    reason TEXT,
+    transferred_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_grade_section_transfers_student ON grade_section_transfers(student_id, effective_date DESC);
+
+ALTER TABLE grade_section_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers can view transfers of their grade sections" ON grade_section_transfers
+    FOR SELECT USING (
+        student_id = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM grade_sections gs
+            WHERE gs.id IN (grade_section_transfers.from_grade_section_id, grade_section_transfers.to_grade_section_id)
+            AND gs.teacher_id = auth.uid()
+        ) OR
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role = 'admin'
+        )
+    );
+
+-- Step 4: Transfer a student in one transaction
+CREATE OR REPLACE FUNCTION transfer_student_grade_section(
+    p_student_id UUID,
+    p_from_grade_section_id UUID,
+    p_to_grade_section_id UUID,
+    p_effective_date DATE,
+    p_reason TEXT,
+    p_transferred_by UUID
+)
+RETURNS UUID AS $$
+DECLARE
+    v_old grade_section_enrollments%ROWTYPE;
+    v_new_id UUID;
+    v_transfer_id UUID;
+BEGIN
+    SELECT * INTO v_old
+    FROM grade_section_enrollments
+    WHERE student_id = p_student_id
+    AND grade_section_id = p_from_grade_section_id
+    AND status = 'active'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Student is not actively enrolled in the grade section'
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_effective_date <= v_old.started_on THEN
+        RAISE EXCEPTION 'Effective date must be after the student joined the grade section (%)', v_old.started_on
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    UPDATE grade_section_enrollments
+    SET status = 'archived',
+        ended_at = NOW(),
+        ended_on = p_effective_date - 1,
+        end_reason = 'transferred'
+    WHERE id = v_old.id;
+
+    INSERT INTO grade_section_enrollments (grade_section_id, student_id, status, started_on)
+    VALUES (p_to_grade_section_id, p_student_id, 'active', p_effective_date)
+    RETURNING id INTO v_new_id;
+
+    INSERT INTO grade_section_transfers (
+        student_id, from_enrollment_id, to_enrollment_id,
+        from_grade_section_id, to_grade_section_id,
+        effective_date, reason, transferred_by
+    )
+    VALUES (
+        p_student_id, v_old.id, v_new_id,
+        p_from_grade_section_id, p_to_grade_section_id,
+        p_effective_date, p_reason, p_transferred_by
+    )
+    RETURNING id INTO v_transfer_id;
+
+    RETURN v_transfer_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API (service role) may transfer students
+REVOKE EXECUTE ON FUNCTION transfer_student_grade_section(UUID, UUID, UUID, DATE, TEXT, UUID) FROM PUBLIC;
+
+-- Step 5: The rollover no longer has a (grade_section_id, student_id) constraint
+-- to conflict on; use the active-enrollment index instead
+CREATE OR REPLACE FUNCTION apply_academic_year_rollover(
+    p_from_year VARCHAR(20),
+    p_to_year VARCHAR(20),
+    p_sections JSONB,
+    p_moves JSONB,
+    p_performed_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_section JSONB;
+    v_move JSONB;
+    v_source grade_sections%ROWTYPE;
+    v_new_id UUID;
+    v_created INTEGER := 0;
+    v_enrolled INTEGER := 0;
+    v_archived INTEGER := 0;
+    v_summary JSONB;
+BEGIN
+    IF EXISTS (SELECT 1 FROM academic_year_rollovers WHERE from_academic_year = p_from_year) THEN
+        RAISE EXCEPTION 'Academic year % has already been rolled over', p_from_year
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    -- Clone grade sections into the new year
+    FOR v_section IN SELECT * FROM jsonb_array_elements(p_sections) LOOP
+        SELECT * INTO v_source FROM grade_sections WHERE id = (v_section->>'source_id')::UUID;
+
+        SELECT id INTO v_new_id
+        FROM grade_sections
+        WHERE academic_year = p_to_year
+        AND grade_level = (v_section->>'grade_level')::INTEGER
+        AND section = v_section->>'section'
+        AND school_id IS NOT DISTINCT FROM v_source.school_id;
+
+        IF v_new_id IS NULL THEN
+            INSERT INTO grade_sections (school_id, grade_level, section, name, description, teacher_id, academic_year)
+            VALUES (
+                v_source.school_id,
+                (v_section->>'grade_level')::INTEGER,
+                v_section->>'section',
+                v_section->>'name',
+                v_source.description,
+                v_source.teacher_id,
+                p_to_year
+            )
+            RETURNING id INTO v_new_id;
+
+            INSERT INTO grade_section_subjects (grade_section_id, subject_id, teacher_id)
+            SELECT v_new_id, gss.subject_id, gss.teacher_id
+            FROM grade_section_subjects gss
+            WHERE gss.grade_section_id = v_source.id;
+
+            v_created := v_created + 1;
+        END IF;
+    END LOOP;
+
+    -- Archive the old year's enrollments and enroll students in the new year
+    FOR v_move IN SELECT * FROM jsonb_array_elements(p_moves) LOOP
+        UPDATE grade_section_enrollments
+        SET status = 'archived',
+            ended_at = NOW(),
+            end_reason = v_move->>'reason'
+        WHERE id = (v_move->>'enrollment_id')::UUID
+        AND status = 'active';
+
+        IF FOUND THEN
+            v_archived := v_archived + 1;
+        END IF;
+
+        IF v_move->>'grade_level' IS NOT NULL THEN
+            INSERT INTO grade_section_enrollments (grade_section_id, student_id, status)
+            SELECT gs.id, (v_move->>'student_id')::UUID, 'active'
+            FROM grade_sections gs
+            WHERE gs.academic_year = p_to_year
+            AND gs.grade_level = (v_move->>'grade_level')::INTEGER
+            AND gs.section = v_move->>'section'
+            LIMIT 1
+            ON CONFLICT (grade_section_id, student_id) WHERE status = 'active' DO NOTHING;
+
+            v_enrolled := v_enrolled + 1;
+        END IF;
+    END LOOP;
+
+    -- The old year's sections stay for history but leave the active lists
+    UPDATE grade_sections SET is_active = false WHERE academic_year = p_from_year;
+
+    v_summary := jsonb_build_object(
+        'sections_created', v_created,
+        'enrollments_archived', v_archived,
+        'students_enrolled', v_enrolled,
+        'promoted', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'promoted'),
+        'retained', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'retained'),
+        'graduated', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'graduated'),
+        'withdrawn', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'withdrawn')
+    );
+
+    INSERT INTO academic_year_rollovers (from_academic_year, to_academic_year, summary, performed_by)
+    VALUES (p_from_year, p_to_year, v_summary, p_performed_by);
+
+    RETURN v_summary;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE grade_section_transfers IS 'Mid-year transfers between grade sections, linking the closed and the opened enrollment';
@@ -0,0 +1,233 @@
+-- Migration: 20250710000019_add_grade_section_staff.sql
+-- Several teachers per grade section. grade_section_staff holds the class
+-- teacher and assistants; subject teachers come from grade_section_subjects.
+-- grade_sections.teacher_id stays the class teacher (it is kept in sync with
+-- grade_section_staff) so existing joins and embeds keep working.
+--
+-- Role permissions (enforced by the API, see lib/grade-section-staff.js):
+--   class_teacher   - everything in the section
+--   assistant       - view, mark attendance, post homework
+--   subject_teacher - view, post homework for their own subjects
+
+-- Step 1: Staff assignments
+CREATE TABLE grade_section_staff (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grade_section_id UUID NOT NULL REFERENCES grade_sections(id) ON DELETE CASCADE,
+    teacher_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('class_teacher', 'assistant')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(grade_section_id, teacher_id)
+);
+
+-- One class teacher per section
+CREATE UNIQUE INDEX idx_grade_section_staff_class_teacher ON grade_section_staff(grade_section_id)
+    WHERE role = 'class_teacher';
+CREATE INDEX idx_grade_section_staff_teacher ON grade_section_staff(teacher_id);
+
+INSERT INTO grade_section_staff (grade_section_id, teacher_id, role)
+SELECT id, teacher_id, 'class_teacher'
+FROM grade_sections
+WHERE teacher_id IS NOT NULL;
+
+ALTER TABLE grade_section_staff ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff assignments are viewable by teachers and admins" ON grade_section_staff
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role IN ('teacher', 'admin')
+        )
+    );
+
+-- Step 2: Keep the class teacher row in sync with grade_sections.teacher_id
+CREATE OR REPLACE FUNCTION sync_grade_section_class_teacher()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.teacher_id IS DISTINCT FROM NEW.teacher_id THEN
+        DELETE FROM grade_section_staff
+        WHERE grade_section_id = NEW.id AND role = 'class_teacher';
+    END IF;
+
+    IF NEW.teacher_id IS NOT NULL THEN
+        INSERT INTO grade_section_staff (grade_section_id, teacher_id, role)
+        VALUES (NEW.id, NEW.teacher_id, 'class_teacher')
+        ON CONFLICT (grade_section_id, teacher_id) DO UPDATE SET role = 'class_teacher';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_grade_sections_class_teacher
+    AFTER INSERT OR UPDATE OF teacher_id ON grade_sections
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_grade_section_class_teacher();
+
+-- Step 3: Every role a teacher has in a grade section (one row per subject for subject teachers)
+CREATE OR REPLACE VIEW grade_section_staff_roles AS
+SELECT gss.grade_section_id, gss.teacher_id, gss.role, NULL::UUID as subject_id
+FROM grade_section_staff gss
+UNION ALL
+SELECT gsub.grade_section_id, gsub.teacher_id, 'subject_teacher' as role, gsub.subject_id
+FROM grade_section_subjects gsub
+JOIN subjects s ON s.id = gsub.subject_id AND s.is_active = true
+WHERE gsub.teacher_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION teaches_grade_section(p_grade_section_id UUID, p_teacher_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM grade_section_staff_roles
+        WHERE grade_section_id = p_grade_section_id AND teacher_id = p_teacher_id
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Step 4: Dashboards list every section a teacher is on the staff of
+CREATE OR REPLACE FUNCTION get_grade_sections_overview(
+    p_user_id UUID,
+    p_user_role VARCHAR(20),
+    p_date DATE
+)
+RETURNS TABLE (
+    id UUID,
+    name VARCHAR(100),
+    grade_level INTEGER,
+    section VARCHAR(10),
+    teacher_name TEXT,
+    total_students BIGINT,
+    present_count BIGINT,
+    absent_count BIGINT,
+    late_count BIGINT,
+    excused_count BIGINT,
+    unmarked_count BIGINT,
+    attendance_rate DECIMAL(5,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH grade_section_stats AS (
+        SELECT 
+            gs.id,
+            gs.name,
+            gs.grade_level,
+            gs.section,
+            CONCAT(u.first_name, ' ', u.last_name) as teacher_name,
+            COUNT(DISTINCT gse.student_id) as total_students,
+            COUNT(CASE WHEN a.status = 'present' THEN 1 END) as present_count,
+            COUNT(CASE WHEN a.status = 'absent' THEN 1 END) as absent_count,
+            COUNT(CASE WHEN a.status = 'late' THEN 1 END) as late_count,
+            COUNT(CASE WHEN a.status = 'excused' THEN 1 END) as excused_count,
+            COUNT(CASE WHEN a.status = 'unmarked' OR a.status IS NULL THEN 1 END) as unmarked_count
+        FROM grade_sections gs
+        LEFT JOIN users u ON gs.teacher_id = u.id
+        LEFT JOIN grade_section_enrollments gse ON gs.id = gse.grade_section_id AND gse.status = 'active'
+        LEFT JOIN attendance a ON gse.student_id = a.student_id 
+            AND a.grade_section_id = gs.id 
+            AND a.date = p_date
+        WHERE gs.is_active = true
+        AND (
+            p_user_role = 'admin' OR 
+            (p_user_role = 'teacher' AND teaches_grade_section(gs.id, p_user_id)) OR
+            (p_user_role = 'student' AND gse.student_id = p_user_id)
+        )
+        GROUP BY gs.id, gs.name, gs.grade_level, gs.section, u.first_name, u.last_name
+    )
+    SELECT 
+        gss.id,
+        gss.name,
+        gss.grade_level,
+        gss.section,
+        gss.teacher_name,
+        gss.total_students,
+        gss.present_count,
+        gss.absent_count,
+        gss.late_count,
+        gss.excused_count,
+        gss.unmarked_count,
+        CASE 
+            WHEN gss.total_students > 0 THEN 
+                ROUND(((gss.present_count + gss.late_count + gss.excused_count)::DECIMAL / gss.total_students) * 100, 2)
+            ELSE 0 
+        END as attendance_rate
+    FROM grade_section_stats gss
+    ORDER BY gss.grade_level, gss.section;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_daily_attendance_summary(
+    p_date DATE,
+    p_user_id UUID,
+    p_user_role VARCHAR(20),
+    p_period_number INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    grade_section_name VARCHAR(100),
+    total_students BIGINT,
+    present_count BIGINT,
+    absent_count BIGINT,
+    late_count BIGINT,
+    excused_count BIGINT,
+    unmarked_count BIGINT,
+    attendance_rate DECIMAL(5,2)
+) AS $$
+DECLARE
+    v_instructional BOOLEAN := is_instructional_day(p_date);
+BEGIN
+    RETURN QUERY
+    WITH marks AS (
+        SELECT a.grade_section_id, a.student_id, a.status
+        FROM attendance a
+        WHERE p_period_number IS NULL
+            AND a.date = p_date
+        UNION ALL
+        SELECT pa.grade_section_id, pa.student_id, pa.status
+        FROM period_attendance pa
+        WHERE p_period_number IS NOT NULL
+            AND pa.date = p_date
+            AND pa.period_number = p_period_number
+    ),
+    attendance_summary AS (
+        SELECT
+            gs.id as grade_section_id,
+            gs.name as grade_section_name,
+            COUNT(DISTINCT gse.student_id) as total_students,
+            COUNT(CASE WHEN m.status = 'present' THEN 1 END) as present_count,
+            COUNT(CASE WHEN m.status = 'absent' THEN 1 END) as absent_count,
+            COUNT(CASE WHEN m.status = 'late' THEN 1 END) as late_count,
+            COUNT(CASE WHEN m.status = 'excused' THEN 1 END) as excused_count,
+            COUNT(CASE WHEN v_instructional AND (m.status = 'unmarked' OR m.status IS NULL) THEN 1 END) as unmarked_count
+        FROM grade_sections gs
+        LEFT JOIN grade_section_enrollments gse ON gs.id = gse.grade_section_id AND gse.status = 'active'
+        LEFT JOIN marks m ON gse.student_id = m.student_id
+            AND m.grade_section_id = gs.id
+        WHERE gs.is_active = true
+        AND (
+            p_user_role = 'admin' OR
+            (p_user_role = 'teacher' AND teaches_grade_section(gs.id, p_user_id))
+        )
+        GROUP BY gs.id, gs.name
+    )
+    SELECT
+        asummary.grade_section_id,
+        asummary.grade_section_name,
+        asummary.total_students,
+        asummary.present_count,
+        asummary.absent_count,
+        asummary.late_count,
+        asummary.excused_count,
+        asummary.unmarked_count,
+        CASE
+            WHEN asummary.total_students > 0 THEN
+                ROUND(((asummary.present_count + asummary.late_count + asummary.excused_count)::DECIMAL / asummary.total_students) * 100, 2)
+            ELSE 0
+        END as attendance_rate
+    FROM attendance_summary asummary
+    ORDER BY asummary.grade_section_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT SELECT ON grade_section_staff_roles TO authenticated;
+GRANT EXECUTE ON FUNCTION teaches_grade_section(UUID, UUID) TO authenticated;
+
+COMMENT ON TABLE grade_section_staff IS 'Class teacher and assistants of each grade section';
+COMMENT ON VIEW grade_section_staff_roles IS 'Staff roles per grade section, including subject teachers from grade_section_subjects';
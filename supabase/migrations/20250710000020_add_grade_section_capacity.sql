@@ -0,0 +1,240 @@
+-- Migration: 20250710000020_add_grade_section_capacity.sql
+-- Grade section capacity and waitlists. max_students caps the number of
+-- active enrollments (NULL = no limit). Students who do not fit can be put on
+-- the section's waitlist and admins promote them when places open up.
+-- Enrollment goes through enroll_grade_section_students, which locks the
+-- grade section so concurrent requests cannot overfill it.
+
+-- Step 1: Capacity
+ALTER TABLE grade_sections
+    ADD COLUMN max_students INTEGER CHECK (max_students IS NULL OR max_students > 0);
+
+COMMENT ON COLUMN grade_sections.max_students IS 'Maximum number of active enrollments (NULL = no limit)';
+
+-- Step 2: Waitlist, first come first served
+CREATE TABLE grade_section_waitlist (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grade_section_id UUID NOT NULL REFERENCES grade_sections(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'promoted', 'removed')),
+    notes TEXT,
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- A student waits at most once per section
+CREATE UNIQUE INDEX idx_grade_section_waitlist_waiting ON grade_section_waitlist(grade_section_id, student_id)
+    WHERE status = 'waiting';
+CREATE INDEX idx_grade_section_waitlist_queue ON grade_section_waitlist(grade_section_id, created_at)
+    WHERE status = 'waiting';
+
+ALTER TABLE grade_section_waitlist ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Section staff can view the waitlist" ON grade_section_waitlist
+    FOR SELECT USING (
+        student_id = auth.uid() OR
+        teaches_grade_section(grade_section_waitlist.grade_section_id, auth.uid()) OR
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role = 'admin'
+        )
+    );
+
+-- Step 3: Enroll students up to capacity.
+-- Students already actively enrolled are skipped. When the section cannot take
+-- everyone: with p_waitlist the rest are waitlisted in the given order,
+-- otherwise nobody is enrolled and 'full' is returned.
+CREATE OR REPLACE FUNCTION enroll_grade_section_students(
+    p_grade_section_id UUID,
+    p_student_ids UUID[],
+    p_waitlist BOOLEAN,
+    p_added_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_capacity INTEGER;
+    v_active INTEGER;
+    v_available INTEGER;
+    v_new UUID[];
+    v_already UUID[];
+    v_enroll UUID[];
+    v_wait UUID[];
+BEGIN
+    SELECT max_students INTO v_capacity
+    FROM grade_sections
+    WHERE id = p_grade_section_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Grade section not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    SELECT COUNT(*) INTO v_active
+    FROM grade_section_enrollments
+    WHERE grade_section_id = p_grade_section_id AND status = 'active';
+
+    SELECT
+        COALESCE(array_agg(s.id ORDER BY s.ord) FILTER (WHERE gse.id IS NULL), '{}'),
+        COALESCE(array_agg(s.id ORDER BY s.ord) FILTER (WHERE gse.id IS NOT NULL), '{}')
+    INTO v_new, v_already
+    FROM unnest(p_student_ids) WITH ORDINALITY AS s(id, ord)
+    LEFT JOIN grade_section_enrollments gse
+        ON gse.grade_section_id = p_grade_section_id
+        AND gse.student_id = s.id
+        AND gse.status = 'active';
+
+    v_available := CASE WHEN v_capacity IS NULL THEN cardinality(v_new) ELSE GREATEST(v_capacity - v_active, 0) END;
+
+    IF cardinality(v_new) > v_available AND NOT p_waitlist THEN
+        RETURN jsonb_build_object(
+            'full', true,
+            'capacity', v_capacity,
+            'active_count', v_active,
+            'available', v_available,
+            'enrolled', '[]'::jsonb,
+            'waitlisted', '[]'::jsonb,
+            'already_enrolled', to_jsonb(v_already)
+        );
+    END IF;
+
+    v_enroll := v_new[1:v_available];
+    v_wait := v_new[v_available + 1:cardinality(v_new)];
+
+    INSERT INTO grade_section_enrollments (grade_section_id, student_id, status)
+    SELECT p_grade_section_id, unnest(v_enroll), 'active';
+
+    -- Enrolled students leave this section's waitlist
+    UPDATE grade_section_waitlist
+    SET status = 'promoted', resolved_at = NOW(), resolved_by = p_added_by
+    WHERE grade_section_id = p_grade_section_id
+    AND student_id = ANY(v_enroll || v_already)
+    AND status = 'waiting';
+
+    INSERT INTO grade_section_waitlist (grade_section_id, student_id, added_by)
+    SELECT p_grade_section_id, unnest(v_wait), p_added_by
+    ON CONFLICT (grade_section_id, student_id) WHERE status = 'waiting' DO NOTHING;
+
+    RETURN jsonb_build_object(
+        'full', cardinality(v_wait) > 0,
+        'capacity', v_capacity,
+        'active_count', v_active + cardinality(v_enroll),
+        'available', v_available - cardinality(v_enroll),
+        'enrolled', to_jsonb(v_enroll),
+        'waitlisted', to_jsonb(v_wait),
+        'already_enrolled', to_jsonb(v_already)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 4: Promote waitlisted students into open places (oldest first, or the
+-- given students in the given order)
+CREATE OR REPLACE FUNCTION promote_grade_section_waitlist(
+    p_grade_section_id UUID,
+    p_student_ids UUID[],
+    p_promoted_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_queue UUID[];
+BEGIN
+    IF p_student_ids IS NULL THEN
+        SELECT COALESCE(array_agg(student_id ORDER BY created_at), '{}') INTO v_queue
+        FROM grade_section_waitlist
+        WHERE grade_section_id = p_grade_section_id AND status = 'waiting';
+    ELSE
+        SELECT COALESCE(array_agg(s.id ORDER BY s.ord), '{}') INTO v_queue
+        FROM unnest(p_student_ids) WITH ORDINALITY AS s(id, ord)
+        WHERE EXISTS (
+            SELECT 1 FROM grade_section_waitlist w
+            WHERE w.grade_section_id = p_grade_section_id
+            AND w.student_id = s.id
+            AND w.status = 'waiting'
+        );
+    END IF;
+
+    -- Waitlisted students stay waiting when no place is left
+    RETURN enroll_grade_section_students(p_grade_section_id, v_queue, true, p_promoted_by);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 5: Transfers respect the target section's capacity
+CREATE OR REPLACE FUNCTION transfer_student_grade_section(
+    p_student_id UUID,
+    p_from_grade_section_id UUID,
+    p_to_grade_section_id UUID,
+    p_effective_date DATE,
+    p_reason TEXT,
+    p_transferred_by UUID
+)
+RETURNS UUID AS $$
+DECLARE
+    v_old grade_section_enrollments%ROWTYPE;
+    v_new_id UUID;
+    v_transfer_id UUID;
+    v_capacity INTEGER;
+BEGIN
+    SELECT * INTO v_old
+    FROM grade_section_enrollments
+    WHERE student_id = p_student_id
+    AND grade_section_id = p_from_grade_section_id
+    AND status = 'active'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Student is not actively enrolled in the grade section'
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_effective_date <= v_old.started_on THEN
+        RAISE EXCEPTION 'Effective date must be after the student joined the grade section (%)', v_old.started_on
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- The target section must have a free place
+    SELECT max_students INTO v_capacity
+    FROM grade_sections
+    WHERE id = p_to_grade_section_id
+    FOR UPDATE;
+
+    IF v_capacity IS NOT NULL AND v_capacity <= (
+        SELECT COUNT(*) FROM grade_section_enrollments
+        WHERE grade_section_id = p_to_grade_section_id AND status = 'active'
+    ) THEN
+        RAISE EXCEPTION 'The target grade section is full (% students)', v_capacity
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    UPDATE grade_section_enrollments
+    SET status = 'archived',
+        ended_at = NOW(),
+        ended_on = p_effective_date - 1,
+        end_reason = 'transferred'
+    WHERE id = v_old.id;
+
+    INSERT INTO grade_section_enrollments (grade_section_id, student_id, status, started_on)
+    VALUES (p_to_grade_section_id, p_student_id, 'active', p_effective_date)
+    RETURNING id INTO v_new_id;
+
+    INSERT INTO grade_section_transfers (
+        student_id, from_enrollment_id, to_enrollment_id,
+        from_grade_section_id, to_grade_section_id,
+        effective_date, reason, transferred_by
+    )
+    VALUES (
+        p_student_id, v_old.id, v_new_id,
+        p_from_grade_section_id, p_to_grade_section_id,
+        p_effective_date, p_reason, p_transferred_by
+    )
+    RETURNING id INTO v_transfer_id;
+
+    RETURN v_transfer_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API (service role) may enroll through these functions
+REVOKE EXECUTE ON FUNCTION enroll_grade_section_students(UUID, UUID[], BOOLEAN, UUID) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION promote_grade_section_waitlist(UUID, UUID[], UUID) FROM PUBLIC;
+
+COMMENT ON TABLE grade_section_waitlist IS 'Students waiting for a place in a full grade section';
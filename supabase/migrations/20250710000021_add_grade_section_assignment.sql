@@ -0,0 +1,51 @@
+-- Migration: 20250710000021_add_grade_section_assignment.sql
+-- Apply an automatic section assignment (POST /api/grade-sections/auto-assign)
+-- in one transaction: either every proposed student is enrolled or, when a
+-- section filled up since the plan was made, nobody is.
+
+-- p_assignments: [{ "grade_section_id", "student_ids": [...] }]
+CREATE OR REPLACE FUNCTION assign_grade_section_students(
+    p_assignments JSONB,
+    p_assigned_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_assignment JSONB;
+    v_result JSONB;
+    v_enrolled INTEGER := 0;
+    v_already INTEGER := 0;
+BEGIN
+    -- Lock the sections in a fixed order so concurrent assignments cannot deadlock
+    PERFORM 1
+    FROM grade_sections
+    WHERE id IN (SELECT (a->>'grade_section_id')::UUID FROM jsonb_array_elements(p_assignments) a)
+    ORDER BY id
+    FOR UPDATE;
+
+    FOR v_assignment IN SELECT * FROM jsonb_array_elements(p_assignments) LOOP
+        v_result := enroll_grade_section_students(
+            (v_assignment->>'grade_section_id')::UUID,
+            ARRAY(SELECT jsonb_array_elements_text(v_assignment->'student_ids')::UUID),
+            false,
+            p_assigned_by
+        );
+
+        IF (v_result->>'full')::BOOLEAN THEN
+            RAISE EXCEPTION 'Grade section % no longer has enough free places', v_assignment->>'grade_section_id'
+                USING ERRCODE = 'check_violation';
+        END IF;
+
+        v_enrolled := v_enrolled + jsonb_array_length(v_result->'enrolled');
+        v_already := v_already + jsonb_array_length(v_result->'already_enrolled');
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'sections', jsonb_array_length(p_assignments),
+        'students_enrolled', v_enrolled,
+        'already_enrolled', v_already
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API (service role) may enroll through this function
+REVOKE EXECUTE ON FUNCTION assign_grade_section_students(JSONB, UUID) FROM PUBLIC;
@@ -0,0 +1,54 @@
+-- Migration: 20250710000022_update_grade_sections_students_batch.sql
+-- POST /api/grade-sections/students/batch fetches every section's students
+-- with this one function instead of one get_grade_section_students call per
+-- section. It now also returns the register position (roll number), photo and
+-- enrollment of each student. The return type changes, so the function is
+-- dropped and recreated.
+
+DROP FUNCTION IF EXISTS get_grade_sections_students_batch(UUID[]);
+
+CREATE OR REPLACE FUNCTION get_grade_sections_students_batch(
+    p_grade_section_ids UUID[]
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    profile_image_url TEXT,
+    roll_number INTEGER,
+    enrollment_id UUID,
+    started_on DATE,
+    enrollment_status VARCHAR(20)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        gse.grade_section_id,
+        u.id AS student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        u.profile_image_url,
+        ROW_NUMBER() OVER (
+            PARTITION BY gse.grade_section_id
+            ORDER BY u.first_name, u.last_name, u.id
+        )::INTEGER AS roll_number,
+        gse.id AS enrollment_id,
+        gse.started_on,
+        gse.status AS enrollment_status
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    WHERE gse.grade_section_id = ANY(p_grade_section_ids)
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gse.grade_section_id, u.first_name, u.last_name, u.id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API (service role) may read students in bulk; it checks section access
+REVOKE EXECUTE ON FUNCTION get_grade_sections_students_batch(UUID[]) FROM PUBLIC;
+
+COMMENT ON FUNCTION get_grade_sections_students_batch IS 'Active students of several grade sections in register order, in one call';
@@ -0,0 +1,320 @@
+-- Migration: 20250710000023_add_enrollment_roll_numbers.sql
+-- Roll numbers: each active enrollment has a position in its grade section's
+-- register. Existing sections are numbered alphabetically, students who join
+-- later get the next free number, and a section can be renumbered
+-- (alphabetically or by admission date) or have single numbers set by hand.
+-- Attendance listings, the register export and the student lists are ordered
+-- by roll number.
+
+-- Step 1: Roll number per enrollment, unique among a section's active enrollments
+ALTER TABLE grade_section_enrollments
+    ADD COLUMN roll_number INTEGER CHECK (roll_number > 0);
+
+CREATE UNIQUE INDEX idx_grade_section_enrollments_roll_number
+    ON grade_section_enrollments(grade_section_id, roll_number)
+    WHERE status = 'active' AND roll_number IS NOT NULL;
+
+COMMENT ON COLUMN grade_section_enrollments.roll_number IS 'Position in the grade section register (unique among active enrollments)';
+
+-- Step 2: Number existing active enrollments alphabetically
+UPDATE grade_section_enrollments gse
+SET roll_number = numbered.roll_number
+FROM (
+    SELECT e.id, ROW_NUMBER() OVER (
+        PARTITION BY e.grade_section_id
+        ORDER BY u.first_name, u.last_name, u.id
+    ) AS roll_number
+    FROM grade_section_enrollments e
+    INNER JOIN users u ON u.id = e.student_id
+    WHERE e.status = 'active'
+) numbered
+WHERE gse.id = numbered.id;
+
+-- Step 3: New active enrollments get the section's next roll number. The
+-- grade section row is locked so concurrent enrollments cannot take the
+-- same number.
+CREATE OR REPLACE FUNCTION set_enrollment_roll_number()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'active' AND NEW.roll_number IS NULL THEN
+        PERFORM 1 FROM grade_sections WHERE id = NEW.grade_section_id FOR UPDATE;
+
+        SELECT COALESCE(MAX(roll_number), 0) + 1 INTO NEW.roll_number
+        FROM grade_section_enrollments
+        WHERE grade_section_id = NEW.grade_section_id
+        AND status = 'active';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_grade_section_enrollments_roll_number
+    BEFORE INSERT ON grade_section_enrollments
+    FOR EACH ROW
+    EXECUTE FUNCTION set_enrollment_roll_number();
+
+-- Step 4: Renumber a grade section from 1.
+-- p_order: 'alphabetical' (first name, last name) or 'admission' (date joined)
+CREATE OR REPLACE FUNCTION assign_grade_section_roll_numbers(
+    p_grade_section_id UUID,
+    p_order VARCHAR(20)
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    IF p_order NOT IN ('alphabetical', 'admission') THEN
+        RAISE EXCEPTION 'Unknown roll number order: %', p_order
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    PERFORM 1 FROM grade_sections WHERE id = p_grade_section_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Grade section not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    -- Clear first: the unique index is checked row by row
+    UPDATE grade_section_enrollments
+    SET roll_number = NULL
+    WHERE grade_section_id = p_grade_section_id AND status = 'active';
+
+    UPDATE grade_section_enrollments gse
+    SET roll_number = numbered.roll_number
+    FROM (
+        SELECT e.id, ROW_NUMBER() OVER (
+            ORDER BY
+                CASE WHEN p_order = 'admission' THEN e.started_on END,
+                CASE WHEN p_order = 'admission' THEN e.enrolled_at END,
+                u.first_name, u.last_name, u.id
+        ) AS roll_number
+        FROM grade_section_enrollments e
+        INNER JOIN users u ON u.id = e.student_id
+        WHERE e.grade_section_id = p_grade_section_id
+        AND e.status = 'active'
+    ) numbered
+    WHERE gse.id = numbered.id;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API (service role) may renumber grade sections
+REVOKE EXECUTE ON FUNCTION assign_grade_section_roll_numbers(UUID, VARCHAR(20)) FROM PUBLIC;
+
+-- Step 5: Listings in roll order. The return types change, so the functions
+-- are dropped and recreated (with their previous grants).
+DROP FUNCTION IF EXISTS get_grade_section_students(UUID);
+
+CREATE OR REPLACE FUNCTION get_grade_section_students(grade_section_uuid UUID)
+RETURNS TABLE (
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    roll_number INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        gse.roll_number
+    FROM users u
+    JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    WHERE gse.grade_section_id = grade_section_uuid
+    AND gse.status = 'active'
+    AND u.role = 'student'
+    AND u.status = 'active'
+    ORDER BY gse.roll_number NULLS LAST, u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION get_grade_section_students(UUID) TO authenticated;
+
+DROP FUNCTION IF EXISTS get_grade_section_attendance(UUID, DATE);
+
+CREATE OR REPLACE FUNCTION get_grade_section_attendance(
+    p_grade_section_id UUID,
+    p_date DATE
+)
+RETURNS TABLE (
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    roll_number INTEGER,
+    attendance_id UUID,
+    status VARCHAR(20),
+    notes TEXT,
+    marked_at TIMESTAMPTZ,
+    check_in_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        gse.roll_number,
+        a.id as attendance_id,
+        COALESCE(a.status, 'unmarked') as status,
+        a.notes,
+        a.marked_at,
+        a.check_in_at
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    LEFT JOIN attendance a ON u.id = a.student_id
+        AND a.grade_section_id = p_grade_section_id
+        AND a.date = p_date
+    WHERE gse.grade_section_id = p_grade_section_id
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gse.roll_number NULLS LAST, u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP FUNCTION IF EXISTS get_grade_section_period_attendance(UUID, DATE, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_grade_section_period_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_period_number INTEGER
+)
+RETURNS TABLE (
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    roll_number INTEGER,
+    attendance_id UUID,
+    period_number INTEGER,
+    status VARCHAR(20),
+    notes TEXT,
+    marked_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        gse.roll_number,
+        pa.id as attendance_id,
+        p_period_number as period_number,
+        COALESCE(pa.status, 'unmarked') as status,
+        pa.notes,
+        pa.marked_at
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    LEFT JOIN period_attendance pa ON u.id = pa.student_id
+        AND pa.grade_section_id = p_grade_section_id
+        AND pa.date = p_date
+        AND pa.period_number = p_period_number
+    WHERE gse.grade_section_id = p_grade_section_id
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gse.roll_number NULLS LAST, u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_grade_section_period_attendance(UUID, DATE, INTEGER) TO authenticated;
+
+DROP FUNCTION IF EXISTS get_attendance_register(UUID, DATE, DATE);
+
+CREATE OR REPLACE FUNCTION get_attendance_register(
+    p_grade_section_id UUID,
+    p_start_date DATE,
+    p_end_date DATE
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    grade_section_name VARCHAR(100),
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    roll_number INTEGER,
+    date DATE,
+    status VARCHAR(20)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        gs.id as grade_section_id,
+        gs.name as grade_section_name,
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        gse.roll_number,
+        a.date,
+        a.status
+    FROM grade_section_enrollments gse
+    INNER JOIN grade_sections gs ON gs.id = gse.grade_section_id
+    INNER JOIN users u ON u.id = gse.student_id
+    LEFT JOIN attendance a ON a.student_id = gse.student_id
+        AND a.grade_section_id = gse.grade_section_id
+        AND a.date BETWEEN p_start_date AND p_end_date
+    WHERE (p_grade_section_id IS NULL OR gse.grade_section_id = p_grade_section_id)
+        AND gs.is_active = true
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gs.grade_level, gs.section, gse.roll_number NULLS LAST, u.first_name, u.last_name, a.date;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_attendance_register(UUID, DATE, DATE) TO authenticated;
+
+-- Same return type, so the batch function is simply replaced
+CREATE OR REPLACE FUNCTION get_grade_sections_students_batch(
+    p_grade_section_ids UUID[]
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    profile_image_url TEXT,
+    roll_number INTEGER,
+    enrollment_id UUID,
+    started_on DATE,
+    enrollment_status VARCHAR(20)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        gse.grade_section_id,
+        u.id AS student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        u.profile_image_url,
+        gse.roll_number,
+        gse.id AS enrollment_id,
+        gse.started_on,
+        gse.status AS enrollment_status
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    WHERE gse.grade_section_id = ANY(p_grade_section_ids)
+        AND gse.status = 'active'
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gse.grade_section_id, gse.roll_number NULLS LAST, u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION assign_grade_section_roll_numbers IS 'Renumber the active enrollments of a grade section alphabetically or by admission date';
+COMMENT ON FUNCTION get_grade_section_students IS 'Active students of a grade section in roll number order';
+COMMENT ON FUNCTION get_grade_section_attendance IS 'Get students with attendance status (and check-in time) for a grade section on a specific date, in roll number order';
+COMMENT ON FUNCTION get_grade_section_period_attendance IS 'Get students with attendance status for one period of a grade section on a date, in roll number order';
+COMMENT ON FUNCTION get_attendance_register IS 'Get daily attendance marks for every active student of a grade section (or all sections when NULL) over a date range, in roll number order';
@@ -0,0 +1,216 @@
+-- Migration: 20250710000024_use_enrollment_periods_in_rosters.sql
+-- Rosters and registers follow enrollment periods instead of the current
+-- enrollment status. A student who was transferred still appears in the old
+-- section's register for the days they were in it, and only appears in the
+-- new section from the day they joined. Return types are unchanged.
+
+-- Step 1: Students of a grade section on a date
+CREATE OR REPLACE FUNCTION get_grade_section_attendance(
+    p_grade_section_id UUID,
+    p_date DATE
+)
+RETURNS TABLE (
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    roll_number INTEGER,
+    attendance_id UUID,
+    status VARCHAR(20),
+    notes TEXT,
+    marked_at TIMESTAMPTZ,
+    check_in_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        gse.roll_number,
+        a.id as attendance_id,
+        COALESCE(a.status, 'unmarked') as status,
+        a.notes,
+        a.marked_at,
+        a.check_in_at
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    LEFT JOIN attendance a ON u.id = a.student_id
+        AND a.grade_section_id = p_grade_section_id
+        AND a.date = p_date
+    WHERE gse.grade_section_id = p_grade_section_id
+        AND gse.started_on <= p_date
+        AND (gse.ended_on IS NULL OR gse.ended_on >= p_date)
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gse.roll_number NULLS LAST, u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_grade_section_period_attendance(
+    p_grade_section_id UUID,
+    p_date DATE,
+    p_period_number INTEGER
+)
+RETURNS TABLE (
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    roll_number INTEGER,
+    attendance_id UUID,
+    period_number INTEGER,
+    status VARCHAR(20),
+    notes TEXT,
+    marked_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        gse.roll_number,
+        pa.id as attendance_id,
+        p_period_number as period_number,
+        COALESCE(pa.status, 'unmarked') as status,
+        pa.notes,
+        pa.marked_at
+    FROM users u
+    INNER JOIN grade_section_enrollments gse ON u.id = gse.student_id
+    LEFT JOIN period_attendance pa ON u.id = pa.student_id
+        AND pa.grade_section_id = p_grade_section_id
+        AND pa.date = p_date
+        AND pa.period_number = p_period_number
+    WHERE gse.grade_section_id = p_grade_section_id
+        AND gse.started_on <= p_date
+        AND (gse.ended_on IS NULL OR gse.ended_on >= p_date)
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gse.roll_number NULLS LAST, u.first_name, u.last_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 2: Register over a date range: every enrollment overlapping the range,
+-- with marks limited to the days of that enrollment
+CREATE OR REPLACE FUNCTION get_attendance_register(
+    p_grade_section_id UUID,
+    p_start_date DATE,
+    p_end_date DATE
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    grade_section_name VARCHAR(100),
+    student_id UUID,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    email VARCHAR(255),
+    roll_number INTEGER,
+    date DATE,
+    status VARCHAR(20)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        gs.id as grade_section_id,
+        gs.name as grade_section_name,
+        u.id as student_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        gse.roll_number,
+        a.date,
+        a.status
+    FROM grade_section_enrollments gse
+    INNER JOIN grade_sections gs ON gs.id = gse.grade_section_id
+    INNER JOIN users u ON u.id = gse.student_id
+    LEFT JOIN attendance a ON a.student_id = gse.student_id
+        AND a.grade_section_id = gse.grade_section_id
+        AND a.date BETWEEN GREATEST(p_start_date, gse.started_on) AND LEAST(p_end_date, COALESCE(gse.ended_on, p_end_date))
+    WHERE (p_grade_section_id IS NULL OR gse.grade_section_id = p_grade_section_id)
+        AND gs.is_active = true
+        AND gse.started_on <= p_end_date
+        AND (gse.ended_on IS NULL OR gse.ended_on >= p_start_date)
+        AND u.role = 'student'
+        AND u.status = 'active'
+    ORDER BY gs.grade_level, gs.section, gse.roll_number NULLS LAST, u.first_name, u.last_name, a.date;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: Daily summary counts the students enrolled on that date
+CREATE OR REPLACE FUNCTION get_daily_attendance_summary(
+    p_date DATE,
+    p_user_id UUID,
+    p_user_role VARCHAR(20),
+    p_period_number INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+    grade_section_id UUID,
+    grade_section_name VARCHAR(100),
+    total_students BIGINT,
+    present_count BIGINT,
+    absent_count BIGINT,
+    late_count BIGINT,
+    excused_count BIGINT,
+    unmarked_count BIGINT,
+    attendance_rate DECIMAL(5,2)
+) AS $$
+DECLARE
+    v_instructional BOOLEAN := is_instructional_day(p_date);
+BEGIN
+    RETURN QUERY
+    WITH marks AS (
+        SELECT a.grade_section_id, a.student_id, a.status
+        FROM attendance a
+        WHERE p_period_number IS NULL
+            AND a.date = p_date
+        UNION ALL
+        SELECT pa.grade_section_id, pa.student_id, pa.status
+        FROM period_attendance pa
+        WHERE p_period_number IS NOT NULL
+            AND pa.date = p_date
+            AND pa.period_number = p_period_number
+    ),
+    attendance_summary AS (
+        SELECT
+            gs.id as grade_section_id,
+            gs.name as grade_section_name,
+            COUNT(DISTINCT gse.student_id) as total_students,
+            COUNT(CASE WHEN m.status = 'present' THEN 1 END) as present_count,
+            COUNT(CASE WHEN m.status = 'absent' THEN 1 END) as absent_count,
+            COUNT(CASE WHEN m.status = 'late' THEN 1 END) as late_count,
+            COUNT(CASE WHEN m.status = 'excused' THEN 1 END) as excused_count,
+            COUNT(CASE WHEN v_instructional AND (m.status = 'unmarked' OR m.status IS NULL) THEN 1 END) as unmarked_count
+        FROM grade_sections gs
+        LEFT JOIN grade_section_enrollments gse ON gs.id = gse.grade_section_id
+            AND gse.started_on <= p_date
+            AND (gse.ended_on IS NULL OR gse.ended_on >= p_date)
+        LEFT JOIN marks m ON gse.student_id = m.student_id
+            AND m.grade_section_id = gs.id
+        WHERE gs.is_active = true
+        AND (
+            p_user_role = 'admin' OR
+            (p_user_role = 'teacher' AND teaches_grade_section(gs.id, p_user_id))
+        )
+        GROUP BY gs.id, gs.name
+    )
+    SELECT
+        asummary.grade_section_id,
+        asummary.grade_section_name,
+        asummary.total_students,
+        asummary.present_count,
+        asummary.absent_count,
+        asummary.late_count,
+        asummary.excused_count,
+        asummary.unmarked_count,
+        CASE
+            WHEN asummary.total_students > 0 THEN
+                ROUND(((asummary.present_count + asummary.late_count + asummary.excused_count)::DECIMAL / asummary.total_students) * 100, 2)
+            ELSE 0
+        END as attendance_rate
+    FROM attendance_summary asummary
+    ORDER BY asummary.grade_section_name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,31 @@
+-- Migration: 20250710000025_add_parent_student_links.sql
+-- Links parent accounts to their children, so a parent can act for a linked
+-- student (e.g. submit a leave request) and nobody else.
+
+CREATE TABLE parent_student_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    parent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    relationship VARCHAR(30),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(parent_id, student_id),
+    CHECK (parent_id <> student_id)
+);
+
+CREATE INDEX idx_parent_student_links_student ON parent_student_links(student_id);
+
+ALTER TABLE parent_student_links ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Parents and students can view their links" ON parent_student_links
+    FOR SELECT USING (
+        parent_id = auth.uid() OR
+        student_id = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = auth.uid() AND u.role = 'admin'
+        )
+    );
+
+COMMENT ON TABLE parent_student_links IS 'Parent accounts and the students (children) they may act for';
+COMMENT ON COLUMN parent_student_links.relationship IS 'Free text, e.g. mother, father, guardian';
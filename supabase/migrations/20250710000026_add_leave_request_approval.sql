@@ -0,0 +1,52 @@
+-- Migration: 20250710000026_add_leave_request_approval.sql
+-- Approve a leave request and mark its days as 'excused' in one transaction:
+-- either every day is marked and the request is approved, or nothing changes.
+
+CREATE OR REPLACE FUNCTION approve_leave_request(
+    p_leave_request_id UUID,
+    p_dates DATE[],
+    p_reviewed_by UUID,
+    p_review_notes TEXT
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_request leave_requests%ROWTYPE;
+BEGIN
+    -- Claim the pending request so concurrent reviews cannot both apply
+    UPDATE leave_requests
+    SET status = 'approved',
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        review_notes = p_review_notes,
+        days_excused = cardinality(p_dates)
+    WHERE id = p_leave_request_id
+    AND status = 'pending'
+    RETURNING * INTO v_request;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Leave request is not pending'
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    PERFORM set_config('attendance.change_source', 'leave-request', true);
+
+    INSERT INTO attendance (grade_section_id, student_id, date, status, notes, marked_by)
+    SELECT v_request.grade_section_id, v_request.student_id, d, 'excused',
+        'Excused - leave request ' || v_request.id, p_reviewed_by
+    FROM unnest(p_dates) AS d
+    ON CONFLICT (student_id, grade_section_id, date)
+    DO UPDATE SET
+        status = EXCLUDED.status,
+        notes = EXCLUDED.notes,
+        marked_by = EXCLUDED.marked_by,
+        marked_at = NOW(),
+        updated_at = NOW();
+
+    RETURN cardinality(p_dates);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API (service role) may approve leave requests; it checks the edit lock
+REVOKE EXECUTE ON FUNCTION approve_leave_request(UUID, DATE[], UUID, TEXT) FROM PUBLIC;
+
+COMMENT ON FUNCTION approve_leave_request IS 'Approve a pending leave request and mark its instructional days as excused atomically';
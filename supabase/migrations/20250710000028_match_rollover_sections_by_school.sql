@@ -0,0 +1,112 @@
+-- Migration: 20250710000028_match_rollover_sections_by_school.sql
+-- The academic year rollover enrolls each promoted or retained student in the
+-- new year's section of the same school, grade level and section letter.
+-- Grade level and section alone can match sections of several schools.
+
+CREATE OR REPLACE FUNCTION apply_academic_year_rollover(
+    p_from_year VARCHAR(20),
+    p_to_year VARCHAR(20),
+    p_sections JSONB,
+    p_moves JSONB,
+    p_performed_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_section JSONB;
+    v_move JSONB;
+    v_source grade_sections%ROWTYPE;
+    v_new_id UUID;
+    v_target_id UUID;
+    v_created INTEGER := 0;
+    v_enrolled INTEGER := 0;
+    v_archived INTEGER := 0;
+    v_summary JSONB;
+BEGIN
+    IF EXISTS (SELECT 1 FROM academic_year_rollovers WHERE from_academic_year = p_from_year) THEN
+        RAISE EXCEPTION 'Academic year % has already been rolled over', p_from_year
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    -- Clone grade sections into the new year
+    FOR v_section IN SELECT * FROM jsonb_array_elements(p_sections) LOOP
+        SELECT * INTO v_source FROM grade_sections WHERE id = (v_section->>'source_id')::UUID;
+
+        SELECT id INTO v_new_id
+        FROM grade_sections
+        WHERE academic_year = p_to_year
+        AND grade_level = (v_section->>'grade_level')::INTEGER
+        AND section = v_section->>'section'
+        AND school_id IS NOT DISTINCT FROM v_source.school_id;
+
+        IF v_new_id IS NULL THEN
+            INSERT INTO grade_sections (school_id, grade_level, section, name, description, teacher_id, academic_year, max_students)
+            VALUES (
+                v_source.school_id,
+                (v_section->>'grade_level')::INTEGER,
+                v_section->>'section',
+                v_section->>'name',
+                v_source.description,
+                v_source.teacher_id,
+                p_to_year,
+                v_source.max_students
+            )
+            RETURNING id INTO v_new_id;
+
+            INSERT INTO grade_section_subjects (grade_section_id, subject_id, teacher_id)
+            SELECT v_new_id, gss.subject_id, gss.teacher_id
+            FROM grade_section_subjects gss
+            WHERE gss.grade_section_id = v_source.id;
+
+            v_created := v_created + 1;
+        END IF;
+    END LOOP;
+
+    -- Archive the old year's enrollments and enroll students in the new year
+    FOR v_move IN SELECT * FROM jsonb_array_elements(p_moves) LOOP
+        UPDATE grade_section_enrollments
+        SET status = 'archived',
+            ended_at = NOW(),
+            end_reason = v_move->>'reason'
+        WHERE id = (v_move->>'enrollment_id')::UUID
+        AND status = 'active';
+
+        IF FOUND THEN
+            v_archived := v_archived + 1;
+        END IF;
+
+        IF v_move->>'grade_level' IS NOT NULL THEN
+            -- STRICT: a missing or ambiguous target section aborts the rollover
+            SELECT gs.id INTO STRICT v_target_id
+            FROM grade_sections gs
+            WHERE gs.academic_year = p_to_year
+            AND gs.school_id IS NOT DISTINCT FROM (v_move->>'school_id')::UUID
+            AND gs.grade_level = (v_move->>'grade_level')::INTEGER
+            AND gs.section = v_move->>'section';
+
+            INSERT INTO grade_section_enrollments (grade_section_id, student_id, status)
+            VALUES (v_target_id, (v_move->>'student_id')::UUID, 'active')
+            ON CONFLICT (grade_section_id, student_id) WHERE status = 'active' DO NOTHING;
+
+            v_enrolled := v_enrolled + 1;
+        END IF;
+    END LOOP;
+
+    -- The old year's sections stay for history but leave the active lists
+    UPDATE grade_sections SET is_active = false WHERE academic_year = p_from_year;
+
+    v_summary := jsonb_build_object(
+        'sections_created', v_created,
+        'enrollments_archived', v_archived,
+        'students_enrolled', v_enrolled,
+        'promoted', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'promoted'),
+        'retained', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'retained'),
+        'graduated', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'graduated'),
+        'withdrawn', (SELECT COUNT(*) FROM jsonb_array_elements(p_moves) m WHERE m->>'reason' = 'withdrawn')
+    );
+
+    INSERT INTO academic_year_rollovers (from_academic_year, to_academic_year, summary, performed_by)
+    VALUES (p_from_year, p_to_year, v_summary, p_performed_by);
+
+    RETURN v_summary;
+END;
+$$ LANGUAGE plpgsql;
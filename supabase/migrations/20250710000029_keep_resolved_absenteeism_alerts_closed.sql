@@ -0,0 +1,131 @@
+-- Migration: 20250710000029_keep_resolved_absenteeism_alerts_closed.sql
+-- A resolved absenteeism alert stays resolved while the absences that raised
+-- it are still inside the rolling window. The detector only opens a new alert
+-- of the same type once the student has been absent again after the day the
+-- alert was resolved, so teachers are not notified again every day.
+
+CREATE OR REPLACE FUNCTION detect_chronic_absenteeism(
+    p_as_of DATE,
+    p_window_days INTEGER,
+    p_rate_threshold DECIMAL,
+    p_consecutive_absences INTEGER
+)
+RETURNS SETOF attendance_alerts AS $$
+DECLARE
+    v_window_start DATE;
+BEGIN
+    IF p_as_of IS NULL OR p_window_days IS NULL OR p_window_days < 1 THEN
+        RAISE EXCEPTION 'Invalid detector parameters';
+    END IF;
+
+    -- Look back far enough to cover p_window_days school days across weekends and holidays
+    SELECT MIN(w.instructional_date) INTO v_window_start
+    FROM (
+        SELECT d.instructional_date
+        FROM get_instructional_days(p_as_of - (p_window_days * 3 + 60), p_as_of) d
+        ORDER BY d.instructional_date DESC
+        LIMIT p_window_days
+    ) w;
+
+    IF v_window_start IS NULL THEN
+        RETURN;
+    END IF;
+
+    CREATE TEMP TABLE IF NOT EXISTS tmp_absenteeism_candidates (
+        student_id UUID,
+        grade_section_id UUID,
+        alert_type VARCHAR(30),
+        attendance_rate DECIMAL(5,2),
+        consecutive_absences INTEGER
+    ) ON COMMIT DROP;
+    TRUNCATE tmp_absenteeism_candidates;
+
+    INSERT INTO tmp_absenteeism_candidates
+    WITH marks AS (
+        SELECT a.student_id, a.grade_section_id, a.date, a.status
+        FROM attendance a
+        INNER JOIN get_instructional_days(v_window_start, p_as_of) d ON d.instructional_date = a.date
+        INNER JOIN grade_section_enrollments gse ON gse.student_id = a.student_id
+            AND gse.grade_section_id = a.grade_section_id
+            AND gse.status = 'active'
+        INNER JOIN grade_sections gs ON gs.id = a.grade_section_id AND gs.is_active = true
+        WHERE a.status <> 'unmarked'
+    ),
+    per_student AS (
+        SELECT
+            m.student_id,
+            m.grade_section_id,
+            ROUND((COUNT(*) FILTER (WHERE m.status IN ('present', 'late', 'excused'))::DECIMAL / COUNT(*)) * 100, 2) as attendance_rate,
+            MAX(m.date) FILTER (WHERE m.status <> 'absent') as last_attended
+        FROM marks m
+        GROUP BY m.student_id, m.grade_section_id
+    ),
+    streaks AS (
+        SELECT
+            ps.student_id,
+            ps.grade_section_id,
+            ps.attendance_rate,
+            (
+                SELECT COUNT(*)::INTEGER FROM marks m
+                WHERE m.student_id = ps.student_id
+                    AND m.grade_section_id = ps.grade_section_id
+                    AND m.status = 'absent'
+                    AND (ps.last_attended IS NULL OR m.date > ps.last_attended)
+            ) as consecutive_absences
+        FROM per_student ps
+    )
+    SELECT s.student_id, s.grade_section_id, 'low_attendance_rate', s.attendance_rate, s.consecutive_absences
+    FROM streaks s
+    WHERE p_rate_threshold IS NOT NULL AND s.attendance_rate < p_rate_threshold
+    UNION ALL
+    SELECT s.student_id, s.grade_section_id, 'consecutive_absences', s.attendance_rate, s.consecutive_absences
+    FROM streaks s
+    WHERE p_consecutive_absences IS NOT NULL AND s.consecutive_absences >= p_consecutive_absences;
+
+    -- Refresh alerts that are still open or acknowledged
+    UPDATE attendance_alerts aa
+    SET attendance_rate = c.attendance_rate,
+        consecutive_absences = c.consecutive_absences,
+        window_start = v_window_start,
+        window_end = p_as_of,
+        last_detected_at = NOW()
+    FROM tmp_absenteeism_candidates c
+    WHERE aa.student_id = c.student_id
+        AND aa.grade_section_id = c.grade_section_id
+        AND aa.alert_type = c.alert_type
+        AND aa.status <> 'resolved';
+
+    -- A resolved alert is only raised again for absences after its resolution
+    DELETE FROM tmp_absenteeism_candidates c
+    WHERE EXISTS (
+        SELECT 1 FROM attendance_alerts aa
+        WHERE aa.student_id = c.student_id
+            AND aa.grade_section_id = c.grade_section_id
+            AND aa.alert_type = c.alert_type
+            AND aa.status = 'resolved'
+            AND NOT EXISTS (
+                SELECT 1 FROM attendance a
+                WHERE a.student_id = c.student_id
+                    AND a.grade_section_id = c.grade_section_id
+                    AND a.status = 'absent'
+                    AND a.date > aa.resolved_at::DATE
+            )
+    );
+
+    RETURN QUERY
+    WITH opened AS (
+        INSERT INTO attendance_alerts (
+            student_id, grade_section_id, alert_type, attendance_rate,
+            consecutive_absences, window_start, window_end
+        )
+        SELECT c.student_id, c.grade_section_id, c.alert_type, c.attendance_rate,
+            c.consecutive_absences, v_window_start, p_as_of
+        FROM tmp_absenteeism_candidates c
+        ON CONFLICT (student_id, grade_section_id, alert_type) WHERE status <> 'resolved' DO NOTHING
+        RETURNING *
+    )
+    SELECT * FROM opened;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION detect_chronic_absenteeism IS 'Open alerts for students below the attendance-rate threshold or with N consecutive absences over the last N instructional days, re-opening resolved alerts only after a new absence; returns newly opened alerts';
@@ -0,0 +1,56 @@
+-- Migration: 20250710000030_approve_leave_through_bulk_mark.sql
+-- Leave approval marks its days through bulk_mark_attendance (source
+-- 'leave-request') instead of its own copy of the attendance upsert, so later
+-- changes to marking apply to approved leave too. A day that cannot be marked
+-- raises, which rolls back the whole approval.
+
+CREATE OR REPLACE FUNCTION approve_leave_request(
+    p_leave_request_id UUID,
+    p_dates DATE[],
+    p_reviewed_by UUID,
+    p_review_notes TEXT
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_request leave_requests%ROWTYPE;
+    v_date DATE;
+    v_result JSONB;
+BEGIN
+    -- Claim the pending request so concurrent reviews cannot both apply
+    UPDATE leave_requests
+    SET status = 'approved',
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        review_notes = p_review_notes,
+        days_excused = cardinality(p_dates)
+    WHERE id = p_leave_request_id
+    AND status = 'pending'
+    RETURNING * INTO v_request;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Leave request is not pending'
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    FOREACH v_date IN ARRAY COALESCE(p_dates, ARRAY[]::DATE[]) LOOP
+        v_result := bulk_mark_attendance(
+            v_request.grade_section_id,
+            v_date,
+            jsonb_build_array(jsonb_build_object(
+                'student_id', v_request.student_id,
+                'status', 'excused',
+                'notes', 'Excused - leave request ' || v_request.id
+            )),
+            p_reviewed_by,
+            'leave-request'
+        );
+
+        IF NOT (v_result->>'success')::BOOLEAN OR jsonb_array_length(COALESCE(v_result->'errors', '[]'::jsonb)) > 0 THEN
+            RAISE EXCEPTION 'Could not mark % as excused: %', v_date,
+                COALESCE(v_result->'errors'->0->>'error', v_result->>'error');
+        END IF;
+    END LOOP;
+
+    RETURN cardinality(p_dates);
+END;
+$$ LANGUAGE plpgsql;
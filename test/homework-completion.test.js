@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCompletionSummaries } = require('../lib/homework-completion');
+
+test('counts student-subject pairs for homework with two subjects', () => {
+  const summaries = buildCompletionSummaries([
+    { homework_id: 'hw-1', subject: 'Math', total_students: '3', done_count: '3', incomplete_count: '0', not_started_count: '0' },
+    { homework_id: 'hw-1', subject: 'English', total_students: '3', done_count: '2', incomplete_count: '1', not_started_count: '0' }
+  ]);
+
+  const summary = summaries.get('hw-1');
+  assert.strictEqual(summary.total_students, 3);
+  assert.strictEqual(summary.total, 6);
+  assert.strictEqual(summary.done, 5);
+  assert.strictEqual(summary.done + summary.incomplete + summary.not_started, summary.total);
+  assert.ok(summary.done <= summary.total);
+  assert.deepStrictEqual(summary.subjects.map(subject => subject.subject), ['Math', 'English']);
+});
+
+test('homework without subjects counts students once', () => {
+  const summary = buildCompletionSummaries([
+    { homework_id: 'hw-2', subject: '', total_students: 4, done_count: 1, incomplete_count: 1, not_started_count: 2 }
+  ]).get('hw-2');
+
+  assert.strictEqual(summary.total_students, 4);
+  assert.strictEqual(summary.total, 4);
+  assert.strictEqual(summary.not_started, 2);
+});